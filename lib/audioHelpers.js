@@ -0,0 +1,149 @@
+// lib/audioHelpers.js
+import ffmpeg from "fluent-ffmpeg";
+import { killOnAbort } from "./ffmpegHelpers.js";
+
+// narration and music are normalised to one format so they can be concatenated and mixed
+const AUDIO_SAMPLE_RATE = 44100;
+const AUDIO_FORMAT = `aresample=${AUDIO_SAMPLE_RATE},aformat=sample_fmts=fltp:channel_layouts=stereo`;
+
+/**
+ * Audio chain for one segment: resample, then pad with silence / trim so the
+ * narration lasts exactly `duration` seconds and stays in sync with the image.
+ */
+function buildAudioChain(duration) {
+  return `${AUDIO_FORMAT},apad,atrim=0:${duration},asetpts=PTS-STARTPTS`;
+}
+
+// silent stereo track of `duration` seconds for segments without narration
+function buildSilenceSource(duration) {
+  return `anullsrc=r=${AUDIO_SAMPLE_RATE}:cl=stereo,atrim=0:${duration},asetpts=PTS-STARTPTS`;
+}
+
+/**
+ * Normalise the job-level `backgroundMusic` option.
+ * Accepts a URL string or { url, volume, fadeIn, fadeOut, loop, duck }.
+ * @returns {object|null} normalised options, or null when no music was requested
+ */
+function normalizeBackgroundMusic(option) {
+  if (!option) return null;
+  const opts = typeof option === "string" ? { url: option } : { ...option };
+  const url = opts.url || opts.audioUrl || opts.src;
+  if (!url) return null;
+
+  const num = (v, fallback) => (v != null && Number.isFinite(Number(v)) ? Number(v) : fallback);
+  return {
+    url,
+    volume: Math.max(0, num(opts.volume, 0.2)),
+    fadeIn: Math.max(0, num(opts.fadeIn ?? opts.fade_in, 0)),
+    fadeOut: Math.max(0, num(opts.fadeOut ?? opts.fade_out, 0)),
+    loop: opts.loop !== false,
+    duck: opts.duck !== false,
+    // sidechain compressor settings used while narration plays
+    duckThreshold: num(opts.duckThreshold, 0.03),
+    duckRatio: num(opts.duckRatio, 8),
+    duckAttack: num(opts.duckAttack, 20),
+    duckRelease: num(opts.duckRelease, 400),
+  };
+}
+
+// input options for the music file; looping is done by the demuxer
+function musicInputOptions(music) {
+  return music.loop ? ["-stream_loop -1"] : [];
+}
+
+/**
+ * Build the filters that lay the music bed under the timeline.
+ *
+ * @param {object} params
+ * @param {string} params.musicLabel - input pad of the music stream, e.g. "[3:a]"
+ * @param {string|null} params.narrationLabel - pad of the joined narration, or null
+ * @param {number} params.totalDuration - timeline length in seconds
+ * @param {object} params.music - options from normalizeBackgroundMusic
+ * @param {string} [params.outLabel="[aout]"] - pad name for the mixed result
+ * @returns {string[]} filter chains to add to a filter_complex
+ */
+function buildMusicFilters({ musicLabel, narrationLabel, totalDuration, music, outLabel = "[aout]" }) {
+  const chain = [AUDIO_FORMAT, `volume=${music.volume}`];
+  // a non-looping track shorter than the video is padded with silence
+  if (!music.loop) chain.push("apad");
+  chain.push(`atrim=0:${totalDuration}`, "asetpts=PTS-STARTPTS");
+  if (music.fadeIn > 0) chain.push(`afade=t=in:st=0:d=${music.fadeIn}`);
+  if (music.fadeOut > 0) {
+    const fadeOut = Math.min(music.fadeOut, totalDuration);
+    chain.push(`afade=t=out:st=${Math.max(0, totalDuration - fadeOut)}:d=${fadeOut}`);
+  }
+
+  if (!narrationLabel) {
+    return [`${musicLabel}${chain.join(",")}${outLabel}`];
+  }
+
+  const filters = [`${musicLabel}${chain.join(",")}[bgm]`];
+  let bed = "[bgm]";
+  let narration = narrationLabel;
+  if (music.duck) {
+    // the narration drives a compressor on the music so it dips while someone speaks
+    filters.push(`${narrationLabel}asplit=2[narr][sidechain]`);
+    filters.push(`[bgm][sidechain]sidechaincompress=threshold=${music.duckThreshold}:ratio=${music.duckRatio}:attack=${music.duckAttack}:release=${music.duckRelease}[ducked]`);
+    bed = "[ducked]";
+    narration = "[narr]";
+  }
+  filters.push(`${narration}${bed}amix=inputs=2:duration=first:dropout_transition=0:normalize=0${outLabel}`);
+  return filters;
+}
+
+/**
+ * Mix background music into an already encoded video (used by the per-segment
+ * fallback). The video stream is copied, only the audio is re-encoded.
+ *
+ * @param {object} params
+ * @param {string} params.videoPath - input mp4
+ * @param {string} params.musicPath - downloaded music file
+ * @param {string} params.outPath - output mp4
+ * @param {number} params.duration - video length in seconds
+ * @param {boolean} params.hasNarration - whether the input video carries narration
+ * @param {object} params.music - options from normalizeBackgroundMusic
+ * @param {string} [params.audioBitrate="192k"] - AAC bitrate of the mixed track
+ * @param {AbortSignal} [params.signal] - aborting it kills ffmpeg and rejects with its reason
+ */
+function mixBackgroundMusic({ videoPath, musicPath, outPath, duration, hasNarration, music, audioBitrate = "192k", signal = null }) {
+  return new Promise((resolve, reject) => {
+    if (signal && signal.aborted) return reject(signal.reason);
+    const filters = buildMusicFilters({
+      musicLabel: "[1:a]",
+      narrationLabel: hasNarration ? "[0:a]" : null,
+      totalDuration: duration,
+      music,
+    });
+
+    const cmd = ffmpeg()
+      .addInput(videoPath)
+      .addInput(musicPath)
+      .inputOptions(musicInputOptions(music))
+      .complexFilter(filters.join(";"))
+      .outputOptions(["-map 0:v", "-map [aout]", "-c:v copy", "-c:a aac", `-b:a ${audioBitrate}`, "-movflags +faststart"])
+      .output(outPath);
+    const detach = killOnAbort(cmd, signal, reject);
+    cmd
+      .on("start", (cmdline) => console.log("ffmpeg start:", cmdline))
+      .on("end", () => {
+        detach();
+        resolve(outPath);
+      })
+      .on("error", (err) => {
+        detach();
+        console.error("ffmpeg error (music mix):", err && err.message);
+        reject(err);
+      })
+      .run();
+  });
+}
+
+export {
+  AUDIO_SAMPLE_RATE,
+  buildAudioChain,
+  buildSilenceSource,
+  normalizeBackgroundMusic,
+  musicInputOptions,
+  buildMusicFilters,
+  mixBackgroundMusic,
+};
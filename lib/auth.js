@@ -0,0 +1,325 @@
+// lib/auth.js
+import crypto from "crypto";
+import { readFileSync } from "fs";
+import { BUCKET_PATTERN } from "./storage/index.js";
+import { TERMINAL_STATUSES } from "./jobs.js";
+
+// API key / Supabase JWT authentication for the render routes, plus per-client quotas.
+//
+// Keys come from API_KEYS ("name:key,name2:key2" or bare keys) and/or API_KEYS_FILE
+// (JSON array of { name, key | keyHash, maxConcurrentJobs, jobsPerHour,
+// renderSecondsPerDay, storage }). With SUPABASE_JWT_SECRET set, Supabase user
+// access tokens are accepted too and get the default limits.
+// When nothing is configured authentication is disabled.
+//
+// Every client stores its objects under its own key prefix ("keys/<name>/",
+// "users/<sub>/"), so clients reusing a jobId never overwrite each other's videos.
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const envLimit = (name, fallback) => (process.env[name] != null && process.env[name] !== "" ? Number(process.env[name]) : fallback);
+
+// limits for keys that don't set their own (and for JWT users); 0 means unlimited
+const DEFAULT_LIMITS = {
+  maxConcurrentJobs: envLimit("API_KEY_MAX_CONCURRENT_JOBS", 2),
+  jobsPerHour: envLimit("API_KEY_JOBS_PER_HOUR", 60),
+  renderSecondsPerDay: envLimit("API_KEY_RENDER_SECONDS_PER_DAY", 0),
+};
+
+const sha256 = (value) => crypto.createHash("sha256").update(String(value)).digest("hex");
+
+// storage key prefix of a client: its name when that is path safe, a hash of it otherwise
+const ownerPrefix = (kind, name) => `${kind}/${/^[A-Za-z0-9_-]+$/.test(name) ? name : sha256(name).slice(0, 16)}/`;
+
+function toClient(entry, source) {
+  const keyHash = entry.keyHash ? String(entry.keyHash).replace(/^sha256:/, "").toLowerCase() : entry.key ? sha256(entry.key) : null;
+  if (!keyHash) throw new Error(`${source}: every API key entry needs 'key' or 'keyHash'`);
+  const limits = { ...DEFAULT_LIMITS };
+  for (const name of Object.keys(DEFAULT_LIMITS)) {
+    if (entry[name] != null) limits[name] = Number(entry[name]);
+  }
+  const storage = entry.storage || (entry.bucket ? { bucket: entry.bucket } : {});
+  if (storage.bucket && !BUCKET_PATTERN.test(storage.bucket)) {
+    throw new Error(`${source}: bucket '${storage.bucket}' may only contain letters, digits, '-' and '_'`);
+  }
+  const name = entry.name || keyHash.slice(0, 8);
+  return {
+    keyHash,
+    client: {
+      id: `key:${name}`,
+      name: entry.name || `key-${name}`,
+      limits,
+      storage: { backend: storage.backend || null, bucket: storage.bucket || null, prefix: ownerPrefix("keys", name) },
+    },
+  };
+}
+
+// sha256(key) -> client
+function loadApiKeys() {
+  const keys = new Map();
+  const add = ({ keyHash, client }) => keys.set(keyHash, client);
+
+  (process.env.API_KEYS || "").split(",").map((s) => s.trim()).filter(Boolean).forEach((entry) => {
+    const idx = entry.indexOf(":");
+    add(toClient(idx > 0 ? { name: entry.slice(0, idx), key: entry.slice(idx + 1) } : { key: entry }, "API_KEYS"));
+  });
+
+  if (process.env.API_KEYS_FILE) {
+    const list = JSON.parse(readFileSync(process.env.API_KEYS_FILE, "utf8"));
+    if (!Array.isArray(list)) throw new Error("API_KEYS_FILE must contain a JSON array");
+    list.forEach((entry) => add(toClient(entry, "API_KEYS_FILE")));
+  }
+  return keys;
+}
+
+const apiKeys = loadApiKeys();
+const jwtSecret = process.env.SUPABASE_JWT_SECRET || null;
+
+function authEnabled() {
+  return apiKeys.size > 0 || Boolean(jwtSecret);
+}
+
+/**
+ * Verify a Supabase access token (HS256, signed with the project's JWT secret).
+ * @returns {object|null} the payload, or null when the token is invalid, expired or not a user token
+ */
+function verifySupabaseJwt(token, secret) {
+  const parts = token.split(".");
+  if (parts.length !== 3) return null;
+  try {
+    const header = JSON.parse(Buffer.from(parts[0], "base64url").toString("utf8"));
+    if (header.alg !== "HS256") return null;
+    const expected = Buffer.from(crypto.createHmac("sha256", secret).update(`${parts[0]}.${parts[1]}`).digest("base64url"));
+    const actual = Buffer.from(parts[2]);
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) return null;
+
+    const payload = JSON.parse(Buffer.from(parts[1], "base64url").toString("utf8"));
+    if (payload.exp && payload.exp * 1000 < Date.now()) return null;
+    // the anon key is a valid JWT too; only signed-in users may render
+    if (payload.role !== "authenticated" || !payload.sub) return null;
+    return payload;
+  } catch (e) {
+    return null;
+  }
+}
+
+function unauthorized(res, message) {
+  return res.status(401).set("WWW-Authenticate", 'Bearer realm="render"').json({ error: "Unauthorized", message });
+}
+
+/**
+ * Express middleware: resolve the caller from `X-API-Key` or `Authorization: Bearer`
+ * and set `req.client` ({ id, name, limits, storage }). Responds 401 otherwise.
+ * A no-op (req.client = null) while authentication is disabled.
+ */
+function authenticate(req, res, next) {
+  if (!authEnabled()) {
+    req.client = null;
+    return next();
+  }
+
+  const bearer = /^Bearer\s+(.+)$/i.exec(req.get("authorization") || "");
+  const token = req.get("x-api-key") || (bearer && bearer[1].trim());
+  if (!token) {
+    return unauthorized(res, "Missing credentials: send an API key in X-API-Key or Authorization: Bearer <key>");
+  }
+
+  const client = apiKeys.get(sha256(token));
+  if (client) {
+    req.client = client;
+    return next();
+  }
+
+  if (jwtSecret && token.split(".").length === 3) {
+    const payload = verifySupabaseJwt(token, jwtSecret);
+    if (!payload) return unauthorized(res, "Invalid or expired access token");
+    req.client = {
+      id: `user:${payload.sub}`,
+      name: payload.email || payload.sub,
+      limits: { ...DEFAULT_LIMITS },
+      storage: { backend: null, bucket: null, prefix: ownerPrefix("users", String(payload.sub)) },
+    };
+    return next();
+  }
+
+  return unauthorized(res, "Invalid API key");
+}
+
+// client id -> { active: Set<jobId>, jobStarts: number[], day: "YYYY-MM-DD", renderSeconds: number,
+//   reserved: Map<jobId, seconds> } (the expected length of unfinished jobs)
+const usage = new Map();
+
+function usageFor(clientId) {
+  let u = usage.get(clientId);
+  if (!u) {
+    u = { active: new Set(), jobStarts: [], day: null, renderSeconds: 0, reserved: new Map() };
+    usage.set(clientId, u);
+  }
+  const now = Date.now();
+  u.jobStarts = u.jobStarts.filter((t) => now - t < HOUR_MS);
+  // rendered seconds are counted per UTC day
+  const today = new Date(now).toISOString().slice(0, 10);
+  if (u.day !== today) {
+    u.day = today;
+    u.renderSeconds = 0;
+  }
+  return u;
+}
+
+function quotaError(limit, max, used, retryAfter, message) {
+  const e = new Error(message);
+  e.status = 429;
+  e.expose = true;
+  e.code = "QUOTA_EXCEEDED";
+  e.quota = { limit, max, used, retryAfter };
+  return e;
+}
+
+// rendered length the job will add: given segment durations x renditions (0 when unknown)
+function estimateRenderSeconds(request) {
+  const seconds = request.segments.reduce((sum, seg) => sum + (Number(seg.duration) || 0), 0);
+  return seconds * request.renditions.length;
+}
+
+// seconds rendered today plus those reserved by unfinished jobs (other than `jobId`)
+function committedSeconds(u, jobId = null) {
+  let seconds = u.renderSeconds;
+  for (const [id, reserved] of u.reserved) {
+    if (id !== jobId) seconds += reserved;
+  }
+  return seconds;
+}
+
+function checkRenderSeconds(limits, u, seconds, jobId = null) {
+  const used = committedSeconds(u, jobId);
+  if (!(limits.renderSecondsPerDay > 0) || used + seconds <= limits.renderSecondsPerDay) return;
+  const retryAfter = Math.ceil((Date.parse(`${u.day}T00:00:00Z`) + 24 * HOUR_MS - Date.now()) / 1000);
+  throw quotaError("renderSecondsPerDay", limits.renderSecondsPerDay, Math.round(used), retryAfter,
+    `Daily render limit of ${limits.renderSecondsPerDay}s would be exceeded (${Math.round(used)}s used or reserved today, this job needs about ${Math.round(seconds)}s)`);
+}
+
+// limits of a client by id; clients that are no longer configured and JWT users get the defaults
+function limitsFor(clientId) {
+  for (const client of apiKeys.values()) {
+    if (client.id === clientId) return client.limits;
+  }
+  return DEFAULT_LIMITS;
+}
+
+/**
+ * Check a job against its owner's daily render seconds once its length is known.
+ * Segments that take their duration from narration or a clip count as 0 when the job
+ * is submitted, so the runner calls this again after settling the durations; the
+ * job's reservation is then replaced by the settled length.
+ * @param {object} job - job record (owner, jobId)
+ * @param {number} seconds - rendered length of the job (duration x renditions)
+ * @throws {Error} 429 with `quota`, like reserveJob
+ */
+function assertRenderQuota(job, seconds) {
+  if (!job.owner) return;
+  const u = usageFor(job.owner);
+  checkRenderSeconds(limitsFor(job.owner), u, seconds, job.jobId);
+  u.reserved.set(job.jobId, seconds);
+}
+
+/**
+ * Check the caller's quotas for a new job and count it against them. Its estimated
+ * render seconds are reserved until it finishes, so jobs running side by side can't
+ * exceed the daily budget together.
+ * Also applies the client's storage bucket and key prefix to the request.
+ * @param {object|null} client - req.client (null while auth is disabled)
+ * @param {object} request - normalised render request (its `storage` is replaced)
+ * @throws {Error} 429 with `quota` { limit, max, used, retryAfter } when over a limit;
+ *   403 when the request asks for a bucket the client may not write to (any bucket
+ *   other than its own, or any bucket at all for clients without one)
+ */
+function reserveJob(client, request) {
+  if (!client) return;
+  const { limits } = client;
+  const u = usageFor(client.id);
+  const now = Date.now();
+
+  const { storage } = client;
+  if (request.storage.bucket && request.storage.bucket !== storage.bucket) {
+    const e = new Error(storage.bucket
+      ? `Client '${client.name}' may only write to bucket '${storage.bucket}'`
+      : `Client '${client.name}' may only write to the default bucket`);
+    e.status = 403;
+    e.expose = true;
+    throw e;
+  }
+
+  if (limits.maxConcurrentJobs > 0 && u.active.size >= limits.maxConcurrentJobs) {
+    throw quotaError("maxConcurrentJobs", limits.maxConcurrentJobs, u.active.size, null,
+      `Too many concurrent jobs: ${u.active.size} of ${limits.maxConcurrentJobs} are still running; retry when one finishes`);
+  }
+  if (limits.jobsPerHour > 0 && u.jobStarts.length >= limits.jobsPerHour) {
+    const retryAfter = Math.ceil((u.jobStarts[0] + HOUR_MS - now) / 1000);
+    throw quotaError("jobsPerHour", limits.jobsPerHour, u.jobStarts.length, retryAfter,
+      `Hourly job limit of ${limits.jobsPerHour} reached; retry in ${retryAfter}s`);
+  }
+  const seconds = estimateRenderSeconds(request);
+  checkRenderSeconds(limits, u, seconds);
+
+  request.storage = { backend: storage.backend || request.storage.backend, bucket: storage.bucket, prefix: storage.prefix };
+
+  u.active.add(request.jobId);
+  u.jobStarts.push(now);
+  u.reserved.set(request.jobId, seconds);
+}
+
+// rendered seconds of a succeeded job: output length x renditions
+function renderedSeconds(job) {
+  return (Number(job.result.duration) || 0) * ((job.result.renditions || []).length || 1);
+}
+
+/**
+ * Release a finished job's concurrency slot and reservation, and count its rendered
+ * seconds (output length x renditions) against the owner's daily quota.
+ */
+function releaseJob(job) {
+  if (!job.owner) return;
+  const u = usageFor(job.owner);
+  u.active.delete(job.jobId);
+  u.reserved.delete(job.jobId);
+  if (job.status === "succeeded" && job.result) {
+    u.renderSeconds += renderedSeconds(job);
+  }
+}
+
+/**
+ * Rebuild the quota usage from the jobs restored after a restart: unfinished jobs take
+ * their owner's concurrency slots and reserve their estimated seconds again, jobs created within the hour count as hourly
+ * starts and jobs that succeeded today count against the daily render seconds.
+ * @param {object[]} jobs - every job in the registry (see listJobs)
+ */
+function restoreUsage(jobs) {
+  const now = Date.now();
+  for (const job of jobs) {
+    if (!job.owner) continue;
+    const u = usageFor(job.owner);
+    const createdAt = Date.parse(job.createdAt);
+    if (now - createdAt < HOUR_MS) u.jobStarts.push(createdAt);
+    if (!TERMINAL_STATUSES.includes(job.status)) {
+      u.active.add(job.jobId);
+      u.reserved.set(job.jobId, estimateRenderSeconds(job.request));
+    } else if (job.status === "succeeded" && job.result && job.finishedAt && job.finishedAt.slice(0, 10) === u.day) {
+      u.renderSeconds += renderedSeconds(job);
+    }
+  }
+  for (const u of usage.values()) u.jobStarts.sort((a, b) => a - b);
+}
+
+// current usage of a client, for responses / debugging
+function clientUsage(client) {
+  const u = usageFor(client.id);
+  return {
+    activeJobs: u.active.size,
+    jobsLastHour: u.jobStarts.length,
+    renderSecondsToday: Math.round(u.renderSeconds),
+    renderSecondsReserved: Math.round(committedSeconds(u) - u.renderSeconds),
+    limits: client.limits,
+  };
+}
+
+export { authenticate, authEnabled, reserveJob, releaseJob, restoreUsage, assertRenderQuota, clientUsage, verifySupabaseJwt };
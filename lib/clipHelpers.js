@@ -0,0 +1,141 @@
+// lib/clipHelpers.js
+import ffmpeg from "fluent-ffmpeg";
+import { buildAudioChain } from "./audioHelpers.js";
+
+// Video clip segments (screen recordings, stock footage) placed on the timeline like
+// images: trimmed, retimed, fitted into the frame and held on their last frame when
+// the segment outlasts them.
+
+const MIN_SPEED = 0.25;
+const MAX_SPEED = 4;
+
+const seconds = (value) => (value != null && Number.isFinite(Number(value)) ? Number(value) : null);
+
+/**
+ * Normalise the clip options of a video segment.
+ * Reads `trimStart` / `trimEnd` (seconds into the source), `speed` (playback rate,
+ * 0.25-4) and `keepAudio` (default: keep the clip's sound unless the segment has
+ * narration, in which case it is muted unless asked for; both are mixed then).
+ * @param {object} segment - raw segment from the request body
+ * @param {string} path - field path used in error messages, e.g. "segments[2]"
+ * @returns {{ trimStart: number, trimEnd: number|null, speed: number, keepAudio: boolean }}
+ * @throws {Error} "<path>.<field>: message" for invalid options
+ */
+function normalizeClip(segment, path) {
+  const trimStart = seconds(segment.trimStart ?? segment.trim_start) ?? 0;
+  const trimEnd = seconds(segment.trimEnd ?? segment.trim_end);
+  const speed = seconds(segment.speed) ?? 1;
+  const hasNarration = Boolean(segment.audioUrl || segment.audio_url || segment.audio);
+
+  if (trimStart < 0) throw new Error(`${path}.trimStart: must be >= 0`);
+  if (trimEnd != null && trimEnd <= trimStart) throw new Error(`${path}.trimEnd: must be greater than trimStart (${trimStart})`);
+  if (speed < MIN_SPEED || speed > MAX_SPEED) throw new Error(`${path}.speed: must be between ${MIN_SPEED} and ${MAX_SPEED}`);
+  if (segment.motion || segment.kenBurns) throw new Error(`${path}.motion: is only supported on image segments`);
+
+  return {
+    trimStart,
+    trimEnd,
+    speed,
+    keepAudio: segment.keepAudio != null ? segment.keepAudio !== false : !hasNarration,
+  };
+}
+
+/**
+ * Probe a clip's length and whether it has a sound track.
+ * @param {string} path - local file (never a URL: ffprobe would bypass the download policy)
+ * @returns {Promise<{ duration: number, hasAudio: boolean }>}
+ */
+function probeClip(path) {
+  return new Promise((resolve, reject) => {
+    ffmpeg.ffprobe(path, (err, metadata) => {
+      if (err) return reject(new Error(`ffprobe failed for ${path}: ${err.message}`));
+      const streams = (metadata && metadata.streams) || [];
+      if (!streams.some((s) => s.codec_type === "video")) return reject(new Error(`${path} has no video stream`));
+      let duration = Number(metadata.format && metadata.format.duration);
+      if (!Number.isFinite(duration) || duration <= 0) duration = Math.max(0, ...streams.map((s) => Number(s.duration) || 0));
+      resolve({ duration, hasAudio: streams.some((s) => s.codec_type === "audio") });
+    });
+  });
+}
+
+/**
+ * Seconds the clip plays on the timeline: the trimmed range at the clip's speed.
+ * Needs `sourceDuration` (from probeClip) when no `trimEnd` is set.
+ * @throws {Error} when the trim range starts after the end of the source
+ */
+function clipLength(clip) {
+  const end = clip.trimEnd != null ? Math.min(clip.trimEnd, clip.sourceDuration ?? clip.trimEnd) : clip.sourceDuration;
+  if (end == null) throw new Error("clip length unknown: probe the source first");
+  if (end <= clip.trimStart) throw new Error(`trimStart ${clip.trimStart}s is past the end of the clip (${end}s)`);
+  return Math.round(((end - clip.trimStart) / clip.speed) * 1000) / 1000;
+}
+
+// input options that seek to the trimmed range, so ffmpeg decodes only that part
+function clipInputOptions(clip) {
+  const options = [];
+  if (clip.trimStart > 0) options.push(`-ss ${clip.trimStart}`);
+  if (clip.trimEnd != null) options.push(`-t ${Math.round((clip.trimEnd - clip.trimStart) * 1000) / 1000}`);
+  return options;
+}
+
+// filters ahead of the fit: restart timestamps, apply the speed and resample to the job fps
+function buildClipTimingFilter(clip, fps) {
+  const setpts = clip.speed === 1 ? "setpts=PTS-STARTPTS" : `setpts=(PTS-STARTPTS)/${clip.speed}`;
+  return `${setpts},fps=${fps}`;
+}
+
+// filters after the fit: job pixel format, then hold the last frame / cut to exactly `duration`
+function buildClipHoldFilter(duration) {
+  return `format=yuv420p,tpad=stop_mode=clone:stop_duration=${duration},trim=duration=${duration},setpts=PTS-STARTPTS`;
+}
+
+// atempo only takes 0.5-2, so larger changes are chained
+function atempoChain(speed) {
+  const steps = [];
+  let rest = speed;
+  while (rest > 2) {
+    steps.push("atempo=2");
+    rest /= 2;
+  }
+  while (rest < 0.5) {
+    steps.push("atempo=0.5");
+    rest /= 0.5;
+  }
+  if (rest !== 1) steps.push(`atempo=${Math.round(rest * 10000) / 10000}`);
+  return steps.map((step) => `${step},`).join("");
+}
+
+/**
+ * Audio filters for a clip that keeps its sound: retimed with the clip, padded/trimmed
+ * to `duration` and, when the segment also has narration, mixed with it.
+ * @param {object} params
+ * @param {number} params.clipInput - ffmpeg input index of the clip
+ * @param {number|null} [params.narrationInput] - input index of the narration, if any
+ * @param {object} params.clip - normalised clip options
+ * @param {number} params.duration - segment length in seconds
+ * @param {string} params.label - output pad name (without brackets)
+ * @returns {string[]} filter chains
+ */
+function buildClipAudioFilters({ clipInput, narrationInput = null, clip, duration, label }) {
+  const clipChain = `[${clipInput}:a]${atempoChain(clip.speed)}${buildAudioChain(duration)}`;
+  if (narrationInput == null) return [`${clipChain}[${label}]`];
+  return [
+    `${clipChain}[${label}c]`,
+    `[${narrationInput}:a]${buildAudioChain(duration)}[${label}n]`,
+    `[${label}n][${label}c]amix=inputs=2:duration=first:dropout_transition=0:normalize=0[${label}]`,
+  ];
+}
+
+// true when the clip's own sound ends up in the segment
+const usesClipAudio = (seg) => Boolean(seg && seg.clip && seg.clip.keepAudio && seg.clip.hasAudio);
+
+export {
+  normalizeClip,
+  probeClip,
+  clipLength,
+  clipInputOptions,
+  buildClipTimingFilter,
+  buildClipHoldFilter,
+  buildClipAudioFilters,
+  usesClipAudio,
+};
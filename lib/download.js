@@ -3,16 +3,25 @@ import { createWriteStream } from "fs";
 import axios from "axios";
 import http from "http";
 import https from "https";
-import { pipeline } from "stream";
+import { pipeline, Transform } from "stream";
 import { promisify } from "util";
 import { dirname } from "path";
-import { mkdir } from "fs/promises";
+import { mkdir, rm } from "fs/promises";
+import {
+  MAGIC_BYTES,
+  assertUrlAllowed,
+  lookup,
+  assertFileSize,
+  assertMediaType,
+  assertContentType,
+} from "./downloadPolicy.js";
 
 const streamPipeline = promisify(pipeline);
 
-// Shared axios instance that reuses TCP connections (keepAlive)
-const httpAgent = new http.Agent({ keepAlive: true });
-const httpsAgent = new https.Agent({ keepAlive: true });
+// Shared axios instance that reuses TCP connections (keepAlive); every connection
+// goes through the download policy's address check
+const httpAgent = new http.Agent({ keepAlive: true, lookup });
+const httpsAgent = new https.Agent({ keepAlive: true, lookup });
 const axiosInstance = axios.create({
   timeout: 60000,
   httpAgent,
@@ -22,17 +31,99 @@ const axiosInstance = axios.create({
     'User-Agent': 'curl/8.7.1',
     'Accept': '*/*',
   },
-  // follow redirects by default
+  // follow redirects by default, but only to hosts the policy allows
+  beforeRedirect: (options) => assertUrlAllowed(options.href),
 });
 
+// policy violations (downloadPolicy.js) may arrive wrapped in an AxiosError
+function policyError(err) {
+  return [err, err && err.cause].find((e) => e && e.expose && typeof e.code === 'string' && e.code.startsWith('DOWNLOAD_')) || null;
+}
+
+// counts a response body against the file and job limits and checks its magic bytes
+// as it streams; `counted.bytes` is what this attempt took from the job budget
+function guardStream({ url, expect, maxBytes, budget, counted }) {
+  let size = 0;
+  let head = Buffer.alloc(0);
+  let checked = !expect;
+  return new Transform({
+    transform(chunk, encoding, callback) {
+      try {
+        size += chunk.length;
+        assertFileSize(size, url, maxBytes);
+        if (budget) {
+          counted.bytes += chunk.length;
+          budget.consume(chunk.length, url);
+        }
+        if (!checked) {
+          head = Buffer.concat([head, chunk]);
+          if (head.length >= MAGIC_BYTES) {
+            assertMediaType(head, expect, url);
+            checked = true;
+          }
+        }
+        callback(null, chunk);
+      } catch (err) {
+        callback(err);
+      }
+    },
+    flush(callback) {
+      try {
+        if (!checked) assertMediaType(head, expect, url);
+        callback();
+      } catch (err) {
+        callback(err);
+      }
+    },
+  });
+}
+
+/**
+ * Download `url` to `destPath`, retrying transient failures.
+ * Pass the validators of a copy you already have (`etag`, `lastModified`) to make the
+ * request conditional; a 304 then resolves with `notModified` and writes nothing.
+ * The download policy applies: blocked hosts and addresses, the per-file size limit
+ * (`maxBytes`), the job's byte `budget` (see createByteBudget) and, with `expect`
+ * ("image", "audio" or "video"), the content type and magic bytes. Violations are not
+ * retried and leave no partial file behind.
+ * Aborting `signal` (job cancelled) stops the request and rejects with the signal's
+ * reason, also without a partial file.
+ * @returns {Promise<{ notModified: boolean, etag: string|null, lastModified: string|null, contentType: string|null }>}
+ */
 async function downloadFileToPath(url, destPath, options = {}) {
-  const { headers = {}, retries = 2, retryDelay = 500 } = options;
+  const {
+    headers = {},
+    retries = 2,
+    retryDelay = 500,
+    etag = null,
+    lastModified = null,
+    expect = null,
+    maxBytes,
+    budget = null,
+    signal = null,
+  } = options;
+  assertUrlAllowed(url);
+  const conditional = {};
+  if (etag) conditional['If-None-Match'] = etag;
+  if (lastModified) conditional['If-Modified-Since'] = lastModified;
 
   let attempt = 0;
   while (true) {
     attempt++;
+    const counted = { bytes: 0 };
     try {
-      const resp = await axiosInstance.get(url, { responseType: "stream", headers, validateStatus: null });
+      if (signal) signal.throwIfAborted();
+      const resp = await axiosInstance.get(url, { responseType: "stream", headers: { ...headers, ...conditional }, validateStatus: null, signal });
+
+      if (resp && resp.status === 304 && (etag || lastModified)) {
+        resp.data.destroy();
+        return {
+          notModified: true,
+          etag: resp.headers.etag || etag,
+          lastModified: resp.headers['last-modified'] || lastModified,
+          contentType: resp.headers['content-type'] || null,
+        };
+      }
 
       // better diagnostics for non-2xx responses
       if (!resp || !resp.status || resp.status < 200 || resp.status >= 300) {
@@ -45,15 +136,43 @@ async function downloadFileToPath(url, destPath, options = {}) {
         throw e;
       }
 
+      // refuse what is obviously too large or not media before writing anything
+      const contentType = resp.headers['content-type'] || null;
+      const declaredLength = Number(resp.headers['content-length']);
+      try {
+        if (Number.isFinite(declaredLength)) assertFileSize(declaredLength, url, maxBytes);
+        assertContentType(contentType, expect, url);
+      } catch (err) {
+        resp.data.destroy();
+        throw err;
+      }
+
       // ensure destination directory exists (avoid ENOENT when writing)
       const destDir = dirname(destPath);
       await mkdir(destDir, { recursive: true });
 
       const writer = createWriteStream(destPath);
       // Use pipeline to properly propagate errors and backpressure
-      await streamPipeline(resp.data, writer);
-      return; // success
+      await streamPipeline(resp.data, guardStream({ url, expect, maxBytes, budget, counted }), writer);
+      return {
+        notModified: false,
+        etag: resp.headers.etag || null,
+        lastModified: resp.headers['last-modified'] || null,
+        contentType,
+      };
     } catch (err) {
+      if (budget) budget.release(counted.bytes);
+      if (signal && signal.aborted) {
+        await rm(destPath, { force: true });
+        throw signal.reason;
+      }
+      const violation = policyError(err);
+      if (violation) {
+        await rm(destPath, { force: true });
+        console.error(violation.message);
+        throw violation;
+      }
+
       // Enrich error with URL/status for easier debugging
       // normalize status from axios response or from our thrown error
       const status = (err && err.response && err.response.status) || err.status;
@@ -85,4 +204,48 @@ async function downloadFileToPath(url, destPath, options = {}) {
   }
 }
 
-export { downloadFileToPath };
+/**
+ * Check that a URL is reachable without downloading it: a HEAD request, falling back
+ * to a one-byte ranged GET for origins that don't support HEAD.
+ * @param {string} url
+ * Blocked URLs (see downloadPolicy.js) are not requested and come back with the error `code`.
+ * @returns {Promise<{ url: string, ok: boolean, status: number|null, contentType: string|null, contentLength: number|null, error?: string, code?: string }>}
+ */
+async function probeUrl(url, options = {}) {
+  const { headers = {}, timeout = 15000 } = options;
+  const describe = (resp) => {
+    // a ranged GET reports the full size after the slash in Content-Range
+    const range = /\/(\d+)$/.exec(resp.headers['content-range'] || '');
+    const length = range ? Number(range[1]) : Number(resp.headers['content-length']);
+    return {
+      url,
+      ok: resp.status >= 200 && resp.status < 300,
+      status: resp.status,
+      contentType: resp.headers['content-type'] || null,
+      contentLength: Number.isFinite(length) ? length : null,
+    };
+  };
+
+  try {
+    assertUrlAllowed(url);
+    const head = await axiosInstance.head(url, { headers, timeout, validateStatus: null });
+    if (![403, 405, 501].includes(head.status)) return describe(head);
+
+    const resp = await axiosInstance.get(url, { headers: { ...headers, Range: 'bytes=0-0' }, timeout, responseType: 'stream', validateStatus: null });
+    resp.data.destroy();
+    return describe(resp);
+  } catch (err) {
+    const violation = policyError(err);
+    return {
+      url,
+      ok: false,
+      status: null,
+      contentType: null,
+      contentLength: null,
+      error: (violation || err).message,
+      ...(violation ? { code: violation.code } : {}),
+    };
+  }
+}
+
+export { downloadFileToPath, probeUrl };
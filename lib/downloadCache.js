@@ -0,0 +1,274 @@
+// lib/downloadCache.js
+import crypto from "crypto";
+import { createReadStream } from "fs";
+import { mkdir, readdir, readFile, writeFile, rename, rm, stat, link, copyFile, open } from "fs/promises";
+import { join, dirname } from "path";
+import { downloadFileToPath } from "./download.js";
+import { MAGIC_BYTES, assertFileSize, assertMediaType } from "./downloadPolicy.js";
+
+// Disk cache for downloaded assets, shared by all jobs.
+//
+// Bodies are stored once per content hash under blobs/; every URL gets a small JSON
+// record under urls/ (named by the sha256 of the URL) pointing at its blob, with the
+// origin's ETag / Last-Modified. A cached URL is revalidated with a conditional GET
+// each time a job needs it, and only a 304 counts as a hit. Once the blobs grow past
+// `maxBytes` the least recently used ones are evicted.
+// Session dirs get hard links to the blobs (copies where linking fails), so evicting
+// a blob never pulls a file from under a running job.
+
+const DEFAULT_MAX_BYTES = 1024 * 1024 * 1024;
+
+const sha256 = (value) => crypto.createHash("sha256").update(value).digest("hex");
+
+function hashFile(path) {
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash("sha256");
+    createReadStream(path)
+      .on("error", reject)
+      .on("data", (chunk) => hash.update(chunk))
+      .on("end", () => resolve(hash.digest("hex")));
+  });
+}
+
+async function readHead(path) {
+  const file = await open(path, "r");
+  try {
+    const { buffer, bytesRead } = await file.read(Buffer.alloc(MAGIC_BYTES), 0, MAGIC_BYTES, 0);
+    return buffer.subarray(0, bytesRead);
+  } finally {
+    await file.close();
+  }
+}
+
+// hard link `src` to `dest`, or copy it (other file system, no link support)
+async function placeFile(src, dest) {
+  await mkdir(dirname(dest), { recursive: true });
+  await rm(dest, { force: true });
+  try {
+    await link(src, dest);
+  } catch (err) {
+    await copyFile(src, dest);
+  }
+}
+
+/**
+ * Create a download cache rooted at `dir`. The index is rebuilt from disk, so cached
+ * files survive restarts.
+ * @param {object} options
+ * @param {string} options.dir - cache directory (created if missing)
+ * @param {number} [options.maxBytes=1 GiB] - size cap for the cached bodies; 0 disables the cache
+ * @returns {{ fetch: Function, stats: Function }}
+ */
+function createDownloadCache({ dir, maxBytes = DEFAULT_MAX_BYTES }) {
+  const enabled = maxBytes > 0;
+  const blobDir = join(dir, "blobs");
+  const urlDir = join(dir, "urls");
+  // url hash -> { url, blob, size, etag, lastModified, contentType, lastUsed }
+  const records = new Map();
+  // blob hash -> { size, lastUsed }
+  const blobs = new Map();
+  // download key (URL + limits) -> pending refresh, so parallel requests for one URL
+  // under the same limits download it once
+  const inflight = new Map();
+  // url hash -> number of fetches using it; their blobs are never evicted
+  const pins = new Map();
+  const counters = { hits: 0, misses: 0, evictions: 0, bytesFromCache: 0, bytesDownloaded: 0 };
+  let evicting = Promise.resolve();
+
+  const blobPath = (blob) => join(blobDir, blob);
+  const recordPath = (key) => join(urlDir, `${key}.json`);
+
+  function touchBlob(blob, size, lastUsed) {
+    const entry = blobs.get(blob);
+    if (entry) entry.lastUsed = Math.max(entry.lastUsed, lastUsed);
+    else blobs.set(blob, { size, lastUsed });
+  }
+
+  async function saveRecord(key, record) {
+    records.set(key, record);
+    const tmp = `${recordPath(key)}.tmp`;
+    await writeFile(tmp, JSON.stringify(record));
+    await rename(tmp, recordPath(key));
+  }
+
+  async function dropBlobIfUnused(blob) {
+    if ([...records.values()].some((record) => record.blob === blob)) return;
+    blobs.delete(blob);
+    await rm(blobPath(blob), { force: true });
+  }
+
+  async function load() {
+    await mkdir(blobDir, { recursive: true });
+    await mkdir(urlDir, { recursive: true });
+    for (const name of await readdir(urlDir)) {
+      try {
+        if (!name.endsWith(".json")) throw new Error("not a record");
+        const record = JSON.parse(await readFile(join(urlDir, name), "utf8"));
+        const { size } = await stat(blobPath(record.blob));
+        records.set(name.slice(0, -".json".length), record);
+        touchBlob(record.blob, size, record.lastUsed || 0);
+      } catch (err) {
+        // half-written or orphaned record
+        await rm(join(urlDir, name), { force: true });
+      }
+    }
+    // blobs no record points at, and partial downloads from a previous run
+    for (const name of await readdir(blobDir)) {
+      if (!blobs.has(name)) await rm(blobPath(name), { force: true });
+    }
+    const bytes = [...blobs.values()].reduce((sum, entry) => sum + entry.size, 0);
+    console.log(`Download cache: ${records.size} URL(s), ${blobs.size} file(s), ${bytes} bytes in ${dir}`);
+  }
+
+  const ready = enabled
+    ? load().catch((err) => {
+        console.error(`Download cache at ${dir} could not be loaded:`, err.message);
+        throw err;
+      })
+    : Promise.resolve();
+
+  // conditional GET against the cached copy; resolves with { record, hit }
+  async function refresh(url, key, flightKey, options) {
+    const cached = records.get(key);
+    const usable = cached && blobs.has(cached.blob);
+    const partPath = blobPath(`${flightKey}.part`);
+    const validators = usable ? { etag: cached.etag, lastModified: cached.lastModified } : {};
+    const resp = await downloadFileToPath(url, partPath, { ...options, ...validators });
+    const now = Date.now();
+
+    if (resp.notModified) {
+      const record = { ...cached, etag: resp.etag, lastModified: resp.lastModified, lastUsed: now };
+      touchBlob(record.blob, record.size, now);
+      await saveRecord(key, record);
+      return { record, hit: true };
+    }
+
+    const blob = await hashFile(partPath);
+    const { size } = await stat(partPath);
+    if (blobs.has(blob)) await rm(partPath, { force: true });
+    else await rename(partPath, blobPath(blob));
+    touchBlob(blob, size, now);
+    counters.bytesDownloaded += size;
+
+    const record = { url, blob, size, etag: resp.etag, lastModified: resp.lastModified, contentType: resp.contentType, lastUsed: now };
+    await saveRecord(key, record);
+    if (cached && cached.blob !== blob) await dropBlobIfUnused(cached.blob);
+    return { record, hit: false };
+  }
+
+  async function evict() {
+    let total = [...blobs.values()].reduce((sum, entry) => sum + entry.size, 0);
+    if (total <= maxBytes) return;
+    const pinned = new Set([...pins.keys()].map((key) => records.get(key)).filter(Boolean).map((record) => record.blob));
+    const oldestFirst = [...blobs.entries()].sort((a, b) => a[1].lastUsed - b[1].lastUsed);
+    for (const [blob, entry] of oldestFirst) {
+      if (total <= maxBytes) break;
+      if (pinned.has(blob)) continue;
+      blobs.delete(blob);
+      total -= entry.size;
+      counters.evictions++;
+      await rm(blobPath(blob), { force: true });
+      for (const [key, record] of [...records]) {
+        if (record.blob !== blob) continue;
+        records.delete(key);
+        await rm(recordPath(key), { force: true });
+      }
+    }
+  }
+
+  // one download per URL and limits at a time, shared by every job asking for it; it has
+  // its own signal and is aborted only once all of the jobs waiting on it were cancelled
+  function startRefresh(url, key, flightKey, options) {
+    const controller = new AbortController();
+    const entry = { controller, waiters: 0, cancelled: 0 };
+    entry.promise = refresh(url, key, flightKey, { ...options, signal: controller.signal }).finally(() => inflight.delete(flightKey));
+    inflight.set(flightKey, entry);
+    return entry;
+  }
+
+  function waitFor(entry, signal) {
+    entry.waiters++;
+    if (!signal) return entry.promise;
+    return new Promise((resolve, reject) => {
+      const onAbort = () => {
+        entry.cancelled++;
+        if (entry.cancelled === entry.waiters) entry.controller.abort(signal.reason);
+        reject(signal.reason);
+      };
+      if (signal.aborted) return onAbort();
+      signal.addEventListener("abort", onAbort, { once: true });
+      entry.promise
+        .finally(() => signal.removeEventListener("abort", onAbort))
+        .then(resolve, reject);
+    });
+  }
+
+  /**
+   * Put the body of `url` at `destPath`, from the cache when the origin confirms the
+   * cached copy is current.
+   * @param {object} [options] - downloadFileToPath options (expect, maxBytes, budget, signal);
+   *   cached files are held to the same limits and media type checks as fresh downloads
+   * @returns {Promise<{ hit: boolean, size: number|null }>}
+   */
+  async function fetch(url, destPath, options = {}) {
+    if (!enabled) {
+      await downloadFileToPath(url, destPath, options);
+      counters.misses++;
+      return { hit: false, size: null };
+    }
+    await ready;
+
+    const key = sha256(url);
+    pins.set(key, (pins.get(key) || 0) + 1);
+    try {
+      // the shared download is checked against the limits it is keyed by; the byte budget
+      // is the job's own, so every job charges the file to its budget once it has it
+      const { signal, budget, ...downloadOptions } = options;
+      const flightKey = sha256(JSON.stringify([url, downloadOptions.expect || null, downloadOptions.maxBytes ?? null, downloadOptions.headers || null]));
+      // a job that joins a download already under way gets the file without fetching it again
+      const joined = inflight.has(flightKey);
+      const entry = joined ? inflight.get(flightKey) : startRefresh(url, key, flightKey, downloadOptions);
+      const { record, hit } = await waitFor(entry, signal);
+
+      const fromCache = hit || joined;
+      if (hit) {
+        // a fresh download was checked while streaming; a cached one is checked here
+        assertFileSize(record.size, url, options.maxBytes);
+        if (options.expect) assertMediaType(await readHead(blobPath(record.blob)), options.expect, url);
+      }
+      if (budget) budget.consume(record.size, url);
+      if (fromCache) {
+        counters.hits++;
+        counters.bytesFromCache += record.size;
+      } else {
+        counters.misses++;
+      }
+      await placeFile(blobPath(record.blob), destPath);
+      return { hit: fromCache, size: record.size };
+    } finally {
+      const count = pins.get(key) - 1;
+      if (count > 0) pins.set(key, count);
+      else pins.delete(key);
+      evicting = evicting.then(evict).catch((err) => console.error("Download cache eviction failed:", err.message));
+    }
+  }
+
+  // counters since startup plus the current size, for /health
+  function stats() {
+    const bytes = [...blobs.values()].reduce((sum, entry) => sum + entry.size, 0);
+    const lookups = counters.hits + counters.misses;
+    return {
+      enabled,
+      maxBytes,
+      bytes,
+      urls: records.size,
+      files: blobs.size,
+      ...counters,
+      hitRate: lookups ? Math.round((counters.hits / lookups) * 1000) / 1000 : null,
+    };
+  }
+
+  return { fetch, stats };
+}
+
+export { createDownloadCache };
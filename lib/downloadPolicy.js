@@ -0,0 +1,206 @@
+// lib/downloadPolicy.js
+import dns from "dns";
+import net from "net";
+
+// What remote assets may be fetched, and how much of them.
+//
+// - Hosts: DOWNLOAD_ALLOWED_HOSTS (when set, only these), DOWNLOAD_DENIED_HOSTS; both
+//   comma separated, "*.example.com" matches subdomains.
+// - Addresses: loopback, private, link-local (cloud metadata), CGNAT, multicast and
+//   reserved ranges are refused unless DOWNLOAD_ALLOW_PRIVATE_NETWORKS=true. The check
+//   runs on the resolved address of every connection, redirects included.
+// - Sizes: DOWNLOAD_MAX_FILE_BYTES per file (default 200 MiB) and
+//   DOWNLOAD_MAX_JOB_BYTES per job (default 1 GiB); 0 means unlimited.
+// - Content: files must start with the magic bytes of their media type.
+//
+// Violations throw errors with `code` (see DOWNLOAD_ERRORS), `status` 422 and `expose`.
+
+const DOWNLOAD_ERRORS = {
+  BLOCKED_HOST: "DOWNLOAD_BLOCKED_HOST",
+  BLOCKED_ADDRESS: "DOWNLOAD_BLOCKED_ADDRESS",
+  FILE_TOO_LARGE: "DOWNLOAD_FILE_TOO_LARGE",
+  JOB_TOO_LARGE: "DOWNLOAD_JOB_TOO_LARGE",
+  UNEXPECTED_CONTENT: "DOWNLOAD_UNEXPECTED_CONTENT",
+};
+
+const envNumber = (name, fallback) => (process.env[name] != null && process.env[name] !== "" ? Number(process.env[name]) : fallback);
+const hostList = (value) => (value || "").split(",").map((s) => s.trim().toLowerCase()).filter(Boolean);
+
+const policy = {
+  allowedHosts: hostList(process.env.DOWNLOAD_ALLOWED_HOSTS),
+  deniedHosts: hostList(process.env.DOWNLOAD_DENIED_HOSTS),
+  allowPrivateNetworks: process.env.DOWNLOAD_ALLOW_PRIVATE_NETWORKS === "true",
+  maxFileBytes: envNumber("DOWNLOAD_MAX_FILE_BYTES", 200 * 1024 * 1024),
+  maxJobBytes: envNumber("DOWNLOAD_MAX_JOB_BYTES", 1024 * 1024 * 1024),
+};
+
+function downloadError(code, message, url) {
+  const e = new Error(message);
+  e.code = code;
+  e.status = 422;
+  e.expose = true;
+  e.url = url;
+  return e;
+}
+
+const blockedAddresses = new net.BlockList();
+[
+  ["0.0.0.0", 8], ["10.0.0.0", 8], ["100.64.0.0", 10], ["127.0.0.0", 8], ["169.254.0.0", 16],
+  ["172.16.0.0", 12], ["192.0.0.0", 24], ["192.168.0.0", 16], ["198.18.0.0", 15], ["224.0.0.0", 3],
+].forEach(([address, prefix]) => blockedAddresses.addSubnet(address, prefix, "ipv4"));
+[
+  ["::", 128], ["::1", 128], ["fc00::", 7], ["fe80::", 10], ["ff00::", 8], ["64:ff9b::", 96],
+].forEach(([address, prefix]) => blockedAddresses.addSubnet(address, prefix, "ipv6"));
+
+function isPrivateAddress(address) {
+  const family = net.isIP(address);
+  if (!family) return false;
+  // IPv4-mapped IPv6 (::ffff:127.0.0.1) is checked as the IPv4 address
+  const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address);
+  if (mapped) return blockedAddresses.check(mapped[1], "ipv4");
+  return blockedAddresses.check(address, family === 6 ? "ipv6" : "ipv4");
+}
+
+const hostMatches = (host, pattern) => (pattern.startsWith("*.") ? host.endsWith(pattern.slice(1)) : host === pattern);
+
+/**
+ * Check a URL (or redirect target) against the host lists and, for IP literals, the
+ * address ranges. Host names are resolved and checked when connecting (see lookup).
+ * @param {string} url
+ * @param {string} [action="download"] - what is refused, for the error message
+ * @throws {Error} DOWNLOAD_BLOCKED_HOST / DOWNLOAD_BLOCKED_ADDRESS
+ */
+function assertUrlAllowed(url, action = "download") {
+  const { protocol, hostname } = new URL(url);
+  if (protocol !== "http:" && protocol !== "https:") {
+    throw downloadError(DOWNLOAD_ERRORS.BLOCKED_HOST, `Refusing to ${action} ${url}: only http(s) URLs are allowed`, url);
+  }
+  const host = hostname.toLowerCase().replace(/^\[|\]$/g, "");
+  if (policy.deniedHosts.some((pattern) => hostMatches(host, pattern))
+    || (policy.allowedHosts.length && !policy.allowedHosts.some((pattern) => hostMatches(host, pattern)))) {
+    throw downloadError(DOWNLOAD_ERRORS.BLOCKED_HOST, `Refusing to ${action} ${url}: host '${host}' is not allowed`, url);
+  }
+  if (!policy.allowPrivateNetworks && (host === "localhost" || host.endsWith(".localhost") || isPrivateAddress(host))) {
+    throw downloadError(DOWNLOAD_ERRORS.BLOCKED_ADDRESS, `Refusing to ${action} ${url}: '${host}' is a private or reserved address`, url);
+  }
+}
+
+/**
+ * dns.lookup replacement for the download agents: fails connections to private or
+ * reserved addresses, so a public name pointing inside the network is refused too.
+ */
+function lookup(hostname, options, callback) {
+  dns.lookup(hostname, options, (err, address, family) => {
+    if (err || policy.allowPrivateNetworks) return callback(err, address, family);
+    const addresses = Array.isArray(address) ? address : [{ address, family }];
+    const blocked = addresses.find((entry) => isPrivateAddress(entry.address));
+    if (blocked) {
+      return callback(downloadError(DOWNLOAD_ERRORS.BLOCKED_ADDRESS, `Refusing to connect to '${hostname}': it resolves to the private or reserved address ${blocked.address}`));
+    }
+    callback(null, address, family);
+  });
+}
+
+/**
+ * Bytes downloaded for one job; files consume it while they stream.
+ * @param {number} [limit=DOWNLOAD_MAX_JOB_BYTES] - 0 means unlimited
+ */
+function createByteBudget(limit = policy.maxJobBytes) {
+  const budget = {
+    limit,
+    used: 0,
+    consume(bytes, url) {
+      budget.used += bytes;
+      if (limit > 0 && budget.used > limit) {
+        throw downloadError(DOWNLOAD_ERRORS.JOB_TOO_LARGE, `Download of ${url} exceeds the per-job limit of ${limit} bytes`, url);
+      }
+    },
+    release(bytes) {
+      budget.used = Math.max(0, budget.used - bytes);
+    },
+  };
+  return budget;
+}
+
+function assertFileSize(size, url, maxBytes = policy.maxFileBytes) {
+  if (maxBytes > 0 && size > maxBytes) {
+    throw downloadError(DOWNLOAD_ERRORS.FILE_TOO_LARGE, `${url} is larger than the per-file limit of ${maxBytes} bytes`, url);
+  }
+}
+
+const ascii = (buf, start, end) => buf.toString("latin1", start, end);
+// ISO base media (mp4, m4a, mov, heic/avif) has "ftyp" at offset 4
+const isIsoMedia = (buf) => ascii(buf, 4, 8) === "ftyp";
+const isMatroska = (buf) => buf.readUInt32BE(0) === 0x1a45dfa3;
+
+const SIGNATURES = {
+  image: [
+    (b) => b[0] === 0x89 && ascii(b, 1, 4) === "PNG",
+    (b) => b[0] === 0xff && b[1] === 0xd8 && b[2] === 0xff,
+    (b) => ascii(b, 0, 4) === "GIF8",
+    (b) => ascii(b, 0, 4) === "RIFF" && ascii(b, 8, 12) === "WEBP",
+    (b) => ascii(b, 0, 2) === "BM",
+    (b) => ascii(b, 0, 4) === "II*\0" || ascii(b, 0, 4) === "MM\0*",
+    (b) => isIsoMedia(b) && /^(avif|avis|heic|heix|mif1|msf1)$/.test(ascii(b, 8, 12)),
+  ],
+  audio: [
+    (b) => ascii(b, 0, 3) === "ID3",
+    // MPEG audio frame sync / ADTS AAC
+    (b) => b[0] === 0xff && (b[1] & 0xe0) === 0xe0,
+    (b) => ascii(b, 0, 4) === "RIFF" && ascii(b, 8, 12) === "WAVE",
+    (b) => ascii(b, 0, 4) === "OggS",
+    (b) => ascii(b, 0, 4) === "fLaC",
+    isIsoMedia,
+    isMatroska,
+  ],
+  video: [
+    isIsoMedia,
+    // older QuickTime files start with a moov/mdat/wide/free atom instead of ftyp
+    (b) => /^(moov|mdat|wide|free|skip)$/.test(ascii(b, 4, 8)),
+    isMatroska,
+    (b) => ascii(b, 0, 4) === "RIFF" && ascii(b, 8, 12) === "AVI ",
+  ],
+};
+
+// bytes needed to recognise every signature above
+const MAGIC_BYTES = 12;
+
+/**
+ * Check the first bytes of a file against its expected media type.
+ * @param {Buffer} head - at least the first MAGIC_BYTES bytes (or the whole file when shorter)
+ * @param {"image"|"audio"|"video"} kind
+ * @throws {Error} DOWNLOAD_UNEXPECTED_CONTENT
+ */
+function assertMediaType(head, kind, url) {
+  const signatures = SIGNATURES[kind];
+  if (!signatures) return;
+  const buf = Buffer.concat([head, Buffer.alloc(Math.max(0, MAGIC_BYTES - head.length))]);
+  if (signatures.some((matches) => matches(buf))) return;
+  const text = head.toString("utf8", 0, Math.min(head.length, 64)).trimStart().toLowerCase();
+  const looksLike = text.startsWith("<") ? "an HTML/XML document" : text.startsWith("{") || text.startsWith("[") ? "JSON" : head.length === 0 ? "an empty file" : "an unknown format";
+  throw downloadError(DOWNLOAD_ERRORS.UNEXPECTED_CONTENT, `${url} is not a supported ${kind} file (it looks like ${looksLike})`, url);
+}
+
+/**
+ * Refuse responses whose Content-Type is clearly not media (error pages, JSON).
+ * Missing and generic types pass; the magic bytes decide.
+ */
+function assertContentType(contentType, kind, url) {
+  if (!kind || !contentType) return;
+  if (/^(text\/|application\/(json|xml|xhtml))/i.test(contentType)) {
+    throw downloadError(DOWNLOAD_ERRORS.UNEXPECTED_CONTENT, `${url} returned '${contentType}' where ${kind === "image" ? "an image" : kind === "audio" ? "audio" : "a video"} was expected`, url);
+  }
+}
+
+export {
+  DOWNLOAD_ERRORS,
+  MAGIC_BYTES,
+  policy as downloadPolicy,
+  assertUrlAllowed,
+  lookup,
+  createByteBudget,
+  assertFileSize,
+  assertMediaType,
+  assertContentType,
+  isPrivateAddress,
+};
@@ -0,0 +1,217 @@
+// lib/dryRun.js
+import { join } from "path";
+import { mkdir, rm } from "fs/promises";
+import { v4 as uuidv4 } from "uuid";
+import { probeUrl, downloadFileToPath } from "./download.js";
+import { assertFileSize, createByteBudget } from "./downloadPolicy.js";
+import { buildRenderPlan, probeDuration, parseResolution } from "./ffmpegHelpers.js";
+import { parseWordTimings } from "./subtitleHelpers.js";
+import { subtitleStyleForRendition } from "./renditions.js";
+import { buildTimeline } from "./transitionHelpers.js";
+import { toFieldErrors } from "./schema.js";
+import { probeClip, clipLength } from "./clipHelpers.js";
+import { layoutTitleCard } from "./titleCardHelpers.js";
+import { layoutLowerThird } from "./overlayHelpers.js";
+import { targetVideoBitrate } from "./encoding.js";
+
+// content types we expect for each kind of asset; anything else only warns, since
+// plenty of origins serve media as application/octet-stream
+const EXPECTED_TYPES = { image: /^image\//, video: /^video\//, audio: /^(audio|video)\//, music: /^(audio|video)\// };
+const KIND_NAMES = { image: "an image", video: "a video", audio: "audio", music: "audio" };
+
+function fitsFileLimit(probe) {
+  try {
+    assertFileSize(probe.contentLength, probe.url);
+    return true;
+  } catch (err) {
+    return false;
+  }
+}
+
+async function probeAsset(kind, url, field, { errors, warnings }) {
+  const probe = await probeUrl(url);
+  if (!probe.ok) {
+    const reason = probe.status ? `not reachable (status ${probe.status})` : probe.code ? probe.error : `not reachable (${probe.error})`;
+    errors.push({ path: field, message: reason });
+  } else if (probe.contentLength != null && !fitsFileLimit(probe)) {
+    errors.push({ path: field, message: `is ${probe.contentLength} bytes, over the per-file download limit` });
+  } else if (probe.contentType && !EXPECTED_TYPES[kind].test(probe.contentType) && !/octet-stream/.test(probe.contentType)) {
+    warnings.push(`${field}: unexpected content type '${probe.contentType}' for ${KIND_NAMES[kind]}`);
+  }
+  return probe;
+}
+
+// ffprobe is never pointed at a remote URL: it would follow redirects and resolve the
+// host itself, past the download policy. The file is downloaded under the policy (size
+// caps, magic bytes) and probed from disk; only policy violations are reported in detail.
+async function probeDownloaded(url, expect, { dir, budget }, probe) {
+  const path = join(dir, uuidv4());
+  try {
+    await mkdir(dir, { recursive: true });
+    await downloadFileToPath(url, path, { expect, budget });
+    return { value: await probe(path), error: null };
+  } catch (err) {
+    return { value: null, error: err.expose ? err.message : null };
+  } finally {
+    await rm(path, { force: true });
+  }
+}
+
+/**
+ * Plan a render without rendering anything: probe every remote URL (HEAD; narration
+ * and clips are downloaded to a scratch dir and ffprobed for their lengths), settle
+ * segment durations the same way the pipeline does, and build the timeline and ffmpeg
+ * filter graph per rendition.
+ * Subtitle files are not written, so the graph refers to them by file name only.
+ *
+ * @param {object} request - normalised render request
+ * @param {object} context
+ * @param {Function} context.limit - pLimit instance bounding parallel probes
+ * @param {string} context.tempRoot - where the scratch dir for probed files is created
+ * @returns {Promise<object>} the plan; `errors` lists unreachable assets (the plan is
+ *   only `valid` without errors)
+ */
+async function planRenderJob(request, { limit, tempRoot }) {
+  const dir = join(tempRoot, uuidv4());
+  try {
+    return await buildPlan(request, { limit, scratch: { dir, budget: createByteBudget() } });
+  } finally {
+    await rm(dir, { recursive: true, force: true });
+  }
+}
+
+async function buildPlan(request, { limit, scratch }) {
+  const errors = [];
+  const warnings = [];
+  const report = { errors, warnings };
+
+  const segments = await Promise.all(request.segments.map((seg, i) => limit(async () => {
+    let image = null;
+    let video = null;
+    let clip = seg.clip;
+    let clipDuration = null;
+    if (clip) {
+      video = await probeAsset("video", seg.videoUrl, `segments[${i}].videoUrl`, report);
+      if (video.ok) {
+        const { value, error } = await probeDownloaded(seg.videoUrl, "video", scratch, probeClip);
+        if (value) {
+          clip = { ...clip, sourceDuration: value.duration, hasAudio: value.hasAudio };
+          clipDuration = clipLength(clip);
+        } else {
+          errors.push({ path: `segments[${i}].videoUrl`, message: error || "could not read the clip" });
+        }
+      }
+    } else if (!seg.titleCard) {
+      image = await probeAsset("image", seg.imageUrl, `segments[${i}].imageUrl`, report);
+    }
+    let audio = null;
+    let audioDuration = null;
+    if (seg.audioUrl) {
+      audio = await probeAsset("audio", seg.audioUrl, `segments[${i}].audioUrl`, report);
+      if (audio.ok) {
+        const { value, error } = await probeDownloaded(seg.audioUrl, "audio", scratch, probeDuration);
+        if (value != null) {
+          audioDuration = Math.round(value * 1000) / 1000;
+        } else {
+          errors.push({ path: `segments[${i}].audioUrl`, message: error || "could not read audio duration" });
+        }
+      }
+    }
+
+    // same order as prepareSegments: given duration, then clip or audio length, then word timing
+    let duration = seg.duration != null ? Number(seg.duration) : clipDuration ?? audioDuration;
+    let durationSource = seg.duration != null ? "duration" : clipDuration != null ? "clip" : audioDuration != null ? "audio" : null;
+    const timings = parseWordTimings(seg.word_duration, seg.subtitleText);
+    const wordsEnd = timings.length ? Math.round(timings[timings.length - 1].end * 1000) / 1000 : null;
+    if (wordsEnd != null && (duration == null || wordsEnd > duration)) {
+      duration = wordsEnd;
+      durationSource = "word timing";
+    }
+    if (duration == null) {
+      errors.push({ path: `segments[${i}].duration`, message: "could not be determined from audio or word timing" });
+    }
+
+    return {
+      ...seg,
+      clip,
+      imagePath: seg.imageUrl,
+      videoPath: seg.videoUrl || null,
+      audioPath: seg.audioUrl || null,
+      duration,
+      durationSource,
+      hasSubtitles: Boolean(seg.subtitleText || timings.length),
+      probes: {
+        ...(clip ? { video: video && { ...video, duration: clip.sourceDuration ?? null, hasAudio: clip.hasAudio ?? null } } : seg.titleCard ? {} : { image }),
+        audio: audio && { ...audio, duration: audioDuration },
+      },
+    };
+  })));
+
+  let music = null;
+  if (request.backgroundMusic) {
+    music = await probeAsset("music", request.backgroundMusic.url, "backgroundMusic.url", report);
+  }
+  const overlays = await Promise.all(request.overlays.map((overlay, i) =>
+    limit(() => probeAsset("image", overlay.url, `overlays[${i}].url`, report))));
+
+  const plan = {
+    jobId: request.jobId,
+    dryRun: true,
+    valid: errors.length === 0,
+    probes: {
+      segments: segments.map((seg) => seg.probes),
+      backgroundMusic: music,
+      overlays,
+    },
+  };
+  if (errors.length) return { ...plan, errors: toFieldErrors(errors), warnings };
+
+  const timeline = buildTimeline(segments);
+  plan.duration = timeline.total;
+  plan.timeline = segments.map((seg, i) => ({
+    index: i,
+    start: timeline.starts[i],
+    duration: seg.duration,
+    durationSource: seg.durationSource,
+    transition: timeline.transitions[i],
+  }));
+
+  plan.renditions = request.renditions.map((rendition, r) => {
+    const fit = rendition.fit || request.fit;
+    const encoding = rendition.encoding || request.encoding;
+    const frame = parseResolution(rendition.resolution);
+    const style = subtitleStyleForRendition(request.globalSubtitleStyle, rendition);
+    // a maxFileSize too small for the settled timeline is only known now
+    try {
+      targetVideoBitrate(encoding, timeline.total, rendition.encoding ? `${request.renditions.length > 1 ? `resolution[${r}]` : "resolution"}.encoding` : "encoding");
+    } catch (err) {
+      const [, path, message] = /^(\S+): ([\s\S]*)$/.exec(err.message);
+      errors.push({ path, message });
+      return { name: rendition.name, resolution: rendition.resolution, fit: fit.mode, encoding };
+    }
+    const { inputs, filterComplex, outputOptions, firstPassOptions } = buildRenderPlan({
+      segments,
+      resolution: rendition.resolution,
+      fit,
+      encoding,
+      subtitlePaths: segments.map((seg, i) => (seg.hasSubtitles ? `sub_${i}.ass` : null)),
+      subtitleStyles: segments.map((seg) => (seg.hasSubtitles ? style : null)),
+      // title text is written to files at render time; the plan shows their names
+      titleLines: segments.map((seg, i) => (seg.titleCard
+        ? layoutTitleCard(seg.titleCard, frame).map((line, n) => ({ ...line, textfile: `title_${i}_${n}.txt` }))
+        : null)),
+      lowerThirdLines: segments.map((seg, i) => (seg.lowerThird
+        ? layoutLowerThird(seg.lowerThird, frame).map((line, n) => ({ ...line, textfile: `lower_${i}_${n}.txt` }))
+        : null)),
+      overlays: request.overlays.map((overlay) => ({ ...overlay, path: overlay.url })),
+      backgroundMusic: request.backgroundMusic && { ...request.backgroundMusic, path: request.backgroundMusic.url },
+    });
+    return { name: rendition.name, resolution: rendition.resolution, fit: fit.mode, encoding, inputs, filterGraph: filterComplex, outputOptions, firstPassOptions };
+  });
+  plan.outputs = request.outputs;
+  plan.warnings = warnings;
+  if (errors.length) return { ...plan, valid: false, errors: toFieldErrors(errors) };
+  return plan;
+}
+
+export { planRenderJob };
@@ -0,0 +1,253 @@
+// lib/encoding.js
+import { spawn } from "child_process";
+
+// How the master video is encoded: named profiles (frame rate, rate control, preset,
+// keyframe interval) with per-request overrides, and which encoders the installed
+// ffmpeg can actually run. start.js probes the encoders once and hands the list to
+// server.js in FFMPEG_ENCODERS; without it nothing is rejected up front.
+
+// video encoders the master can be rendered with, by rate-control family
+const VIDEO_ENCODERS = {
+  libx264: "x264",
+  libx265: "x265",
+  h264_nvenc: "nvenc",
+  hevc_nvenc: "nvenc",
+  h264_qsv: "qsv",
+  hevc_qsv: "qsv",
+  h264_videotoolbox: "videotoolbox",
+  hevc_videotoolbox: "videotoolbox",
+};
+// every encoder the service uses somewhere (the master, webm and webp outputs)
+const KNOWN_ENCODERS = [...Object.keys(VIDEO_ENCODERS), "libvpx-vp9", "libopus", "libwebp"];
+// hardware encoders are often compiled in without a device to run on, so they are test-encoded
+const HARDWARE_FAMILIES = ["nvenc", "qsv", "videotoolbox"];
+
+const X264_PRESETS = ["ultrafast", "superfast", "veryfast", "faster", "fast", "medium", "slow", "slower", "veryslow"];
+// x264 preset names -> NVENC p1 (fastest) .. p7 (best)
+const NVENC_PRESETS = { ultrafast: "p1", superfast: "p2", veryfast: "p3", faster: "p4", fast: "p4", medium: "p5", slow: "p6", slower: "p7", veryslow: "p7" };
+
+// `gop` is the keyframe interval in seconds: HLS segments and seeking can only cut on keyframes
+const ENCODING_PROFILES = {
+  // the settings used before profiles existed: fastest encode, x264's default quality
+  draft: { fps: 24, preset: "ultrafast", crf: 23, gop: 10 },
+  standard: { fps: 30, preset: "veryfast", crf: 23, gop: 2 },
+  high: { fps: 30, preset: "slow", crf: 18, gop: 2, audioBitrate: "256k" },
+  // YouTube recommends a closed GOP of half the frame rate
+  youtube: { fps: 30, preset: "medium", crf: 18, gop: 0.5, audioBitrate: "384k" },
+  // Instagram and TikTok re-encode uploads, so a moderate bitrate cap keeps uploads small
+  instagram: { fps: 30, preset: "medium", bitrate: "3500k", gop: 2, audioBitrate: "128k" },
+  tiktok: { fps: 30, preset: "medium", bitrate: "4M", gop: 2, audioBitrate: "128k" },
+  twitter: { fps: 30, preset: "medium", bitrate: "5M", gop: 2, maxFileSize: "512MB", audioBitrate: "128k" },
+};
+
+const DEFAULTS = { encoder: "libx264", audioBitrate: "192k" };
+// below this a file size target produces unwatchable video, so it is rejected instead
+const MIN_VIDEO_BITRATE = 100000;
+
+const number = (value) => (value != null && value !== "" && Number.isFinite(Number(value)) ? Number(value) : null);
+
+let availableEncoders = process.env.FFMPEG_ENCODERS ? new Set(process.env.FFMPEG_ENCODERS.split(",").map((s) => s.trim()).filter(Boolean)) : null;
+
+// "5M", "800k" or bits per second -> bits per second
+function parseBitrate(value, field) {
+  const m = /^\s*(\d+(?:\.\d+)?)\s*([kKmM]?)\s*$/.exec(String(value));
+  if (!m || Number(m[1]) <= 0) throw new Error(`${field}: must be bits per second or a number with k / M (e.g. "800k", "5M")`);
+  return Math.round(Number(m[1]) * { "": 1, k: 1e3, m: 1e6 }[m[2].toLowerCase()]);
+}
+
+// "50MB", "1.5GB" or bytes -> bytes (KB/MB/GB are powers of 1024, which errs on the small side)
+function parseFileSize(value, field) {
+  const m = /^\s*(\d+(?:\.\d+)?)\s*(B|KB|MB|GB)?\s*$/i.exec(String(value));
+  if (!m || Number(m[1]) <= 0) throw new Error(`${field}: must be bytes or a number with KB / MB / GB (e.g. "50MB")`);
+  return Math.floor(Number(m[1]) * 1024 ** ["B", "KB", "MB", "GB"].indexOf((m[2] || "B").toUpperCase()));
+}
+
+const formatBitrate = (bps) => `${Math.round(bps / 1000)}k`;
+
+/**
+ * Check that the installed ffmpeg has `encoder` (only once start.js has probed them).
+ * @throws {Error} "<field>: ..." naming the encoders that are available
+ */
+function assertEncoderAvailable(encoder, field) {
+  if (!availableEncoders || availableEncoders.has(encoder)) return;
+  const available = [...availableEncoders].join(", ") || "none of the supported ones";
+  throw new Error(`${field}: encoder '${encoder}' is not available in the installed ffmpeg (available: ${available})`);
+}
+
+/**
+ * Normalise an `encoding` option: a profile name, or an object with an optional
+ * `profile` (default ENCODING_PROFILE, else draft) and overrides of its settings:
+ * `encoder`, `fps`, `crf` or `bitrate`, `preset` (x264 names), `gop` (seconds),
+ * `maxFileSize` and `twoPass`, `audioBitrate`. Setting `crf` drops the profile's
+ * bitrate and the other way round.
+ * @param {string} path - field path used in error messages, e.g. "encoding"
+ * @returns {object} { profile, encoder, fps, crf, bitrate, preset, gop, maxFileSize, twoPass, audioBitrate }
+ * @throws {Error} "<path>.<field>: message" for invalid or unavailable settings
+ */
+function normalizeEncoding(option, path = "encoding") {
+  const opts = option == null ? {} : typeof option === "string" ? { profile: option } : { ...option };
+  const profile = String(opts.profile || process.env.ENCODING_PROFILE || "draft").toLowerCase();
+  if (!ENCODING_PROFILES[profile]) {
+    throw new Error(`${path}.profile: unknown profile '${profile}' (expected one of ${Object.keys(ENCODING_PROFILES).join(", ")})`);
+  }
+  const base = { ...DEFAULTS, ...ENCODING_PROFILES[profile] };
+  // crf and bitrate are alternatives, so an override of one replaces the other
+  if (opts.crf != null) delete base.bitrate;
+  if (opts.bitrate != null) delete base.crf;
+  const settings = { ...base, ...Object.fromEntries(Object.entries(opts).filter(([, value]) => value != null)) };
+
+  const encoder = String(settings.encoder);
+  if (!VIDEO_ENCODERS[encoder]) {
+    throw new Error(`${path}.encoder: unknown encoder '${encoder}' (expected one of ${Object.keys(VIDEO_ENCODERS).join(", ")})`);
+  }
+  assertEncoderAvailable(encoder, `${path}.encoder`);
+
+  const fps = number(settings.fps);
+  if (fps == null || fps <= 0 || fps > 120) throw new Error(`${path}.fps: must be greater than 0 and at most 120`);
+  const crf = settings.crf != null ? number(settings.crf) : null;
+  if (settings.crf != null && (crf == null || crf < 0 || crf > 51)) throw new Error(`${path}.crf: must be between 0 and 51`);
+  const bitrate = settings.bitrate != null ? parseBitrate(settings.bitrate, `${path}.bitrate`) : null;
+  const preset = String(settings.preset || "medium").toLowerCase();
+  if (!X264_PRESETS.includes(preset)) throw new Error(`${path}.preset: must be one of ${X264_PRESETS.join(", ")}`);
+  const gop = number(settings.gop) ?? 2;
+  if (gop <= 0) throw new Error(`${path}.gop: must be greater than 0 (seconds between keyframes)`);
+  const maxFileSize = settings.maxFileSize != null ? parseFileSize(settings.maxFileSize, `${path}.maxFileSize`) : null;
+  const audioBitrate = formatBitrate(parseBitrate(settings.audioBitrate, `${path}.audioBitrate`));
+
+  // two passes hit a size or bitrate target much more closely; only the software encoders have them
+  const family = VIDEO_ENCODERS[encoder];
+  const twoPass = settings.twoPass != null ? settings.twoPass === true : Boolean(maxFileSize) && (family === "x264" || family === "x265");
+  if (twoPass && family !== "x264" && family !== "x265") throw new Error(`${path}.twoPass: is only supported with libx264 and libx265`);
+  if (twoPass && bitrate == null && maxFileSize == null) throw new Error(`${path}.twoPass: needs a bitrate or maxFileSize to aim for`);
+
+  return { profile, encoder, fps, crf: bitrate == null ? crf ?? 23 : null, bitrate, preset, gop, maxFileSize, twoPass, audioBitrate };
+}
+
+/**
+ * Video bitrate (bits per second) for a render of `duration` seconds: the configured
+ * bitrate, lowered when needed so that video plus audio fit `maxFileSize`; null for
+ * CRF encodes.
+ * @throws {Error} "encoding.maxFileSize: ..." when the size is too small for the duration
+ */
+function targetVideoBitrate(encoding, duration, path = "encoding") {
+  if (!encoding.maxFileSize) return encoding.bitrate;
+  // leave 2% for the container
+  const total = Math.floor((encoding.maxFileSize * 8 * 0.98) / duration);
+  const video = total - parseBitrate(encoding.audioBitrate, `${path}.audioBitrate`);
+  if (video < MIN_VIDEO_BITRATE) {
+    throw new Error(`${path}.maxFileSize: ${encoding.maxFileSize} bytes is too small for a ${Math.round(duration * 10) / 10}s video`);
+  }
+  return encoding.bitrate != null ? Math.min(encoding.bitrate, video) : video;
+}
+
+/**
+ * ffmpeg output options for the video stream: codec, preset, rate control, frame
+ * rate, keyframe interval and pixel format.
+ * @param {object} encoding - from normalizeEncoding
+ * @param {object} [params]
+ * @param {number} [params.bitrate] - video bits per second (see targetVideoBitrate); CRF when null
+ * @param {number} [params.pass] - 1 or 2 for a two-pass encode
+ * @param {string} [params.passLogFile] - stats file prefix shared by both passes
+ * @param {boolean} [params.stillImage] - the picture never moves (x264 stillimage tuning)
+ * @returns {string[]}
+ */
+function buildEncoderOptions(encoding, { bitrate = encoding.bitrate, pass = null, passLogFile = "ffmpeg2pass", stillImage = false } = {}) {
+  const family = VIDEO_ENCODERS[encoding.encoder];
+  const options = [`-c:v ${encoding.encoder}`];
+
+  if (family === "x264" || family === "x265") options.push(`-preset ${encoding.preset}`);
+  else if (family === "nvenc") options.push(`-preset ${NVENC_PRESETS[encoding.preset]}`);
+  else if (family === "qsv") options.push(`-preset ${X264_PRESETS.indexOf(encoding.preset) < 2 ? "veryfast" : encoding.preset}`);
+  if (family === "x264" && stillImage) options.push("-tune stillimage");
+
+  if (bitrate != null) {
+    // capped VBR; two passes spread the bits by scene complexity instead
+    options.push(`-b:v ${formatBitrate(bitrate)}`);
+    if (!pass) options.push(`-maxrate ${formatBitrate(bitrate * 1.5)}`, `-bufsize ${formatBitrate(bitrate * 2)}`);
+  } else if (family === "x264" || family === "x265") {
+    options.push(`-crf ${encoding.crf}`);
+  } else if (family === "nvenc") {
+    options.push("-rc vbr", `-cq ${encoding.crf}`, "-b:v 0");
+  } else if (family === "qsv") {
+    options.push(`-global_quality ${encoding.crf}`);
+  } else {
+    // VideoToolbox has a 1-100 quality scale instead; a rough equivalent of the CRF
+    options.push(`-q:v ${Math.max(1, Math.min(100, Math.round(100 - encoding.crf * 1.5)))}`);
+  }
+
+  if (pass && family === "x264") options.push(`-pass ${pass}`, `-passlogfile ${passLogFile}`);
+  if (pass && family === "x265") options.push(`-x265-params pass=${pass}:stats=${passLogFile}.log`);
+  // Apple players only recognise HEVC in mp4 with the hvc1 tag
+  if (encoding.encoder === "libx265" || encoding.encoder.startsWith("hevc_")) options.push("-tag:v hvc1");
+
+  options.push(
+    `-r ${encoding.fps}`,
+    `-g ${Math.max(1, Math.round(encoding.gop * encoding.fps))}`,
+    `-pix_fmt ${family === "qsv" ? "nv12" : "yuv420p"}`,
+  );
+  return options;
+}
+
+function runProcess(command, args, timeoutMs) {
+  return new Promise((resolve) => {
+    let stdout = "";
+    const child = spawn(command, args, { stdio: ["ignore", "pipe", "ignore"] });
+    const timer = setTimeout(() => child.kill("SIGKILL"), timeoutMs);
+    child.stdout.on("data", (chunk) => (stdout += chunk));
+    child.on("error", () => {
+      clearTimeout(timer);
+      resolve({ code: -1, stdout });
+    });
+    child.on("close", (code) => {
+      clearTimeout(timer);
+      resolve({ code, stdout });
+    });
+  });
+}
+
+/**
+ * Probe which of the encoders this service uses the installed ffmpeg supports:
+ * everything listed by `ffmpeg -encoders`, with hardware encoders kept only when a
+ * short test encode succeeds (they are often built in without a device to run on).
+ * @param {string} [command="ffmpeg"]
+ * @returns {Promise<string[]>} encoder names, empty when ffmpeg could not be run
+ */
+async function probeEncoders(command = "ffmpeg") {
+  const { code, stdout } = await runProcess(command, ["-hide_banner", "-encoders"], 10000);
+  if (code !== 0) return [];
+  // " V....D libx264   libx264 H.264 / AVC ..." -> libx264
+  const listed = new Set(stdout.split("\n").map((line) => /^\s*[VAS][A-Z.]{5}\s+(\S+)/.exec(line)).filter(Boolean).map((m) => m[1]));
+
+  const found = [];
+  for (const encoder of KNOWN_ENCODERS.filter((name) => listed.has(name))) {
+    if (HARDWARE_FAMILIES.includes(VIDEO_ENCODERS[encoder])) {
+      const test = await runProcess(command, [
+        "-hide_banner", "-loglevel", "error", "-f", "lavfi", "-i", "color=c=black:s=256x256:d=0.2",
+        "-c:v", encoder, "-f", "null", "-",
+      ], 15000);
+      if (test.code !== 0) continue;
+    }
+    found.push(encoder);
+  }
+  return found;
+}
+
+// replace the known encoders (server.js when started without start.js)
+function setAvailableEncoders(list) {
+  availableEncoders = new Set(list);
+}
+
+const getAvailableEncoders = () => (availableEncoders ? [...availableEncoders] : null);
+
+export {
+  normalizeEncoding,
+  targetVideoBitrate,
+  buildEncoderOptions,
+  assertEncoderAvailable,
+  probeEncoders,
+  setAvailableEncoders,
+  getAvailableEncoders,
+  ENCODING_PROFILES,
+  VIDEO_ENCODERS,
+  X264_PRESETS,
+};
@@ -1,59 +1,313 @@
 // lib/ffmpegHelpers.js
 import ffmpeg from "fluent-ffmpeg";
-import { dirname } from "path";
+import { dirname, join } from "path";
 import { writeFileSync } from "fs";
 import os from "os";
+import { toForceStyle } from "./subtitleHelpers.js";
+import { buildAudioChain, buildSilenceSource, buildMusicFilters, musicInputOptions } from "./audioHelpers.js";
+import { buildMotionFilter } from "./motionHelpers.js";
+import { buildFitFilter } from "./fitHelpers.js";
+import { buildTimeline, buildJoinFilters } from "./transitionHelpers.js";
+import { clipInputOptions, buildClipTimingFilter, buildClipHoldFilter, buildClipAudioFilters, usesClipAudio } from "./clipHelpers.js";
+import { buildTitleBackground } from "./titleCardHelpers.js";
+import { buildOverlayFilters } from "./overlayHelpers.js";
+import { normalizeEncoding, buildEncoderOptions, targetVideoBitrate } from "./encoding.js";
 
+// parse a "WIDTHxHEIGHT" string, falling back to 1280x720 for bad values
+function parseResolution(resolution = "1280x720") {
+  const [w, h] = String(resolution).split("x").map((s) => Number(s) || 0);
+  const width = Number.isFinite(w) && w > 0 ? w : 1280;
+  const height = Number.isFinite(h) && h > 0 ? h : 720;
+  return { width, height };
+}
+
+// escape a value (e.g. a file path) for use inside a filtergraph option
+function escapeFilterValue(value) {
+  return String(value)
+    .replace(/\\/g, "/")
+    .replace(/([:'\[\],;])/g, "\\$1");
+}
+
+/**
+ * Build the ffmpeg `subtitles` filter that burns a subtitle file into the frame.
+ * ASS files carry their own styling; for other formats (SRT) the style is applied
+ * through `force_style`.
+ */
+function buildSubtitleFilter(subtitlePath, subtitleStyle) {
+  if (!subtitlePath) return null;
+  let filter = `subtitles=filename=${escapeFilterValue(subtitlePath)}`;
+  if (!/\.ass$/i.test(subtitlePath) && subtitleStyle) {
+    const forceStyle = typeof subtitleStyle === "string" ? subtitleStyle : toForceStyle(subtitleStyle);
+    if (forceStyle) filter += `:force_style='${forceStyle.replace(/'/g, "")}'`;
+  }
+  return filter;
+}
+
+/**
+ * Build a `drawtext` filter for one laid-out text line (see layoutTitleCard and
+ * layoutLowerThird). The text is read from `textfile` with expansion off, so user
+ * text is never parsed by the filter graph; without a bundled font fontconfig picks
+ * "Sans". Optional `boxcolor` draws a box behind the text, `enable` limits when it shows.
+ */
+function buildDrawtextFilter(line) {
+  const options = [
+    `textfile=${escapeFilterValue(line.textfile)}`,
+    line.fontfile ? `fontfile=${escapeFilterValue(line.fontfile)}` : "font=Sans",
+    "expansion=none",
+    `fontsize=${line.fontsize}`,
+    `fontcolor=${line.fontcolor}`,
+    `x='${line.x}'`,
+    `y=${line.y}`,
+  ];
+  if (line.alpha) options.push(`alpha='${line.alpha}'`);
+  if (line.boxcolor) options.push("box=1", `boxcolor=${line.boxcolor}`, `boxborderw=${line.boxborderw}`);
+  if (line.enable) options.push(`enable='${line.enable}'`);
+  return `drawtext=${options.join(":")}`;
+}
+
+// input for a title card: the generated background, `duration` seconds long at `fps`
+function titleCardInput(card, { width, height, fps, duration }) {
+  return { path: buildTitleBackground(card, { width, height, fps, duration }), options: ["-f lavfi"] };
+}
+
+// "HH:MM:SS.xx" timemark from a fluent-ffmpeg progress event -> seconds
+function parseTimemark(timemark) {
+  const m = /^(-?)(\d+):(\d+):(\d+(?:\.\d+)?)$/.exec(String(timemark || ""));
+  if (!m || m[1]) return 0;
+  return Number(m[2]) * 3600 + Number(m[3]) * 60 + Number(m[4]);
+}
+
+/**
+ * Run a prepared fluent-ffmpeg command, logging its command line and stderr.
+ * @param {object} cmd - fluent-ffmpeg command with inputs/outputs set
+ * @param {string} [label="ffmpeg"] - prefix for log lines
+ * @param {object} [options]
+ * @param {AbortSignal} [options.signal] - aborting it (job cancelled) kills ffmpeg and
+ *   rejects with the signal's reason
+ * @returns {Promise<void>}
+ */
+function runFfmpegCommand(cmd, label = "ffmpeg", { signal = null } = {}) {
+  return new Promise((resolve, reject) => {
+    if (signal && signal.aborted) return reject(signal.reason);
+    const detach = killOnAbort(cmd, signal, reject);
+    cmd
+      .on("start", (cmdline) => console.log(`${label} start:`, cmdline))
+      .on("stderr", (line) => console.log(`${label} stderr:`, line))
+      .on("end", () => {
+        detach();
+        resolve();
+      })
+      .on("error", (err) => {
+        detach();
+        console.error(`${label} error:`, err && err.message);
+        reject(err);
+      })
+      .run();
+  });
+}
+
+/**
+ * Kill `cmd` when `signal` aborts (job cancelled) and reject with the abort reason.
+ * fluent-ffmpeg can only kill a spawned process, so an abort that lands before the
+ * spawn kills it on `start`.
+ * @returns {Function} detach, to call once the command has finished
+ */
+function killOnAbort(cmd, signal, reject) {
+  if (!signal) return () => {};
+  const kill = () => {
+    try { cmd.kill("SIGKILL"); } catch (e) {}
+  };
+  const onAbort = () => {
+    console.log("ffmpeg: job cancelled, killing the process");
+    kill();
+    reject(signal.reason);
+  };
+  signal.addEventListener("abort", onAbort, { once: true });
+  cmd.on("start", () => {
+    if (signal.aborted) kill();
+  });
+  return () => signal.removeEventListener("abort", onAbort);
+}
+
+// helper to probe image dimensions
+function probeImage(path) {
+  return new Promise((resolve) => {
+    ffmpeg.ffprobe(path, (err, metadata) => {
+      if (err || !metadata || !Array.isArray(metadata.streams)) return resolve({ w: 0, h: 0 });
+      const vs = metadata.streams.find((s) => s.width && s.height);
+      if (!vs) return resolve({ w: 0, h: 0 });
+      resolve({ w: vs.width || 0, h: vs.height || 0 });
+    });
+  });
+}
+
+/**
+ * Probe the duration of a media file (seconds).
+ * Uses the container duration and falls back to the longest stream.
+ * @param {string} path - local file (never a URL: ffprobe would bypass the download policy)
+ * @returns {Promise<number>}
+ */
+function probeDuration(path) {
+  return new Promise((resolve, reject) => {
+    ffmpeg.ffprobe(path, (err, metadata) => {
+      if (err) return reject(new Error(`ffprobe failed for ${path}: ${err.message}`));
+      let duration = Number(metadata && metadata.format && metadata.format.duration);
+      if (!Number.isFinite(duration) || duration <= 0) {
+        const streams = (metadata && metadata.streams) || [];
+        duration = Math.max(0, ...streams.map((s) => Number(s.duration) || 0));
+      }
+      if (!duration) return reject(new Error(`Could not determine duration of ${path}`));
+      resolve(duration);
+    });
+  });
+}
+
+/**
+ * Fit an image into the target frame (see buildFitFilter for the `fit` modes),
+ * using the probed source `dims` for explicit geometry when they are known.
+ * Optional `motion` (see normalizeMotion) pans/zooms within the fitted frame;
+ * subtitles are burned in last so they don't move with it.
+ * For a video `clip` (see normalizeClip) the frames are retimed to `fps` first and
+ * held on the last one until `duration`. Title cards are generated at the frame size,
+ * so only their `titleLines` are drawn. A lower third (`lowerThirdLines`) goes on
+ * top of the picture, under the subtitles.
+ */
+function buildVideoChain({ width, height, dims, duration, fps, fit = null, label, motion, clip = null, titleLines = null, lowerThirdLines = null, subtitlePath, subtitleStyle }) {
+  let videoFilter;
+  if (titleLines) {
+    videoFilter = [...titleLines.map(buildDrawtextFilter), "setsar=1", "format=yuv420p"].join(",");
+  } else {
+    videoFilter = buildFitFilter(fit, { width, height, dims, label });
+    if (clip) videoFilter = `${buildClipTimingFilter(clip, fps)},${videoFilter},${buildClipHoldFilter(duration)}`;
+    else if (motion) videoFilter += `,${buildMotionFilter(motion, { width, height, duration, fps })}`;
+  }
+  if (lowerThirdLines) videoFilter += `,${lowerThirdLines.map(buildDrawtextFilter).join(",")}`;
+
+  const subtitleFilter = buildSubtitleFilter(subtitlePath, subtitleStyle);
+  if (subtitleFilter) videoFilter += `,${subtitleFilter}`;
+  return videoFilter;
+}
+
+/**
+ * Encode one segment to its own mp4.
+ * When `audioPath` is given the narration is padded/trimmed to `duration`. Set
+ * `withAudio` to add a silent track to segments without narration so that all
+ * segment files share the same streams and can be joined with `concatVideos`.
+ * Video segments pass `videoPath` and `clip` (normalised, probed clip options)
+ * instead of `imagePath`; title cards pass `titleCard` and its laid-out `titleLines`.
+ * Watermark `overlays` (with a local `path`) are composited with their time range
+ * shifted by `overlayOffset`, the segment's start on the timeline.
+ * `encoding` (see normalizeEncoding) sets the codec, rate control and frame rate;
+ * `bitrate` overrides its video bitrate (a file size target spread over the job).
+ * Aborting `signal` kills ffmpeg and rejects with the signal's reason.
+ */
 function createSegmentVideo({
   imagePath,
+  videoPath = null,
+  clip = null,
+  titleCard = null,
+  titleLines = null,
+  lowerThirdLines = null,
+  overlays = [],
+  overlayOffset = 0,
   outPath,
   resolution = "1280x720",
   duration = 3 /* seconds, required by payload now - default fallback */,
+  audioPath = null,
+  withAudio = Boolean(audioPath),
+  motion = null,
+  fit = null,
+  subtitlePath = null,
+  subtitleStyle = null,
   threads = Math.max(1, os.cpus().length - 1),
-  encoder = "libx264", // allow 'h264_nvenc' or others if desired
+  encoding = normalizeEncoding(),
+  bitrate = encoding.bitrate,
+  onProgress = null, // called with the encoded seconds so far
+  signal = null,
 }) {
   return new Promise((resolve, reject) => {
+    if (signal && signal.aborted) return reject(signal.reason);
     // build vf filter from resolution param (width x height)
-    const [w, h] = resolution.split("x").map((s) => Number(s) || 0);
-    const width = Number.isFinite(w) && w > 0 ? w : 1280;
-    const height = Number.isFinite(h) && h > 0 ? h : 720;
+    const { width, height } = parseResolution(resolution);
 
-    const vfFilter = `scale=${width}:${height}:force_original_aspect_ratio=decrease,pad=${width}:${height}:(ow-iw)/2:(oh-ih)/2`;
-
-    const codecOption = encoder === "libx264" ? "-c:v libx264" : `-c:v ${encoder}`;
+    const chain = buildVideoChain({ width, height, duration, fps: encoding.fps, fit, motion, clip, titleLines, lowerThirdLines, subtitlePath, subtitleStyle });
+    const filters = [];
+    if (overlays.length) {
+      // overlay images are added after the narration input
+      const firstOverlay = audioPath ? 2 : 1;
+      const composited = buildOverlayFilters({
+        overlays,
+        inputs: overlays.map((_, i) => firstOverlay + i),
+        videoLabel: "[base]",
+        outLabel: "v",
+        width,
+        height,
+        offset: overlayOffset,
+        duration,
+      });
+      filters.push(`[0:v]${chain}${composited.filters.length ? "[base]" : "[v]"}`, ...composited.filters);
+    } else {
+      filters.push(`[0:v]${chain}[v]`);
+    }
+    const maps = ["-map [v]"];
+    const clipAudio = usesClipAudio({ clip });
+    if (clipAudio) {
+      filters.push(...buildClipAudioFilters({ clipInput: 0, narrationInput: audioPath ? 1 : null, clip, duration, label: "a" }));
+    } else if (audioPath) {
+      filters.push(`[1:a]${buildAudioChain(duration)}[a]`);
+    } else if (withAudio) {
+      filters.push(`${buildSilenceSource(duration)}[a]`);
+    }
+    if (audioPath || withAudio || clipAudio) maps.push("-map [a]", "-c:a aac", `-b:a ${encoding.audioBitrate}`);
 
     let timeout;
-    const cmd = ffmpeg()
-      .addInput(imagePath)
-      .inputOptions(["-loop 1"])
+    let detach;
+    let cmd;
+    if (clip) {
+      cmd = ffmpeg().addInput(videoPath).inputOptions(clipInputOptions(clip));
+    } else if (titleCard) {
+      const input = titleCardInput(titleCard, { width, height, fps: encoding.fps, duration });
+      cmd = ffmpeg().addInput(input.path).inputOptions(input.options);
+    } else {
+      cmd = ffmpeg().addInput(imagePath).inputOptions(["-loop 1", `-framerate ${encoding.fps}`]);
+    }
+    if (audioPath) cmd.addInput(audioPath);
+    overlays.forEach((overlay) => cmd.addInput(overlay.path));
+
+    cmd.complexFilter(filters.join(';'))
       .outputOptions([
-        codecOption,
-        "-preset ultrafast",
-        "-tune stillimage",
-        "-pix_fmt yuv420p",
+        // stillimage tuning hurts compression once the frame moves
+        ...buildEncoderOptions(encoding, { bitrate, stillImage: !(motion || clip || (titleCard && titleCard.fadeIn)) }),
         "-movflags +faststart",
-        `-vf ${vfFilter}`,
-        "-r 24",
         `-threads ${threads}`,
       ])
+      .outputOptions(maps)
       .output(outPath)
       .on("start", (cmdline) => {
         console.log('ffmpeg start:', cmdline);
+        // a minute plus ten times the segment length: long clips and slow presets encode
+        // well below real time, a stuck ffmpeg still gets killed
+        const timeoutMs = 60000 + Math.ceil(Number(duration) || 0) * 10000;
         timeout = setTimeout(() => {
-          console.error('FFmpeg process timed out after 60 seconds');
+          console.error(`FFmpeg process timed out after ${timeoutMs / 1000} seconds`);
           try { cmd.kill('SIGKILL'); } catch (e) {}
           reject(new Error('FFmpeg process timed out'));
-        }, 60000);
+        }, timeoutMs);
       })
       .on('stderr', (line) => {
         console.log('ffmpeg stderr:', line);
       })
+      .on("progress", (p) => {
+        if (onProgress) onProgress(parseTimemark(p.timemark));
+      })
       .on("end", () => {
         if (timeout) clearTimeout(timeout);
+        detach();
         resolve(outPath);
       })
       .on("error", (err) => {
         if (timeout) clearTimeout(timeout);
+        detach();
         console.error('ffmpeg error (segment):', err && err.message);
         reject(err);
       });
@@ -61,124 +315,258 @@ function createSegmentVideo({
     if (duration) {
       cmd.outputOptions(`-t ${duration}`);
     }
+    detach = killOnAbort(cmd, signal, reject);
     cmd.run();
   });
 }
 
-function concatVideos(videoPaths, finalOutPath) {
-  return new Promise((resolve, reject) => {
-    const listFile = `${dirname(finalOutPath)}/filelist.txt`;
-    const content = videoPaths
-      .map((p) => `file '${p.replace(/'/g, "'\\''")}'`)
-      .join("\n");
-    writeFileSync(listFile, content);
-
-    ffmpeg()
-      .input(listFile)
-      .inputOptions(["-f concat", "-safe 0"])
-      .outputOptions(["-c copy", "-movflags +faststart"]) // use copy!
-      .output(finalOutPath)
-      .on("end", () => resolve(finalOutPath))
-      .on("error", (err) => reject(err))
-      .run();
-  });
+// join encoded segments without re-encoding; aborting `signal` kills ffmpeg
+async function concatVideos(videoPaths, finalOutPath, { signal = null } = {}) {
+  const listFile = `${dirname(finalOutPath)}/filelist.txt`;
+  const content = videoPaths
+    .map((p) => `file '${p.replace(/'/g, "'\\''")}'`)
+    .join("\n");
+  writeFileSync(listFile, content);
+
+  const cmd = ffmpeg()
+    .input(listFile)
+    .inputOptions(["-f concat", "-safe 0"])
+    .outputOptions(["-c copy", "-movflags +faststart"]) // use copy!
+    .output(finalOutPath);
+  await runFfmpegCommand(cmd, "ffmpeg (concat)", { signal });
+  return finalOutPath;
 }
 
-export { createSegmentVideo, concatVideos };
+export { createSegmentVideo, concatVideos, parseResolution, buildSubtitleFilter, probeDuration, runFfmpegCommand, parseTimemark, killOnAbort };
 
 /**
- * Create one video from multiple segments in a single ffmpeg run.
- * Each segment is an object: { imagePath, audioPath, duration }
- * This reduces process spawn and re-encoding overhead when building many short clips.
+ * Plan the single-run render: the ffmpeg inputs, filter graph and output options
+ * that createVideoFromSegments runs. Kept separate so a dry run can show the plan
+ * without rendering.
+ * Each segment is an object: { imagePath, audioPath, duration }, or for video clips
+ * { videoPath, clip, audioPath, duration } (see normalizeClip / probeClip); clips keep
+ * their own sound when `clip.keepAudio` is set and they have any. Title cards are
+ * { titleCard, duration } with their text laid out per rendition in `titleLines`
+ * (aligned with `segments`, see layoutTitleCard / writeTitleCardText).
+ * `lowerThirdLines` (aligned with `segments`) are drawn on their segment; watermark
+ * `overlays` ({ path, position, ... }, see normalizeOverlays) are composited over the
+ * joined video.
+ * `subtitlePaths`/`subtitleStyles` are optional arrays aligned with `segments`; a
+ * subtitle file is burned into its own segment before the segments are joined, so
+ * its timings stay relative to the segment start.
+ * `fit` (see normalizeFit) is the default placement of images that don't match the
+ * frame; a segment's own `fit` overrides it. `dims` are the probed image sizes
+ * (aligned with `segments`); without them ffmpeg works out the scaling.
+ * `backgroundMusic` (normalised options plus the downloaded `path`) lays a music bed
+ * under the whole timeline, ducked under the narration when there is any.
+ * A segment's `transition` ({ type, duration }) crossfades into it from the previous
+ * segment with xfade (and acrossfade for the narration); see buildTimeline for how
+ * overlaps shorten the total length.
+ * `encoding` (see normalizeEncoding) sets the codec, rate control and frame rate; a
+ * `maxFileSize` is turned into a video bitrate for the timeline's length. Two-pass
+ * encodes also return `firstPassOptions` (written to the null muxer, with the stats
+ * under `passLogFile`).
+ * @returns {{ inputs: Array<{ path: string, options: string[] }>, filterComplex: string, outputOptions: string[], firstPassOptions: string[]|null, timeline: object }}
+ * @throws {Error} when `encoding.maxFileSize` is too small for the timeline
  */
-async function createVideoFromSegments({ segments, outPath, resolution = "1280x720", threads = Math.max(1, os.cpus().length - 1), encoder = "libx264" }) {
+function buildRenderPlan({ segments, resolution = "1280x720", fit = null, dims = [], subtitlePaths = [], subtitleStyles = [], titleLines = [], lowerThirdLines = [], overlays = [], backgroundMusic = null, threads = Math.max(1, os.cpus().length - 1), encoding = normalizeEncoding(), passLogFile = "ffmpeg2pass" }) {
   if (!Array.isArray(segments) || segments.length === 0) throw new Error('segments array required');
 
-  const [w, h] = resolution.split("x").map((s) => Number(s) || 0);
-  const width = Number.isFinite(w) && w > 0 ? w : 1280;
-  const height = Number.isFinite(h) && h > 0 ? h : 720;
+  const { width, height } = parseResolution(resolution);
 
-  const cmd = ffmpeg();
+  // narration (or clip sound) is only mixed in when at least one segment has it; the others get silence
+  const hasAudio = segments.some((seg) => seg && (seg.audioPath || usesClipAudio(seg)));
 
-  // Add only image inputs: image0, image1, ...
+  // Add inputs in segment order: image0 / clip0, [audio0], image1, [audio1], ...
+  const inputs = [];
+  const inputIndex = [];
   segments.forEach((seg) => {
-    // image input: loop and set framerate; add -t based on numeric duration (required in new payload)
-    cmd.addInput(seg.imagePath);
-    const imgInputOpts = [`-loop 1`, `-framerate 24`];
-    if (seg && seg.duration != null && Number.isFinite(Number(seg.duration))) {
-      imgInputOpts.push(`-t ${seg.duration}`);
+    if (seg.clip) {
+      // clips are seeked to their trimmed range; the hold filter settles the length
+      inputs.push({ path: seg.videoPath, options: clipInputOptions(seg.clip) });
+    } else if (seg.titleCard) {
+      inputs.push(titleCardInput(seg.titleCard, { width, height, fps: encoding.fps, duration: seg.duration }));
+    } else {
+      // image input: loop and set framerate; add -t based on numeric duration (required in new payload)
+      const imgInputOpts = [`-loop 1`, `-framerate ${encoding.fps}`];
+      if (seg && seg.duration != null && Number.isFinite(Number(seg.duration))) {
+        imgInputOpts.push(`-t ${seg.duration}`);
+      }
+      inputs.push({ path: seg.imagePath, options: imgInputOpts });
     }
-    cmd.inputOptions(imgInputOpts);
+    const entry = { video: inputs.length - 1, audio: null };
+
+    if (seg.audioPath) {
+      inputs.push({ path: seg.audioPath, options: [] });
+      entry.audio = inputs.length - 1;
+    }
+    inputIndex.push(entry);
+  });
+
+  let musicInput = null;
+  if (backgroundMusic && backgroundMusic.path) {
+    inputs.push({ path: backgroundMusic.path, options: musicInputOptions(backgroundMusic) });
+    musicInput = inputs.length - 1;
+  }
+
+  // watermark images: a single frame each, repeated by the overlay filter
+  const overlayInputs = overlays.map((overlay) => {
+    inputs.push({ path: overlay.path, options: [] });
+    return inputs.length - 1;
   });
 
-  // Probe each image to compute an explicit numeric scale (width/height)
   const filters = [];
-  const concatInputs = [];
-
-  // helper to probe image dimensions
-  const probeImage = (path) =>
-    new Promise((resolve) => {
-      ffmpeg.ffprobe(path, (err, metadata) => {
-        if (err || !metadata || !Array.isArray(metadata.streams)) return resolve({ w: 0, h: 0 });
-        const vs = metadata.streams.find((s) => s.width && s.height);
-        if (!vs) return resolve({ w: 0, h: 0 });
-        resolve({ w: vs.width || 0, h: vs.height || 0 });
-      });
+  const videoLabels = [];
+  const audioLabels = [];
+  const timeline = buildTimeline(segments);
+
+  segments.forEach((seg, i) => {
+    let videoFilter = buildVideoChain({
+      width,
+      height,
+      dims: dims[i],
+      duration: seg.duration,
+      fps: encoding.fps,
+      // a segment's own fit wins over the job / rendition default
+      fit: seg.fit || fit,
+      label: `fit${i}`,
+      motion: seg.motion,
+      clip: seg.clip,
+      titleLines: seg.titleCard ? titleLines[i] : null,
+      lowerThirdLines: lowerThirdLines[i],
+      subtitlePath: subtitlePaths[i],
+      subtitleStyle: subtitleStyles[i],
     });
 
-  const dims = await Promise.all(segments.map((s) => probeImage(s.imagePath)));
+    // xfade needs both inputs with the same frame rate, pixel format and timebase
+    if (timeline.hasTransitions) videoFilter += `,fps=${encoding.fps},format=yuv420p,settb=AVTB`;
 
-  segments.forEach((_, i) => {
-    const vIndex = i; // video input index (only images now)
-    const { w: iw, h: ih } = dims[i] || { w: 0, h: 0 };
+    filters.push(`[${inputIndex[i].video}:v]${videoFilter}[sv${i}]`);
+    videoLabels.push(`[sv${i}]`);
 
-    // Build video filter chain
-    let videoFilter;
-    if (!iw || !ih) {
-      videoFilter = `scale=${width}:${height}:force_original_aspect_ratio=decrease,pad=${width}:${height}:(ow-iw)/2:(oh-ih)/2,setsar=1`;
-    } else {
-      const ratioW = width / iw;
-      const ratioH = height / ih;
-      const factor = Math.min(ratioW, ratioH, 1);
-      const scaledW = Math.max(1, Math.floor(iw * factor));
-      const scaledH = Math.max(1, Math.floor(ih * factor));
-      videoFilter = `scale=${scaledW}:${scaledH},pad=${width}:${height}:(ow-iw)/2:(oh-ih)/2,setsar=1`;
+    if (hasAudio) {
+      if (usesClipAudio(seg)) {
+        filters.push(...buildClipAudioFilters({
+          clipInput: inputIndex[i].video,
+          narrationInput: inputIndex[i].audio,
+          clip: seg.clip,
+          duration: seg.duration,
+          label: `sa${i}`,
+        }));
+      } else if (inputIndex[i].audio != null) {
+        filters.push(`[${inputIndex[i].audio}:a]${buildAudioChain(seg.duration)}[sa${i}]`);
+      } else {
+        filters.push(`${buildSilenceSource(seg.duration)}[sa${i}]`);
+      }
+      audioLabels.push(`[sa${i}]`);
     }
-
-    filters.push(`[${vIndex}:v]${videoFilter}[sv${i}]`);
-    concatInputs.push(`[sv${i}]`);
   });
 
-  // concat filter: n=segments, each with v=1 a=0; inputs must be in order v0,v1,v2...
-  filters.push(`${concatInputs.join('')}concat=n=${segments.length}:v=1:a=0[v]`);
+  // join segments in order: concat for hard cuts, xfade/acrossfade for transitions
+  filters.push(...buildJoinFilters({ videoLabels, audioLabels: hasAudio ? audioLabels : null, timeline }));
 
-  const filterComplex = filters.join(';');
-  console.log('built filterComplex:', filterComplex);
+  // watermarks go over the joined video, so they stay put through transitions
+  let videoLabel = "[v]";
+  if (overlays.length) {
+    const composited = buildOverlayFilters({ overlays, inputs: overlayInputs, videoLabel, outLabel: "vout", width, height });
+    filters.push(...composited.filters);
+    videoLabel = composited.label;
+  }
 
-  const codecOption = encoder === "libx264" ? "-c:v libx264" : `-c:v ${encoder}`;
+  // mixing stage: music bed under (and ducked by) the joined narration
+  let audioLabel = hasAudio ? "[a]" : null;
+  if (musicInput != null) {
+    filters.push(...buildMusicFilters({
+      musicLabel: `[${musicInput}:a]`,
+      narrationLabel: audioLabel,
+      totalDuration: timeline.total,
+      music: backgroundMusic,
+    }));
+    audioLabel = "[aout]";
+  }
 
-  cmd.complexFilter(filterComplex)
-    .on('start', (cmdline) => console.log('ffmpeg start:', cmdline))
-    .on('stderr', (line) => console.log('ffmpeg stderr:', line))
-    .outputOptions([
-      codecOption,
-      "-preset ultrafast",
-      "-tune stillimage",
-      "-pix_fmt yuv420p",
+  const hasMotion = segments.some((seg) => seg && (seg.motion || seg.clip || (seg.titleCard && seg.titleCard.fadeIn)));
+  const bitrate = targetVideoBitrate(encoding, timeline.total);
+  const outputFor = (pass) => {
+    const options = [
+      ...buildEncoderOptions(encoding, { bitrate, pass, passLogFile, stillImage: !hasMotion }),
       "-movflags +faststart",
-      `-r 24`,
       `-threads ${threads}`,
-    ])
-    .outputOptions(["-map [v]"])
-    .output(outPath);
+      `-map ${videoLabel}`,
+    ];
+    if (audioLabel) options.push(`-map ${audioLabel}`, "-c:a aac", `-b:a ${encoding.audioBitrate}`);
+    return options;
+  };
+  const outputOptions = outputFor(encoding.twoPass ? 2 : null);
+  // the first pass only gathers statistics
+  const firstPassOptions = encoding.twoPass ? [...outputFor(1), "-f null"] : null;
 
-  await new Promise((resolve, reject) => {
-    cmd.on('end', () => resolve(outPath)).on('error', (err) => reject(err)).run();
+  return { inputs, filterComplex: filters.join(';'), outputOptions, firstPassOptions, timeline };
+}
+
+/**
+ * Create one video from multiple segments in a single ffmpeg run (see buildRenderPlan
+ * for the options). Images are probed first so the scaling uses explicit sizes.
+ * A two-pass encode runs the same graph twice, with its stats next to `outPath`.
+ * `onProgress` is called with the encoded seconds so far (both passes count half
+ * of the timeline). Aborting `signal` kills ffmpeg and rejects with the signal's reason.
+ * This reduces process spawn and re-encoding overhead when building many short clips.
+ */
+async function createVideoFromSegments({ segments, outPath, onProgress = null, signal = null, ...options }) {
+  if (!Array.isArray(segments) || segments.length === 0) throw new Error('segments array required');
+
+  // Probe each image (or clip) to compute an explicit numeric scale (width/height);
+  // title cards are generated at the frame size
+  const dims = await Promise.all(segments.map((s) => (s.titleCard ? null : probeImage(s.clip ? s.videoPath : s.imagePath))));
+  const { inputs, filterComplex, outputOptions, firstPassOptions, timeline } = buildRenderPlan({
+    ...options,
+    segments,
+    dims,
+    passLogFile: join(dirname(outPath), "ffmpeg2pass"),
   });
+  console.log('built filterComplex:', filterComplex);
+
+  const runPass = (passOptions, output, reportProgress) => {
+    if (signal) signal.throwIfAborted();
+    const cmd = ffmpeg();
+    inputs.forEach((input) => {
+      cmd.addInput(input.path);
+      if (input.options.length) cmd.inputOptions(input.options);
+    });
+    cmd.complexFilter(filterComplex)
+      .on('start', (cmdline) => console.log('ffmpeg start:', cmdline))
+      .on('stderr', (line) => console.log('ffmpeg stderr:', line))
+      .on('progress', (p) => {
+        if (onProgress) reportProgress(parseTimemark(p.timemark));
+      })
+      .outputOptions(passOptions)
+      .output(output);
+
+    return new Promise((resolve, reject) => {
+      const detach = killOnAbort(cmd, signal, reject);
+      cmd
+        .on('end', () => {
+          detach();
+          resolve();
+        })
+        .on('error', (err) => {
+          detach();
+          reject(err);
+        })
+        .run();
+    });
+  };
+
+  if (firstPassOptions) {
+    await runPass(firstPassOptions, os.platform() === 'win32' ? 'NUL' : '/dev/null', (seconds) => onProgress(seconds / 2));
+    await runPass(outputOptions, outPath, (seconds) => onProgress((timeline.total + seconds) / 2));
+  } else {
+    await runPass(outputOptions, outPath, (seconds) => onProgress(seconds));
+  }
 
   return outPath;
 }
 
 // expose new helper
-export { createVideoFromSegments };
+export { createVideoFromSegments, buildRenderPlan };
 
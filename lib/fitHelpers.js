@@ -0,0 +1,103 @@
+// lib/fitHelpers.js
+
+// How an image that doesn't match the output aspect ratio is placed in the frame.
+const FIT_MODES = ["contain", "cover", "blur-fill", "color-fill"];
+
+const DEFAULT_BLUR = 20;
+
+// ffmpeg colour: a name ("white") or #RRGGBB[AA] / 0xRRGGBB[AA]
+function normalizeColor(value) {
+  const color = String(value).trim();
+  const hex = /^(?:#|0x)?([0-9a-f]{6}(?:[0-9a-f]{2})?)$/i.exec(color);
+  if (hex) return `0x${hex[1].toUpperCase()}`;
+  if (/^[a-z]+$/i.test(color)) return color.toLowerCase();
+  throw new Error(`invalid colour '${value}' (expected a name or #RRGGBB)`);
+}
+
+/**
+ * Normalise a `fit` option: a mode string ("blur-fill") or { mode, color, blur }.
+ * `color` is the fill colour for "color-fill" (default black); `blur` is the
+ * boxblur radius for "blur-fill" (default 20).
+ * @returns {{ mode: string, color: string|null, blur: number|null }|null} null when not set
+ * @throws {Error} for unknown modes or invalid colours / blur radii
+ */
+function normalizeFit(option) {
+  if (!option) return null;
+  const opts = typeof option === "string" ? { mode: option } : { ...option };
+  const mode = String(opts.mode || opts.type || "contain").toLowerCase();
+  if (!FIT_MODES.includes(mode)) {
+    throw new Error(`unknown fit '${opts.mode || opts.type}' (expected one of ${FIT_MODES.join(", ")})`);
+  }
+
+  let color = null;
+  if (mode === "color-fill") color = normalizeColor(opts.color || "black");
+
+  let blur = null;
+  if (mode === "blur-fill") {
+    blur = opts.blur == null ? DEFAULT_BLUR : Number(opts.blur);
+    if (!Number.isFinite(blur) || blur < 1) throw new Error("fit blur must be a number >= 1");
+  }
+  return { mode, color, blur };
+}
+
+// scale that fits the whole image inside the frame (never upscales known images)
+function containScale(width, height, dims) {
+  if (!dims || !dims.w || !dims.h) return `scale=${width}:${height}:force_original_aspect_ratio=decrease`;
+  const factor = Math.min(width / dims.w, height / dims.h, 1);
+  return `scale=${Math.max(1, Math.floor(dims.w * factor))}:${Math.max(1, Math.floor(dims.h * factor))}`;
+}
+
+// scale + centre crop that fills the whole frame
+function coverCrop(width, height, dims) {
+  let scale = `scale=${width}:${height}:force_original_aspect_ratio=increase`;
+  if (dims && dims.w && dims.h) {
+    const factor = Math.max(width / dims.w, height / dims.h);
+    scale = `scale=${Math.max(width, Math.ceil(dims.w * factor))}:${Math.max(height, Math.ceil(dims.h * factor))}`;
+  }
+  return `${scale},crop=${width}:${height}:(iw-ow)/2:(ih-oh)/2`;
+}
+
+/**
+ * Build the filters that place an image into a width x height frame.
+ * With known source `dims` explicit sizes are used, and "blur-fill" collapses to a
+ * plain cover when the image already has the frame's aspect ratio (nothing to fill).
+ * "blur-fill" splits the stream, so it needs `label` to keep its pad names unique
+ * within the filter graph; the result may then contain several chains but still
+ * reads one input and produces one output, like the single-chain modes.
+ *
+ * @param {object|string|null} fit - result of normalizeFit (or a mode string); null means contain
+ * @param {object} params
+ * @param {number} params.width - output width
+ * @param {number} params.height - output height
+ * @param {{ w: number, h: number }|null} [params.dims] - probed source size
+ * @param {string} [params.label="fit"] - prefix for internal pad labels
+ * @returns {string} filter graph fragment ending in setsar=1 (no input/output labels)
+ */
+function buildFitFilter(fit, { width, height, dims = null, label = "fit" }) {
+  const { mode, color, blur } = (typeof fit === "string" ? normalizeFit(fit) : fit) || { mode: "contain" };
+  const pad = `pad=${width}:${height}:(ow-iw)/2:(oh-ih)/2`;
+
+  switch (mode) {
+    case "cover":
+      return `${coverCrop(width, height, dims)},setsar=1`;
+    case "color-fill":
+      return `${containScale(width, height, dims)},${pad}:color=${color || "black"},setsar=1`;
+    case "blur-fill": {
+      if (dims && dims.w && dims.h && Math.abs(dims.w / dims.h - width / height) < 0.01) {
+        return `${coverCrop(width, height, dims)},setsar=1`;
+      }
+      // boxblur rejects radii larger than half of the (chroma) plane
+      const radius = Math.max(1, Math.min(Math.round(blur || DEFAULT_BLUR), Math.floor(Math.min(width, height) / 4)));
+      return [
+        `split=2[${label}bg][${label}fg]`,
+        `[${label}bg]${coverCrop(width, height, dims)},boxblur=${radius}:1[${label}bgb]`,
+        `[${label}fg]${containScale(width, height, dims)}[${label}fgs]`,
+        `[${label}bgb][${label}fgs]overlay=(W-w)/2:(H-h)/2,setsar=1`,
+      ].join(";");
+    }
+    default:
+      return `${containScale(width, height, dims)},${pad},setsar=1`;
+  }
+}
+
+export { normalizeFit, buildFitFilter, normalizeColor, FIT_MODES };
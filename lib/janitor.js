@@ -0,0 +1,112 @@
+// lib/janitor.js
+import { readdir, stat, rm } from "fs/promises";
+import { join, resolve } from "path";
+
+// Periodic clean-up of TEMP_ROOT. Session dirs normally go away when their job
+// finishes, but failed jobs keep theirs for debugging outside production and a crash
+// leaves them behind. Dirs of queued and running jobs are never touched; the download
+// cache (temp/cache) has its own size cap and is skipped.
+
+const DEFAULT_TTL_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_MAX_BYTES = 10 * 1024 * 1024 * 1024;
+const DEFAULT_INTERVAL_MS = 10 * 60 * 1000;
+
+// total size of the files under `path`
+async function dirSize(path) {
+  let total = 0;
+  const entries = await readdir(path, { withFileTypes: true }).catch(() => []);
+  for (const entry of entries) {
+    const full = join(path, entry.name);
+    if (entry.isDirectory()) total += await dirSize(full);
+    else total += await stat(full).then((st) => st.size, () => 0);
+  }
+  return total;
+}
+
+/**
+ * Remove orphaned session dirs: every one older than `ttlMs`, then the oldest of the
+ * rest while TEMP_ROOT (without the skipped entries) is over `maxBytes`.
+ * @param {object} options
+ * @param {string} options.tempRoot
+ * @param {Function} options.activeDirs - returns the session dirs in use (see activeSessionDirs)
+ * @param {number} [options.ttlMs] - age (last modification) after which an orphan is removed
+ * @param {number} [options.maxBytes] - size ceiling; 0 disables it
+ * @param {string[]} [options.skip=["cache"]] - entries of `tempRoot` never removed
+ * @returns {Promise<{ removed: string[], freedBytes: number, bytes: number }>} `bytes` is what is left
+ */
+async function sweepTempRoot({ tempRoot, activeDirs, ttlMs = DEFAULT_TTL_MS, maxBytes = DEFAULT_MAX_BYTES, skip = ["cache"] }) {
+  const now = Date.now();
+  const active = new Set(activeDirs().map((dir) => resolve(dir)));
+  const entries = await readdir(tempRoot, { withFileTypes: true }).catch(() => []);
+  const dirs = await Promise.all(entries
+    .filter((entry) => entry.isDirectory() && !skip.includes(entry.name))
+    .map(async (entry) => {
+      const path = join(tempRoot, entry.name);
+      const [st, size] = await Promise.all([stat(path), dirSize(path)]);
+      return { path, mtime: st.mtimeMs, size, active: active.has(resolve(path)) };
+    }));
+
+  let bytes = dirs.reduce((sum, dir) => sum + dir.size, 0);
+  const removed = [];
+  let freedBytes = 0;
+  const remove = async (dir) => {
+    await rm(dir.path, { recursive: true, force: true });
+    removed.push(dir.path);
+    freedBytes += dir.size;
+    bytes -= dir.size;
+  };
+
+  // oldest first, so the ceiling takes the least recently used sessions
+  const orphans = dirs.filter((dir) => !dir.active).sort((a, b) => a.mtime - b.mtime);
+  for (const dir of orphans) {
+    if (now - dir.mtime > ttlMs || (maxBytes > 0 && bytes > maxBytes)) await remove(dir);
+  }
+  if (maxBytes > 0 && bytes > maxBytes) {
+    console.warn(`Temp janitor: ${tempRoot} holds ${bytes} bytes of running jobs, over the ${maxBytes} byte ceiling`);
+  }
+  return { removed, freedBytes, bytes };
+}
+
+/**
+ * Sweep TEMP_ROOT now and every `intervalMs` (see sweepTempRoot for the options).
+ * Defaults come from TEMP_TTL_MS, TEMP_MAX_BYTES and TEMP_JANITOR_INTERVAL_MS.
+ * @returns {{ stop: Function, stats: Function }} `stats` describes the last sweep
+ */
+function startTempJanitor({
+  intervalMs = Number(process.env.TEMP_JANITOR_INTERVAL_MS) || DEFAULT_INTERVAL_MS,
+  ttlMs = Number(process.env.TEMP_TTL_MS) || DEFAULT_TTL_MS,
+  maxBytes = process.env.TEMP_MAX_BYTES != null && process.env.TEMP_MAX_BYTES !== "" ? Number(process.env.TEMP_MAX_BYTES) : DEFAULT_MAX_BYTES,
+  ...options
+}) {
+  let last = null;
+  let running = false;
+
+  const sweep = async () => {
+    // a slow sweep on a big temp dir must not overlap the next one
+    if (running) return;
+    running = true;
+    try {
+      const result = await sweepTempRoot({ ...options, ttlMs, maxBytes });
+      last = { at: new Date().toISOString(), removed: result.removed.length, freedBytes: result.freedBytes, bytes: result.bytes };
+      if (result.removed.length) {
+        console.log(`Temp janitor: removed ${result.removed.length} session dir(s), freed ${result.freedBytes} bytes`);
+      }
+    } catch (err) {
+      console.error("Temp janitor failed:", err.message);
+    } finally {
+      running = false;
+    }
+  };
+
+  sweep();
+  const timer = setInterval(sweep, intervalMs);
+  // the janitor alone never keeps the process alive
+  timer.unref();
+
+  return {
+    stop: () => clearInterval(timer),
+    stats: () => ({ ttlMs, maxBytes, intervalMs, lastSweep: last }),
+  };
+}
+
+export { sweepTempRoot, startTempJanitor };
@@ -0,0 +1,137 @@
+// lib/jobStore.js
+import { existsSync, mkdirSync, readFileSync, writeFileSync, appendFileSync, renameSync, statSync } from "fs";
+import { dirname } from "path";
+
+// File-backed job store: an append-only JSONL log. A job is written in full once
+// ({ jobId, ...record }, when it is created or replaced) and after that only the
+// fields that changed are appended ({ jobId, set: { ...fields } }); a removal is
+// { jobId, deleted: true }. The request, which can be large, is therefore written once
+// per job and never again on stage or status changes.
+// Replaying the log rebuilds the registry after a restart. It is compacted to one line
+// per job on load and whenever stale lines make up most of the file.
+// Appends are synchronous, so a crash loses at most the line being written; a torn last
+// line is skipped on load.
+
+// fields that only make sense for the running process
+const TRANSIENT_FIELDS = ["progress"];
+// request fields that are never written to disk: callback headers often carry the
+// caller's credentials (a job resumed after a restart calls back without them)
+const SECRET_REQUEST_FIELDS = ["callbackHeaders"];
+
+// compact once the log is this large and at least twice the size of its live records
+const COMPACT_MIN_BYTES = 1024 * 1024;
+
+// copy of `fields` as it is stored
+function storedFields(fields) {
+  const record = { ...fields };
+  for (const field of TRANSIENT_FIELDS) delete record[field];
+  if (record.request) {
+    record.request = { ...record.request };
+    for (const field of SECRET_REQUEST_FIELDS) delete record.request[field];
+  }
+  return record;
+}
+
+/**
+ * Open (or create) the job log at `path`.
+ * @param {string} path - e.g. data/jobs.jsonl
+ * @returns {{ load: () => object[], save: (job: object, changes?: object) => void, remove: (jobId: string) => void, path: string }}
+ */
+function createJobStore(path) {
+  mkdirSync(dirname(path), { recursive: true });
+  // jobId -> latest stored record, the content of a compacted log
+  const latest = new Map();
+  // jobId -> size of its last full line, an estimate of the compacted log size
+  const sizes = new Map();
+  let bytes = existsSync(path) ? statSync(path).size : 0;
+
+  const liveBytes = () => [...sizes.values()].reduce((sum, size) => sum + size, 0);
+
+  const compact = () => {
+    const tmp = `${path}.tmp`;
+    sizes.clear();
+    const content = [...latest.values()].map((record) => {
+      const line = `${JSON.stringify(record)}\n`;
+      sizes.set(record.jobId, Buffer.byteLength(line));
+      return line;
+    }).join("");
+    writeFileSync(tmp, content);
+    renameSync(tmp, path);
+    bytes = Buffer.byteLength(content);
+  };
+
+  const append = (entry) => {
+    const line = `${JSON.stringify(entry)}\n`;
+    try {
+      appendFileSync(path, line);
+      bytes += Buffer.byteLength(line);
+      if (bytes > COMPACT_MIN_BYTES && bytes > 2 * liveBytes()) compact();
+    } catch (err) {
+      // the in-memory registry keeps working; only crash recovery is affected
+      console.error(`Could not write job store ${path}:`, err.message);
+    }
+    return line;
+  };
+
+  return {
+    path,
+
+    /**
+     * Replay the log and compact it.
+     * @returns {object[]} the latest record of every job that was not removed
+     */
+    load() {
+      latest.clear();
+      if (existsSync(path)) {
+        readFileSync(path, "utf8").split("\n").forEach((line, i) => {
+          if (!line.trim()) return;
+          let entry;
+          try {
+            entry = JSON.parse(line);
+          } catch (err) {
+            console.warn(`Job store ${path}: skipping unreadable line ${i + 1}`);
+            return;
+          }
+          if (!entry || typeof entry.jobId !== "string") return;
+          if (entry.deleted) {
+            latest.delete(entry.jobId);
+          } else if (entry.set) {
+            const record = latest.get(entry.jobId);
+            if (record) Object.assign(record, entry.set);
+          } else {
+            latest.set(entry.jobId, entry);
+          }
+        });
+      }
+      compact();
+      return [...latest.values()].map((record) => ({ ...record }));
+    },
+
+    /**
+     * Write a job: in full when it is new to the store or `changes` is omitted,
+     * otherwise only the changed fields.
+     * @param {object} job
+     * @param {object} [changes] - the fields that changed since the last save
+     */
+    save(job, changes = null) {
+      const record = latest.get(job.jobId);
+      if (!changes || !record) {
+        const full = storedFields(job);
+        latest.set(job.jobId, full);
+        sizes.set(job.jobId, Buffer.byteLength(append(full)));
+        return;
+      }
+      const set = storedFields(changes);
+      Object.assign(record, set);
+      append({ jobId: job.jobId, set });
+    },
+
+    remove(jobId) {
+      if (!latest.delete(jobId)) return;
+      sizes.delete(jobId);
+      append({ jobId, deleted: true });
+    },
+  };
+}
+
+export { createJobStore };
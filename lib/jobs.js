@@ -0,0 +1,340 @@
+// lib/jobs.js
+import { EventEmitter } from "events";
+import { pLimit } from "./pLimit.js";
+
+// In-process job registry. Jobs are keyed by the caller-supplied jobId. With a job
+// store attached (see restoreJobs) every change except progress is written through
+// (only the changed fields), so the registry survives restarts.
+const jobs = new Map();
+let store = null;
+
+// stage / progress / terminal events, emitted under the job id (see subscribeJob)
+const jobEvents = new EventEmitter();
+jobEvents.setMaxListeners(0);
+
+// finished jobs are kept around this long so their status can still be polled
+const JOB_RETENTION_MS = Number(process.env.JOB_RETENTION_MS) || 24 * 60 * 60 * 1000;
+
+const TERMINAL_STATUSES = ["succeeded", "failed", "cancelled"];
+
+// a job replaced by a newer one with the same jobId no longer owns the stored record;
+// `changes` are the fields that changed (the whole job is written without them)
+function persist(job, changes) {
+  if (store && jobs.get(job.jobId) === job) store.save(job, changes);
+}
+
+function pruneFinishedJobs(now = Date.now()) {
+  for (const [id, job] of jobs) {
+    if (TERMINAL_STATUSES.includes(job.status) && job.finishedAt && now - Date.parse(job.finishedAt) > JOB_RETENTION_MS) {
+      jobs.delete(id);
+      if (store) store.remove(id);
+    }
+  }
+}
+
+/**
+ * Attach a job store (see createJobStore) and load its records into the registry.
+ * Jobs that were queued or running when the process stopped are put back in the
+ * `queued` state for the queue to resume (see createJobQueue's `resume`).
+ * @returns {object[]} those unfinished jobs, oldest first
+ */
+function restoreJobs(jobStore) {
+  store = jobStore;
+  const unfinished = [];
+  for (const record of jobStore.load()) {
+    jobs.set(record.jobId, record);
+    if (!TERMINAL_STATUSES.includes(record.status)) unfinished.push(record);
+  }
+  pruneFinishedJobs();
+  console.log(`Job store ${jobStore.path}: ${jobs.size} job(s), ${unfinished.length} unfinished`);
+  return unfinished.sort((a, b) => Date.parse(a.createdAt) - Date.parse(b.createdAt));
+}
+
+/**
+ * Register a new job. A previous job with the same id is replaced.
+ * @param {string} jobId
+ * @param {object} request - normalised render request (see normalizeRenderRequest)
+ * @param {object} [options]
+ * @param {boolean} [options.sync=false] - whether the caller is waiting on the HTTP request
+ * @param {string|null} [options.owner=null] - id of the authenticated client that submitted it
+ * @returns {object} the job record
+ */
+function createJob(jobId, request, { sync = false, owner = null } = {}) {
+  pruneFinishedJobs();
+  const job = {
+    jobId,
+    status: "queued",
+    stage: "queued",
+    sync,
+    owner,
+    request,
+    result: null,
+    error: null,
+    createdAt: new Date().toISOString(),
+    startedAt: null,
+    finishedAt: null,
+    updatedAt: new Date().toISOString(),
+  };
+  jobs.set(jobId, job);
+  persist(job);
+  return job;
+}
+
+function getJob(jobId) {
+  return jobs.get(jobId) || null;
+}
+
+// every job in the registry
+function listJobs() {
+  return [...jobs.values()];
+}
+
+// forget a finished job, e.g. once its stored video was deleted
+function deleteJob(jobId) {
+  if (store) store.remove(jobId);
+  return jobs.delete(jobId);
+}
+
+/**
+ * Merge `patch` into a job record and bump `updatedAt`.
+ * @param {object} [options]
+ * @param {boolean} [options.persist=true] - write the change to the job store
+ */
+function updateJob(job, patch, { persist: write = true } = {}) {
+  const changes = { ...patch, updatedAt: new Date().toISOString() };
+  Object.assign(job, changes);
+  if (write) persist(job, changes);
+  return job;
+}
+
+function emitJobEvent(job, type, data) {
+  jobEvents.emit(job.jobId, { type, data });
+}
+
+/**
+ * Listen to a job's events: { type: "stage" | "progress" | "succeeded" | "failed" | "cancelled", data }.
+ * @returns {Function} unsubscribe
+ */
+function subscribeJob(jobId, listener) {
+  jobEvents.on(jobId, listener);
+  return () => jobEvents.off(jobId, listener);
+}
+
+// set the current pipeline stage (downloading / rendering / uploading); progress
+// belongs to a stage, so it is cleared
+function setJobStage(job, stage) {
+  console.log(`[job ${job.jobId}] stage: ${stage}`);
+  updateJob(job, { stage, progress: null });
+  emitJobEvent(job, "stage", { stage });
+  return job;
+}
+
+// record progress within the current stage, e.g. { stage: "rendering", percent: 42 };
+// progress changes far too often to be stored
+function setJobProgress(job, progress) {
+  updateJob(job, { progress }, { persist: false });
+  emitJobEvent(job, "progress", progress);
+  return job;
+}
+
+/**
+ * Record what a job's finished stages left behind (session dir, downloaded files,
+ * rendered masters), so that a job resumed after a restart can skip them. Cleared
+ * once the job finishes.
+ */
+function setJobCheckpoint(job, patch) {
+  return updateJob(job, { checkpoint: { ...job.checkpoint, ...patch } });
+}
+
+// session dirs of queued and running jobs, which the temp janitor must leave alone
+function activeSessionDirs() {
+  return [...jobs.values()]
+    .filter((job) => !TERMINAL_STATUSES.includes(job.status) && job.checkpoint && job.checkpoint.sessionDir)
+    .map((job) => job.checkpoint.sessionDir);
+}
+
+/**
+ * Serializable view of a job for the status API.
+ * Error messages are only exposed outside production unless the error is marked `expose`.
+ */
+function toPublicJob(job) {
+  const view = {
+    jobId: job.jobId,
+    status: job.status,
+    stage: job.stage,
+    createdAt: job.createdAt,
+    startedAt: job.startedAt,
+    finishedAt: job.finishedAt,
+    updatedAt: job.updatedAt,
+  };
+  if (job.progress && !TERMINAL_STATUSES.includes(job.status)) view.progress = job.progress;
+  if (job.result) {
+    // the list of stored objects is served by the video API (GET /videos/:jobId)
+    const { files, ...result } = job.result;
+    Object.assign(view, result);
+  }
+  if (job.callback) {
+    const { url, delivered, attempts, status } = job.callback;
+    view.callback = { url, delivered, attempts, status };
+  }
+  if (job.error) {
+    view.error = {
+      stage: job.error.stage,
+      message: process.env.NODE_ENV === "production" && !job.error.expose ? "Internal server error" : job.error.message,
+    };
+    // typed failures (e.g. download policy violations) say what and where
+    if (job.error.code) view.error.code = job.error.code;
+    if (job.error.field) view.error.field = job.error.field;
+    if (job.error.segmentIndex != null) view.error.segment = job.error.segmentIndex;
+  }
+  return view;
+}
+
+// reason a cancelled job's signal is aborted with; downloads and ffmpeg runs of the
+// job reject with it
+function cancelledError(reason) {
+  const e = new Error(reason ? `Job cancelled: ${reason}` : "Job cancelled");
+  e.code = "JOB_CANCELLED";
+  e.status = 409;
+  e.expose = true;
+  return e;
+}
+
+/**
+ * Create a queue that runs at most `concurrency` jobs at once.
+ * `worker(job, { signal })` does the actual work and resolves with the job result;
+ * `signal` aborts when the job is cancelled.
+ * `onFinish(job)` (optional) is called once the job succeeded, failed or was
+ * cancelled; its errors are logged and never affect the job outcome.
+ * Every start counts towards the job's `attempts`; a restored job that already
+ * started `maxAttempts` times (it keeps taking the process down) is failed instead
+ * of resumed.
+ * @returns {{ enqueue: (job: object) => Promise<object>, resume: (job: object) => Promise<object>, whenDone: (job: object) => Promise<object>|null, cancel: (job: object, reason?: string) => boolean, stats: () => object }}
+ */
+function createJobQueue({ concurrency, worker, onFinish, maxAttempts = Number(process.env.JOB_MAX_ATTEMPTS) || 3 }) {
+  const limit = pLimit(concurrency);
+  // job -> AbortController and job -> result promise, for jobs that are queued or running
+  const controllers = new Map();
+  const pending = new Map();
+
+  const finish = (job) => {
+    if (!onFinish) return;
+    Promise.resolve()
+      .then(() => onFinish(job))
+      .catch((err) => console.error(`[job ${job.jobId}] onFinish handler failed:`, err && err.message));
+  };
+
+  const enqueue = (job) => {
+    const controller = new AbortController();
+    controllers.set(job, controller);
+    const done = limit(() => run(job, controller.signal)).finally(() => {
+      controllers.delete(job);
+      pending.delete(job);
+    });
+    pending.set(job, done);
+    return done;
+  };
+
+  // result promise of a queued or running job, so duplicate requests can wait on it; null otherwise
+  const whenDone = (job) => pending.get(job) || null;
+
+  const fail = (job, err) => {
+    updateJob(job, {
+      status: "failed",
+      error: {
+        stage: job.stage,
+        message: (err && err.message) || String(err),
+        expose: Boolean(err && err.expose),
+        code: (err && err.expose && typeof err.code === "string" && err.code) || null,
+        field: (err && err.field) || null,
+        segmentIndex: err && err.segmentIndex != null ? err.segmentIndex : null,
+      },
+      checkpoint: null,
+      finishedAt: new Date().toISOString(),
+    });
+    emitJobEvent(job, "failed", toPublicJob(job));
+    finish(job);
+  };
+
+  const run = async (job, signal) => {
+    // cancelled while waiting for a slot
+    if (signal.aborted) throw signal.reason;
+    updateJob(job, { status: "running", startedAt: job.startedAt || new Date().toISOString(), attempts: (job.attempts || 0) + 1 });
+    try {
+      const result = await worker(job, { signal });
+      // a cancellation that arrived during the last step still wins
+      if (signal.aborted) throw signal.reason;
+      updateJob(job, { status: "succeeded", stage: "done", result, checkpoint: null, finishedAt: new Date().toISOString() });
+      emitJobEvent(job, "succeeded", toPublicJob(job));
+      finish(job);
+      return result;
+    } catch (err) {
+      // already recorded by cancel()
+      if (signal.aborted) throw signal.reason;
+      fail(job, err);
+      throw err;
+    }
+  };
+
+  /**
+   * Queue a job restored from the job store after a restart; the worker picks up
+   * after its last completed stage (see setJobCheckpoint).
+   */
+  const resume = (job) => {
+    if ((job.attempts || 0) >= maxAttempts) {
+      const err = new Error(`Job was interrupted ${job.attempts} time(s) by a restart during stage '${job.stage}' and is not resumed again`);
+      err.code = "JOB_INTERRUPTED";
+      err.expose = true;
+      console.error(`[job ${job.jobId}] ${err.message}`);
+      fail(job, err);
+      return Promise.reject(err);
+    }
+    console.log(`[job ${job.jobId}] resuming after a restart (stage '${job.stage}', attempt ${(job.attempts || 0) + 1} of ${maxAttempts})`);
+    updateJob(job, { status: "queued" });
+    return enqueue(job);
+  };
+
+  /**
+   * Cancel a queued or running job. It is marked `cancelled` right away and its signal
+   * aborted, which stops its downloads and kills its ffmpeg process; the worker then
+   * cleans up and the queue slot frees.
+   * @returns {boolean} false when the job had already finished
+   */
+  const cancel = (job, reason = null) => {
+    if (TERMINAL_STATUSES.includes(job.status)) return false;
+    const error = cancelledError(reason);
+    console.log(`[job ${job.jobId}] ${error.message}`);
+    updateJob(job, {
+      status: "cancelled",
+      error: { stage: job.stage, message: error.message, expose: true, code: error.code, field: null, segmentIndex: null },
+      checkpoint: null,
+      finishedAt: new Date().toISOString(),
+    });
+    emitJobEvent(job, "cancelled", toPublicJob(job));
+    finish(job);
+    const controller = controllers.get(job);
+    if (controller) controller.abort(error);
+    return true;
+  };
+
+  const stats = () => ({ concurrency, active: limit.activeCount, pending: limit.pendingCount });
+
+  return { enqueue, resume, whenDone, cancel, stats };
+}
+
+export {
+  createJob,
+  getJob,
+  listJobs,
+  deleteJob,
+  restoreJobs,
+  updateJob,
+  setJobStage,
+  setJobProgress,
+  setJobCheckpoint,
+  activeSessionDirs,
+  subscribeJob,
+  toPublicJob,
+  createJobQueue,
+  TERMINAL_STATUSES,
+};
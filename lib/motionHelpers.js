@@ -0,0 +1,119 @@
+// lib/motionHelpers.js
+
+// Ken Burns style pan/zoom for still images, rendered with ffmpeg's zoompan filter.
+
+const MOTION_TYPES = ["none", "zoom-in", "zoom-out", "pan-left", "pan-right", "pan-up", "pan-down", "custom"];
+const EASINGS = ["linear", "ease-in", "ease-out", "ease-in-out"];
+
+// the padded frame is upscaled before zoompan so sub-pixel movement doesn't jitter
+const SUPERSAMPLE = 2;
+
+const clamp01 = (v) => Math.min(1, Math.max(0, v));
+
+/**
+ * Convert a focal rectangle { x, y, w, h } (fractions of the frame, top-left origin)
+ * into { cx, cy, size } where size is the visible fraction of the frame.
+ */
+function rectToFocus(rect) {
+  const w = clamp01(Number(rect.w ?? rect.width ?? 1)) || 1;
+  const h = clamp01(Number(rect.h ?? rect.height ?? w)) || w;
+  const x = clamp01(Number(rect.x ?? (1 - w) / 2));
+  const y = clamp01(Number(rect.y ?? (1 - h) / 2));
+  return { cx: x + w / 2, cy: y + h / 2, size: Math.max(w, h) };
+}
+
+/**
+ * Normalise a segment `motion` option.
+ * Accepts a type string ("zoom-in") or { type, zoom, from, to, easing } where
+ * `zoom` (default 1.2) is the scale used by the presets and `from`/`to` are focal
+ * rectangles { x, y, w, h } in frame fractions (used by "custom", and override the
+ * preset start/end when given).
+ * @returns {object|null} { from, to, easing } or null for no motion
+ * @throws {Error} for unknown types or easings
+ */
+function normalizeMotion(option) {
+  if (!option) return null;
+  const opts = typeof option === "string" ? { type: option } : { ...option };
+  const type = String(opts.type || (opts.from || opts.to ? "custom" : "zoom-in")).toLowerCase();
+  const easing = String(opts.easing || "linear").toLowerCase();
+
+  if (!MOTION_TYPES.includes(type)) {
+    throw new Error(`unknown motion type '${opts.type}' (expected one of ${MOTION_TYPES.join(", ")})`);
+  }
+  if (!EASINGS.includes(easing)) {
+    throw new Error(`unknown motion easing '${opts.easing}' (expected one of ${EASINGS.join(", ")})`);
+  }
+  if (type === "none") return null;
+
+  const zoom = Math.max(1, Number(opts.zoom) || 1.2);
+  const s = 1 / zoom;
+  const full = { cx: 0.5, cy: 0.5, size: 1 };
+  const presets = {
+    "zoom-in": [full, { cx: 0.5, cy: 0.5, size: s }],
+    "zoom-out": [{ cx: 0.5, cy: 0.5, size: s }, full],
+    "pan-left": [{ cx: 1 - s / 2, cy: 0.5, size: s }, { cx: s / 2, cy: 0.5, size: s }],
+    "pan-right": [{ cx: s / 2, cy: 0.5, size: s }, { cx: 1 - s / 2, cy: 0.5, size: s }],
+    "pan-up": [{ cx: 0.5, cy: 1 - s / 2, size: s }, { cx: 0.5, cy: s / 2, size: s }],
+    "pan-down": [{ cx: 0.5, cy: s / 2, size: s }, { cx: 0.5, cy: 1 - s / 2, size: s }],
+    custom: [full, full],
+  };
+
+  const [presetFrom, presetTo] = presets[type];
+  return {
+    type,
+    easing,
+    from: opts.from ? rectToFocus(opts.from) : presetFrom,
+    to: opts.to ? rectToFocus(opts.to) : presetTo,
+  };
+}
+
+// progress 0..1 over the segment's frames, shaped by the easing curve
+function easingExpr(easing, frames) {
+  const p = `min(on/${Math.max(1, frames - 1)},1)`;
+  switch (easing) {
+    case "ease-in":
+      return `(${p}*${p})`;
+    case "ease-out":
+      return `(1-(1-${p})*(1-${p}))`;
+    case "ease-in-out":
+      return `((1-cos(PI*${p}))/2)`;
+    default:
+      return p;
+  }
+}
+
+const round = (v) => Math.round(v * 10000) / 10000;
+
+/**
+ * Build the zoompan chain for a segment. Expects the input to already be scaled and
+ * padded to width x height; the output keeps that size and produces exactly one
+ * frame per input frame, so the segment duration is unchanged.
+ *
+ * @param {object} motion - result of normalizeMotion
+ * @param {object} params
+ * @param {number} params.width - output width
+ * @param {number} params.height - output height
+ * @param {number} params.duration - segment duration in seconds
+ * @param {number} params.fps - output frame rate
+ * @returns {string} filter chain (no pad labels)
+ */
+function buildMotionFilter(motion, { width, height, duration, fps }) {
+  const frames = Math.max(1, Math.round(Number(duration) * fps));
+  const e = easingExpr(motion.easing, frames);
+  const lerp = (a, b) => (round(a) === round(b) ? `${round(a)}` : `(${round(a)}+(${round(b - a)})*${e})`);
+
+  const zoom = lerp(1 / motion.from.size, 1 / motion.to.size);
+  const cx = lerp(motion.from.cx, motion.to.cx);
+  const cy = lerp(motion.from.cy, motion.to.cy);
+  // x/y are the top-left corner of the visible window, kept inside the frame
+  const x = `max(0,min(iw-iw/zoom,${cx}*iw-iw/zoom/2))`;
+  const y = `max(0,min(ih-ih/zoom,${cy}*ih-ih/zoom/2))`;
+
+  return [
+    `scale=${width * SUPERSAMPLE}:${height * SUPERSAMPLE}`,
+    `zoompan=z='${zoom}':x='${x}':y='${y}':d=1:s=${width}x${height}:fps=${fps}`,
+    "setsar=1",
+  ].join(",");
+}
+
+export { normalizeMotion, buildMotionFilter, MOTION_TYPES, EASINGS };
@@ -0,0 +1,175 @@
+// lib/outputHelpers.js
+import ffmpeg from "fluent-ffmpeg";
+import { join } from "path";
+import { mkdir, readdir } from "fs/promises";
+import { runFfmpegCommand } from "./ffmpegHelpers.js";
+import { assertEncoderAvailable } from "./encoding.js";
+
+// Every job renders one mp4 master (final.mp4, H.264 or HEVC with AAC, see encoding.js);
+// other formats are derived from it.
+const OUTPUT_FORMATS = {
+  mp4: { contentType: "video/mp4" },
+  webm: { contentType: "video/webm" },
+  gif: { contentType: "image/gif" },
+  webp: { contentType: "image/webp" },
+  hls: { contentType: "application/vnd.apple.mpegurl" },
+};
+
+const num = (v, fallback) => (v != null && Number.isFinite(Number(v)) ? Number(v) : fallback);
+
+/**
+ * Normalise the job `outputs` option. Entries are a format name or an object:
+ *  - { format: "mp4" }
+ *  - { format: "webm", crf: 32, audioBitrate: "96k" }
+ *  - { format: "gif" | "webp", start: 0, duration: 3, fps: 10, width: 480 } (looping preview)
+ *  - { format: "hls", segmentDuration: 6 }
+ * Defaults to a single mp4.
+ * @throws {Error} for unknown formats, duplicates or formats whose encoder ffmpeg lacks
+ */
+function normalizeOutputs(option) {
+  if (option == null) return [{ format: "mp4" }];
+  if (!Array.isArray(option) || option.length === 0) {
+    throw new Error("outputs must be a non-empty array");
+  }
+  const seen = new Set();
+  return option.map((entry, i) => {
+    const opts = typeof entry === "string" ? { format: entry } : { ...(entry || {}) };
+    const format = String(opts.format || "").toLowerCase();
+    if (!OUTPUT_FORMATS[format]) {
+      throw new Error(`outputs[${i}]: unknown format '${opts.format}' (expected one of ${Object.keys(OUTPUT_FORMATS).join(", ")})`);
+    }
+    if (seen.has(format)) throw new Error(`outputs[${i}]: format '${format}' requested more than once`);
+    seen.add(format);
+
+    switch (format) {
+      case "webm":
+        assertEncoderAvailable("libvpx-vp9", `outputs[${i}]`);
+        assertEncoderAvailable("libopus", `outputs[${i}]`);
+        return { format, crf: num(opts.crf, 32), audioBitrate: opts.audioBitrate || "96k" };
+      case "gif":
+      case "webp":
+        if (format === "webp") assertEncoderAvailable("libwebp", `outputs[${i}]`);
+        return {
+          format,
+          start: Math.max(0, num(opts.start, 0)),
+          duration: Math.max(0.1, num(opts.duration, 3)),
+          fps: Math.max(1, num(opts.fps, 10)),
+          width: Math.max(16, num(opts.width, 480)),
+        };
+      case "hls":
+        return { format, segmentDuration: Math.max(1, num(opts.segmentDuration, 6)) };
+      default:
+        return { format };
+    }
+  });
+}
+
+// storage key of an output's main file
+function outputKey(jobId, output) {
+  switch (output.format) {
+    case "gif":
+    case "webp":
+      return `${jobId}-preview.${output.format}`;
+    case "hls":
+      return `${jobId}/hls/index.m3u8`;
+    default:
+      return `${jobId}.${output.format}`;
+  }
+}
+
+function transcodeWebm(masterPath, outPath, output, signal) {
+  const cmd = ffmpeg()
+    .addInput(masterPath)
+    .outputOptions([
+      "-c:v libvpx-vp9",
+      `-crf ${output.crf}`,
+      "-b:v 0",
+      "-row-mt 1",
+      "-deadline good",
+      "-cpu-used 4",
+      "-c:a libopus",
+      `-b:a ${output.audioBitrate}`,
+    ])
+    .output(outPath);
+  return runFfmpegCommand(cmd, "ffmpeg (webm)", { signal });
+}
+
+function transcodePreview(masterPath, outPath, output, signal) {
+  const scale = `fps=${output.fps},scale=${output.width}:-2:flags=lanczos`;
+  const cmd = ffmpeg()
+    .addInput(masterPath)
+    .inputOptions([`-ss ${output.start}`, `-t ${output.duration}`]);
+
+  if (output.format === "gif") {
+    // two-pass palette for a clean GIF
+    cmd.complexFilter(`[0:v]${scale},split[a][b];[a]palettegen=stats_mode=diff[p];[b][p]paletteuse=dither=bayer[out]`)
+      .outputOptions(["-map [out]", "-loop 0"]);
+  } else {
+    cmd.outputOptions(["-vf", scale, "-c:v libwebp", "-lossless 0", "-q:v 70", "-loop 0", "-an"]);
+  }
+  cmd.output(outPath);
+  return runFfmpegCommand(cmd, `ffmpeg (${output.format})`, { signal });
+}
+
+// the master is already H.264 (or HEVC)/AAC, so HLS segments are cut without re-encoding
+function packageHls(masterPath, hlsDir, output, signal) {
+  const cmd = ffmpeg()
+    .addInput(masterPath)
+    .outputOptions([
+      "-c copy",
+      "-f hls",
+      `-hls_time ${output.segmentDuration}`,
+      "-hls_playlist_type vod",
+      "-hls_segment_filename", join(hlsDir, "seg_%03d.ts"),
+    ])
+    .output(join(hlsDir, "index.m3u8"));
+  return runFfmpegCommand(cmd, "ffmpeg (hls)", { signal });
+}
+
+/**
+ * Produce one output from the rendered master.
+ * @param {string} masterPath - rendered H.264/AAC mp4
+ * @param {object} output - entry from normalizeOutputs
+ * @param {object} params
+ * @param {string} params.sessionDir - where to write derived files
+ * @param {string} params.jobId - used to build storage keys
+ * @param {AbortSignal} [params.signal] - aborting it (job cancelled) kills the transcode
+ * @returns {Promise<{ format: string, key: string, contentType: string, files: Array<{ path: string, key: string, contentType: string }> }>}
+ *   `key` is the main file (playlist for HLS); `files` lists everything to upload
+ */
+async function createOutput(masterPath, output, { sessionDir, jobId, signal = null }) {
+  const key = outputKey(jobId, output);
+  const { contentType } = OUTPUT_FORMATS[output.format];
+
+  switch (output.format) {
+    case "mp4":
+      return { format: "mp4", key, contentType, files: [{ path: masterPath, key, contentType }] };
+    case "webm": {
+      const outPath = join(sessionDir, "final.webm");
+      await transcodeWebm(masterPath, outPath, output, signal);
+      return { format: "webm", key, contentType, files: [{ path: outPath, key, contentType }] };
+    }
+    case "gif":
+    case "webp": {
+      const outPath = join(sessionDir, `preview.${output.format}`);
+      await transcodePreview(masterPath, outPath, output, signal);
+      return { format: output.format, key, contentType, files: [{ path: outPath, key, contentType }] };
+    }
+    case "hls": {
+      const hlsDir = join(sessionDir, "hls");
+      await mkdir(hlsDir, { recursive: true });
+      await packageHls(masterPath, hlsDir, output, signal);
+      const prefix = key.slice(0, key.lastIndexOf("/") + 1);
+      const files = (await readdir(hlsDir)).sort().map((name) => ({
+        path: join(hlsDir, name),
+        key: `${prefix}${name}`,
+        contentType: name.endsWith(".m3u8") ? contentType : "video/mp2t",
+      }));
+      return { format: "hls", key, contentType, files };
+    }
+    default:
+      throw new Error(`Unsupported output format '${output.format}'`);
+  }
+}
+
+export { normalizeOutputs, createOutput, OUTPUT_FORMATS };
@@ -0,0 +1,192 @@
+// lib/overlayHelpers.js
+import { writeFile } from "fs/promises";
+import { join } from "path";
+import { normalizeColor } from "./fitHelpers.js";
+import { resolveFont, defaultFont } from "./titleCardHelpers.js";
+
+// Overlays composited over the picture: job-level image watermarks (a logo in a
+// corner, for the whole video or a time range) and per-segment lower thirds (a
+// speaker name and role on a box, drawn with drawtext).
+
+const POSITIONS = ["top-left", "top-center", "top-right", "center", "bottom-left", "bottom-center", "bottom-right"];
+const LOWER_THIRD_POSITIONS = ["left", "center", "right"];
+
+// margins are given for a 720p frame and scaled to the rendition's short side
+const REFERENCE_HEIGHT = 720;
+
+const number = (value) => (value != null && value !== "" && Number.isFinite(Number(value)) ? Number(value) : null);
+
+function normalizeOverlay(option, path) {
+  const opts = typeof option === "string" ? { url: option } : { ...option };
+  const url = opts.url || opts.imageUrl || opts.image;
+  if (!url) throw new Error(`${path}.url: is required`);
+  if (opts.type && opts.type !== "image") throw new Error(`${path}.type: only image overlays are supported`);
+
+  const position = String(opts.position || "top-right").toLowerCase();
+  if (!POSITIONS.includes(position)) throw new Error(`${path}.position: must be one of ${POSITIONS.join(", ")}`);
+  const margin = number(opts.margin) ?? 24;
+  if (margin < 0) throw new Error(`${path}.margin: must be >= 0`);
+  const opacity = number(opts.opacity) ?? 1;
+  if (opacity <= 0 || opacity > 1) throw new Error(`${path}.opacity: must be greater than 0 and at most 1`);
+  const scale = number(opts.scale) ?? 0.15;
+  if (scale <= 0 || scale > 1) throw new Error(`${path}.scale: must be greater than 0 and at most 1`);
+  const start = number(opts.start);
+  const end = number(opts.end);
+  if (start != null && start < 0) throw new Error(`${path}.start: must be >= 0`);
+  if (end != null && end <= (start ?? 0)) throw new Error(`${path}.end: must be greater than start (${start ?? 0})`);
+
+  return { url, position, margin, opacity, scale, start, end };
+}
+
+/**
+ * Normalise the job-level `overlays` option: a list of image watermarks, each a URL
+ * string or { url, position, margin, opacity, scale, start, end }.
+ * `position` is a corner, an edge centre or `center` (default top-right); `margin` is
+ * in pixels of a 720p frame (default 24); `scale` is the overlay width as a fraction
+ * of the frame width (default 0.15); `start` / `end` (seconds) limit when it shows.
+ * @returns {object[]} empty when not set
+ * @throws {Error} "overlays[i].<field>: message" for invalid options
+ */
+function normalizeOverlays(option) {
+  if (option == null) return [];
+  const list = Array.isArray(option) ? option : [option];
+  return list.map((item, i) => normalizeOverlay(item, `overlays[${i}]`));
+}
+
+/**
+ * Normalise a segment's `lowerThird`: a name string or { text, subtext, color,
+ * boxColor, boxOpacity, position, start, duration, font }. It is shown from `start`
+ * seconds into the segment for `duration` seconds (default: to the end).
+ * @param {string} path - field path used in error messages, e.g. "segments[1].lowerThird"
+ * @returns {object|null} null when not set
+ */
+function normalizeLowerThird(option, path) {
+  if (option == null || option === false) return null;
+  const opts = typeof option === "string" ? { text: option } : { ...option };
+  const text = String(opts.text ?? opts.title ?? "").trim();
+  const subtext = String(opts.subtext ?? opts.subtitle ?? "").trim();
+  if (!text) throw new Error(`${path}.text: is required`);
+
+  const position = String(opts.position || "left").toLowerCase();
+  if (!LOWER_THIRD_POSITIONS.includes(position)) {
+    throw new Error(`${path}.position: must be one of ${LOWER_THIRD_POSITIONS.join(", ")}`);
+  }
+  const color = (value, field, fallback) => {
+    try {
+      return value ? normalizeColor(value) : fallback;
+    } catch (err) {
+      throw new Error(`${path}.${field}: ${err.message}`);
+    }
+  };
+  const boxOpacity = number(opts.boxOpacity) ?? 0.6;
+  if (boxOpacity < 0 || boxOpacity > 1) throw new Error(`${path}.boxOpacity: must be between 0 and 1`);
+  const start = number(opts.start) ?? 0;
+  if (start < 0) throw new Error(`${path}.start: must be >= 0`);
+  const duration = number(opts.duration);
+  if (duration != null && duration <= 0) throw new Error(`${path}.duration: must be greater than 0`);
+
+  return {
+    text,
+    subtext,
+    color: color(opts.color, "color", "white"),
+    boxColor: color(opts.boxColor, "boxColor", "black"),
+    boxOpacity,
+    position,
+    start,
+    duration,
+    font: opts.font ? resolveFont(opts.font, `${path}.font`) : defaultFont(),
+  };
+}
+
+/**
+ * Lay out a lower third for one frame size: the name and the optional role line,
+ * each on its own box, above the subtitle area. Times are relative to the segment.
+ * @returns {object[]} drawtext lines (see buildDrawtextFilter in ffmpegHelpers.js)
+ */
+function layoutLowerThird(lowerThird, { width, height }) {
+  const marginX = Math.round(width * 0.05);
+  const x = { left: `${marginX}`, center: "(w-text_w)/2", right: `w-text_w-${marginX}` }[lowerThird.position];
+  const end = lowerThird.duration != null ? lowerThird.start + lowerThird.duration : null;
+  const enable = end != null ? `between(t,${lowerThird.start},${end})` : lowerThird.start > 0 ? `gte(t,${lowerThird.start})` : null;
+  // an 8-digit colour already carries its alpha
+  const boxcolor = /^0x[0-9A-F]{8}$/.test(lowerThird.boxColor) ? lowerThird.boxColor : `${lowerThird.boxColor}@${lowerThird.boxOpacity}`;
+
+  const rows = [{ text: lowerThird.text, fontsize: Math.round(height * 0.045) }];
+  if (lowerThird.subtext) rows.push({ text: lowerThird.subtext, fontsize: Math.round(height * 0.032) });
+
+  let y = Math.round(height * 0.7);
+  return rows.map((row) => {
+    const boxborderw = Math.max(2, Math.round(row.fontsize * 0.35));
+    const line = {
+      text: row.text,
+      fontfile: lowerThird.font,
+      fontsize: row.fontsize,
+      fontcolor: lowerThird.color,
+      x,
+      y,
+      alpha: null,
+      boxcolor,
+      boxborderw,
+      enable,
+    };
+    y += row.fontsize + 2 * boxborderw;
+    return line;
+  });
+}
+
+// drawtext reads `textfile`, so user text never has to be escaped for the filter graph
+async function writeLowerThirdText(lines, dir, index) {
+  return Promise.all(lines.map(async (line, n) => {
+    const textfile = join(dir, `lower_${index}_${n}.txt`);
+    await writeFile(textfile, line.text, "utf8");
+    return { ...line, textfile };
+  }));
+}
+
+function overlayPosition(position, margin) {
+  const [vertical, horizontal = "center"] = position === "center" ? ["center"] : position.split("-");
+  const x = { left: `${margin}`, center: "(W-w)/2", right: `W-w-${margin}` }[horizontal];
+  const y = { top: `${margin}`, center: "(H-h)/2", bottom: `H-h-${margin}` }[vertical];
+  return { x, y };
+}
+
+/**
+ * Filters that composite the watermark images over `videoLabel`.
+ * `offset` is where this piece of video starts on the timeline and `duration` its
+ * length (the per-segment fallback renders one segment at a time); overlays whose
+ * time range misses it entirely are skipped.
+ * @param {object} params
+ * @param {object[]} params.overlays - normalised overlays
+ * @param {number[]} params.inputs - ffmpeg input index of each overlay image
+ * @param {string} params.videoLabel - input pad, e.g. "[v]"
+ * @param {string} params.outLabel - output pad name (without brackets)
+ * @returns {{ filters: string[], label: string }} filter chains and the final pad
+ */
+function buildOverlayFilters({ overlays, inputs, videoLabel, outLabel, width, height, offset = 0, duration = null }) {
+  const margin = (overlay) => Math.round((overlay.margin * Math.min(width, height)) / REFERENCE_HEIGHT);
+  const visible = overlays
+    .map((overlay, i) => ({ overlay, input: inputs[i] }))
+    .filter(({ overlay }) => (overlay.end == null || overlay.end > offset)
+      && (overlay.start == null || duration == null || overlay.start < offset + duration));
+
+  const filters = [];
+  let label = videoLabel;
+  visible.forEach(({ overlay, input }, n) => {
+    // even width keeps chroma subsampling exact; the height follows the aspect ratio
+    const w = Math.max(2, Math.round((width * overlay.scale) / 2) * 2);
+    let chain = `[${input}:v]scale=${w}:-1,format=rgba`;
+    if (overlay.opacity < 1) chain += `,colorchannelmixer=aa=${overlay.opacity}`;
+    filters.push(`${chain}[wm${n}]`);
+
+    const { x, y } = overlayPosition(overlay.position, margin(overlay));
+    const start = overlay.start != null ? Math.max(0, overlay.start - offset) : 0;
+    const end = overlay.end != null ? overlay.end - offset : null;
+    const enable = end != null ? `:enable='between(t,${start},${end})'` : start > 0 ? `:enable='gte(t,${start})'` : "";
+    const out = `[${n === visible.length - 1 ? outLabel : `${outLabel}${n}`}]`;
+    filters.push(`${label}[wm${n}]overlay=x=${x}:y=${y}${enable}${out}`);
+    label = out;
+  });
+  return { filters, label };
+}
+
+export { normalizeOverlays, normalizeLowerThird, layoutLowerThird, writeLowerThirdText, buildOverlayFilters, POSITIONS as OVERLAY_POSITIONS };
@@ -0,0 +1,33 @@
+// lib/pLimit.js
+
+// simple p-limit implementation to bound concurrency
+function pLimit(concurrency) {
+  const queue = [];
+  let active = 0;
+  const next = () => {
+    if (queue.length === 0 || active >= concurrency) return;
+    active++;
+    const { fn, resolve, reject } = queue.shift();
+    Promise.resolve(fn()).then((val) => {
+      active--;
+      resolve(val);
+      next();
+    }, (err) => {
+      active--;
+      reject(err);
+      next();
+    });
+  };
+  const limit = (fn) => new Promise((resolve, reject) => {
+    queue.push({ fn, resolve, reject });
+    next();
+  });
+  // expose counters so callers (e.g. the job queue) can report queue depth
+  Object.defineProperties(limit, {
+    activeCount: { get: () => active },
+    pendingCount: { get: () => queue.length },
+  });
+  return limit;
+}
+
+export { pLimit };
@@ -0,0 +1,684 @@
+// lib/renderJob.js
+import { join, extname } from "path";
+import { mkdir, rm, stat, access } from "fs/promises";
+import { v4 as uuidv4 } from "uuid";
+import { downloadFileToPath } from "./download.js";
+import { createByteBudget } from "./downloadPolicy.js";
+import { createSegmentVideo, concatVideos, createVideoFromSegments, probeDuration, parseResolution } from "./ffmpegHelpers.js";
+import { createSubtitleFile, getSubtitleStylePresets } from "./subtitleHelpers.js";
+import { normalizeBackgroundMusic, mixBackgroundMusic } from "./audioHelpers.js";
+import { getStorage, normalizeStorageOption } from "./storage/index.js";
+import { assertCallbackAllowed } from "./webhook.js";
+import { normalizeOutputs, createOutput } from "./outputHelpers.js";
+import { normalizeMotion } from "./motionHelpers.js";
+import { normalizeTransition, buildTimeline } from "./transitionHelpers.js";
+import { normalizeRenditions, subtitleStyleForRendition } from "./renditions.js";
+import { normalizeFit } from "./fitHelpers.js";
+import { normalizeClip, probeClip, clipLength, usesClipAudio } from "./clipHelpers.js";
+import { normalizeTitleCard, layoutTitleCard, writeTitleCardText } from "./titleCardHelpers.js";
+import { normalizeOverlays, normalizeLowerThird, layoutLowerThird, writeLowerThirdText } from "./overlayHelpers.js";
+import { normalizeThumbnails, createThumbnails } from "./thumbnailHelpers.js";
+import { normalizeEncoding, targetVideoBitrate } from "./encoding.js";
+import { setJobStage, setJobProgress, setJobCheckpoint } from "./jobs.js";
+import { assertRenderQuota } from "./auth.js";
+import { validateSchema, toFieldErrors } from "./schema.js";
+import { RENDER_REQUEST_SCHEMA } from "./requestSchema.js";
+
+// error for payload problems; `expose` lets the message through in production responses
+function requestError(message, status = 400) {
+  const e = new Error(message);
+  e.status = status;
+  e.expose = true;
+  return e;
+}
+
+// 422 listing every invalid field (see toFieldErrors)
+function validationError(errors) {
+  const e = requestError(`Payload validation failed: ${errors.length} invalid field(s)`, 422);
+  e.errors = toFieldErrors(errors);
+  return e;
+}
+
+/**
+ * Normalise a /generate-video body into a render request.
+ * Accepts either { segments: [...] } or [ { segments: [...] } ] and the legacy
+ * field aliases (image_Url, length, time, ...). The body is checked against
+ * RENDER_REQUEST_SCHEMA first, so nothing is downloaded for an invalid job.
+ * @throws {Error} with `status` 422 and `errors` (every invalid field) for invalid payloads
+ */
+function normalizeRenderRequest(rawBody) {
+  let body = rawBody;
+  if (Array.isArray(body) && body.length === 1 && body[0] && typeof body[0] === 'object') {
+    body = body[0];
+  }
+
+  const schemaErrors = validateSchema(RENDER_REQUEST_SCHEMA, body);
+  if (schemaErrors.length) throw validationError(schemaErrors);
+
+  // the normalisers below check what the schema can't (cross-field rules); collect
+  // their errors too so the caller sees all of them at once
+  const errors = [];
+  const parseOption = (field, parse) => {
+    try {
+      return parse();
+    } catch (err) {
+      // some normalisers already prefix the exact field ("outputs[1]: ...")
+      const prefixed = /^(\S+): ([\s\S]*)$/.exec(err.message);
+      if (prefixed && prefixed[1].startsWith(field)) errors.push({ path: prefixed[1], message: prefixed[2] });
+      else errors.push({ path: field, message: err.message });
+      return null;
+    }
+  };
+
+  const { jobId, segments: rawSegments, resolution, subtitleStyle, subtitlePreset } = body;
+  const backgroundMusic = normalizeBackgroundMusic(body.backgroundMusic || body.background_music);
+
+  // Handle subtitle styling
+  let globalSubtitleStyle = null;
+  if (subtitlePreset) {
+    const presets = getSubtitleStylePresets();
+    globalSubtitleStyle = presets[String(subtitlePreset).toLowerCase()] || presets['default'];
+    console.log(`Using subtitle preset: ${subtitlePreset}`);
+  } else if (subtitleStyle) {
+    globalSubtitleStyle = subtitleStyle;
+    console.log(`Using custom subtitle style: ${typeof subtitleStyle === 'string' ? subtitleStyle : JSON.stringify(subtitleStyle)}`);
+  }
+
+  // one or more output sizes rendered from the same downloaded assets
+  const renditions = parseOption("resolution", () => normalizeRenditions(resolution));
+
+  // default placement of images that don't match the frame (renditions and segments may override)
+  const fit = parseOption("fit", () => normalizeFit(body.fit) || normalizeFit("contain"));
+
+  // encoding profile of the masters (renditions may override); unavailable encoders are rejected here
+  const encoding = parseOption("encoding", () => normalizeEncoding(body.encoding));
+
+  // normalize each segment to expected keys (imageUrl, videoUrl or titleCard, duration)
+  const segments = rawSegments.map((s, i) => {
+    // title cards are generated, so they have no URL at all
+    const isTitle = s.type === 'title';
+    // a video segment is marked by its URL or by `type: "video"` (with `url`)
+    const videoUrl = isTitle ? undefined : s.videoUrl || s.video_url || s.video || (s.type === 'video' ? s.url : undefined);
+    const isVideo = s.type === 'video' || (Boolean(videoUrl) && s.type !== 'image');
+    if (s.type === 'video' && !videoUrl) errors.push({ path: `segments[${i}].videoUrl`, message: 'is required for video segments' });
+    return {
+      id: s.id ?? s.ID ?? s.index,
+      imageUrl: isVideo || isTitle ? undefined : s.imageUrl || s.image_Url || s.image_url || s.image || s.url,
+      videoUrl: isVideo ? videoUrl : undefined,
+      clip: isVideo ? parseOption(`segments[${i}]`, () => normalizeClip(s, `segments[${i}]`)) : null,
+      titleCard: isTitle ? parseOption(`segments[${i}]`, () => normalizeTitleCard(s, `segments[${i}]`)) : null,
+      audioUrl: s.audioUrl || s.audio_url || s.audio,
+      duration: s.duration ?? s.length ?? s.time,
+      // keep other optional metadata if present
+      image_prompt: s.image_prompt || s.imagePrompt,
+      // on a title card `subtitle` is the card's second line, not a caption
+      subtitleText: s.subtitleText || s.subtitle_text || (isTitle ? undefined : s.subtitle),
+      word_duration: s.word_duration || s.wordDuration || s.words,
+      // motion on a clip or title card is reported by its normaliser
+      motion: isVideo || isTitle ? null : parseOption(`segments[${i}].motion`, () => normalizeMotion(s.motion || s.kenBurns)),
+      transition: parseOption(`segments[${i}].transition`, () => normalizeTransition(s.transition)),
+      fit: parseOption(`segments[${i}].fit`, () => normalizeFit(s.fit)),
+      lowerThird: parseOption(`segments[${i}].lowerThird`, () => normalizeLowerThird(s.lowerThird || s.lower_third, `segments[${i}].lowerThird`)),
+    };
+  });
+
+  const sync = body.sync === true || body.sync === 'true';
+  const dryRun = body.dryRun === true;
+  // render again even when a job with this jobId already succeeded
+  const force = body.force === true;
+
+  // optional webhook notified when the job succeeds or fails
+  const callbackUrl = body.callbackUrl || body.callback_url || null;
+  if (callbackUrl) parseOption("callbackUrl", () => assertCallbackAllowed(callbackUrl));
+  const callbackHeaders = body.callbackHeaders || body.callback_headers || {};
+
+  // storage backend for the outputs: STORAGE_BACKEND by default, or per request
+  const storage = parseOption("storage", () => normalizeStorageOption(body.storage));
+  const outputs = parseOption("outputs", () => normalizeOutputs(body.outputs));
+
+  // poster frame + scrubbing sprite / VTT track, on unless `thumbnails: false`
+  const thumbnails = parseOption("thumbnails", () => normalizeThumbnails(body.thumbnails, segments.length));
+
+  // image watermarks (logos) composited over the whole timeline or a time range
+  const overlays = parseOption("overlays", () => normalizeOverlays(body.overlays)) || [];
+
+  if (errors.length) throw validationError(errors);
+
+  return { jobId, segments, renditions, fit, encoding, globalSubtitleStyle, backgroundMusic, overlays, sync, dryRun, force, callbackUrl, callbackHeaders, storage, outputs, thumbnails };
+}
+
+// helper: extract extension safely from a URL string
+function safeExt(urlStr, fallback) {
+  try {
+    const p = new URL(urlStr).pathname; // throws if not a valid URL
+    const e = extname(p).split("?")[0];
+    return e || fallback;
+  } catch (e) {
+    return fallback;
+  }
+}
+
+// 1) download all images (and narration / music / overlay images) in parallel but bounded;
+// `onProgress` gets { completed, total } files after each download
+// Files come from the shared download cache when one is given; `cache` in the result
+// counts the job's cache hits and misses. Every file is held to the download policy
+// (downloadPolicy.js) and all of them share one per-job byte budget; a violation is
+// rethrown naming the field it came from (`field`, and `segmentIndex` for segments).
+// Aborting `signal` stops the downloads under way.
+async function downloadAssets({ segments, backgroundMusic, overlays = [] }, sessionDir, { limit, cache = null, signal = null }, onProgress = () => {}) {
+  const total = segments.filter((seg) => !seg.titleCard).length + segments.filter((seg) => seg.audioUrl).length
+    + (backgroundMusic ? 1 : 0) + overlays.length;
+  let completed = 0;
+  const cacheStats = { hits: 0, misses: 0 };
+  const budget = createByteBudget();
+  const fetchFile = async (url, path, expect, field, segmentIndex = null) => {
+    try {
+      if (cache) {
+        const { hit } = await cache.fetch(url, path, { expect, budget, signal });
+        cacheStats[hit ? 'hits' : 'misses']++;
+      } else {
+        await downloadFileToPath(url, path, { expect, budget, signal });
+      }
+    } catch (err) {
+      if (err.code && err.code.startsWith('DOWNLOAD_')) {
+        err.message = `${field}: ${err.message}`;
+        err.field = field;
+        if (segmentIndex != null) err.segmentIndex = segmentIndex;
+      }
+      throw err;
+    }
+    onProgress({ completed: ++completed, total });
+  };
+
+  const downloadTasks = segments.map((seg, i) =>
+    limit(async () => {
+      // download the image or video clip (log failures per URL); title cards are generated later
+      let imgPath = null;
+      let videoPath = null;
+      if (seg.titleCard) {
+        // nothing to fetch
+      } else if (seg.clip) {
+        videoPath = join(sessionDir, `clip_${i}${safeExt(seg.videoUrl, ".mp4")}`);
+        await fetchFile(seg.videoUrl, videoPath, 'video', `segments[${i}].videoUrl`, i).catch((err) => {
+          console.error(`Failed to download video clip for segment ${i}:`, err.message || err);
+          throw err;
+        });
+      } else {
+        imgPath = join(sessionDir, `img_${i}${safeExt(seg.imageUrl, ".png")}`);
+        await fetchFile(seg.imageUrl, imgPath, 'image', `segments[${i}].imageUrl`, i).catch((err) => {
+          console.error(`Failed to download image for segment ${i}:`, err.message || err);
+          throw err;
+        });
+      }
+
+      // download narration next to the image
+      let audioPath = null;
+      if (seg.audioUrl) {
+        audioPath = join(sessionDir, `audio_${i}${safeExt(seg.audioUrl, ".mp3")}`);
+        await fetchFile(seg.audioUrl, audioPath, 'audio', `segments[${i}].audioUrl`, i).catch((err) => {
+          console.error(`Failed to download audio for segment ${i}:`, err.message || err);
+          throw err;
+        });
+      }
+
+      return {
+        imagePath: imgPath,
+        videoPath,
+        clip: seg.clip,
+        titleCard: seg.titleCard,
+        audioPath,
+        duration: seg.duration,
+        motion: seg.motion,
+        transition: seg.transition,
+        fit: seg.fit,
+        lowerThird: seg.lowerThird,
+        subtitleText: seg.subtitleText,
+        word_duration: seg.word_duration
+      };
+    })
+  );
+
+  // background music bed (job level), downloaded alongside the segments
+  const musicTask = backgroundMusic
+    ? limit(async () => {
+        const musicPath = join(sessionDir, `music${safeExt(backgroundMusic.url, ".mp3")}`);
+        await fetchFile(backgroundMusic.url, musicPath, 'audio', 'backgroundMusic.url').catch((err) => {
+          console.error('Failed to download background music:', err.message || err);
+          throw err;
+        });
+        return { ...backgroundMusic, path: musicPath };
+      })
+    : Promise.resolve(null);
+
+  // watermark images (job level)
+  const overlayTasks = overlays.map((overlay, i) =>
+    limit(async () => {
+      const overlayPath = join(sessionDir, `overlay_${i}${safeExt(overlay.url, ".png")}`);
+      await fetchFile(overlay.url, overlayPath, 'image', `overlays[${i}].url`).catch((err) => {
+        console.error(`Failed to download overlay ${i}:`, err.message || err);
+        throw err;
+      });
+      return { ...overlay, path: overlayPath };
+    })
+  );
+
+  const [downloaded, music, overlayFiles] = await Promise.all([Promise.all(downloadTasks), musicTask, Promise.all(overlayTasks)]);
+  console.log(`Successfully downloaded ${downloaded.length} segments` + (cache ? ` (cache: ${cacheStats.hits} hit(s), ${cacheStats.misses} miss(es))` : ''));
+  return { downloaded, music, overlays: overlayFiles, cache: cache ? cacheStats : null };
+}
+
+// each rendition renders into its own directory and uploads under its own key prefix;
+// a single rendition keeps the plain session dir and `<jobId>` keys. Keys start with
+// the owner's prefix (storage.prefix, set by reserveJob) when auth is enabled
+function renditionTargets({ jobId, renditions, storage }, sessionDir) {
+  const base = `${(storage && storage.prefix) || ""}${jobId}`;
+  if (renditions.length === 1) return [{ rendition: renditions[0], dir: sessionDir, keyBase: base }];
+  return renditions.map((rendition) => ({
+    rendition,
+    dir: join(sessionDir, rendition.name),
+    keyBase: `${base}-${rendition.name}`,
+  }));
+}
+
+// 2) settle durations (audio length, word timing) and write subtitle, title card and
+// lower third text files for every rendition (the ASS PlayRes, placement and line
+// wrapping differ per output size)
+async function prepareSegments(downloaded, { globalSubtitleStyle }, targets) {
+  // Video clips are probed for their length and sound; a clip segment without an
+  // explicit duration plays the trimmed clip once
+  await Promise.all(downloaded.map(async (seg, i) => {
+    if (!seg.clip) return;
+    const { duration: sourceDuration, hasAudio } = await probeClip(seg.videoPath);
+    seg.clip = { ...seg.clip, sourceDuration, hasAudio };
+    if (seg.duration != null) return;
+    try {
+      seg.duration = clipLength(seg.clip);
+    } catch (err) {
+      throw requestError(`segments[${i}].trimStart: ${err.message}`, 422);
+    }
+    console.log(`Segment ${i} duration set to ${seg.duration}s from clip length`);
+  }));
+
+  // Other segments without an explicit duration take the length of their narration
+  await Promise.all(downloaded.map(async (seg, i) => {
+    if (seg.duration != null || !seg.audioPath) return;
+    seg.duration = Math.round((await probeDuration(seg.audioPath)) * 1000) / 1000;
+    console.log(`Segment ${i} duration set to ${seg.duration}s from audio length`);
+  }));
+
+  const subtitles = [];
+  for (const { rendition, dir } of targets) {
+    await mkdir(dir, { recursive: true });
+    const style = subtitleStyleForRendition(globalSubtitleStyle, rendition);
+
+    // Generate subtitle files for segments that have subtitle data
+    // Also update segment durations if calculated from word timing
+    const subtitleResults = downloaded.map((seg, i) => {
+      if (seg.subtitleText || seg.word_duration) {
+        return createSubtitleFile(seg, dir, i, seg.duration, style, { resolution: rendition.resolution });
+      }
+      return { srtPath: null, subtitlePath: null, calculatedDuration: null, subtitleStyle: null };
+    });
+
+    // Update segment durations with calculated values from word timing; later
+    // renditions then see the settled durations and calculate nothing new
+    downloaded.forEach((seg, i) => {
+      if (subtitleResults[i].calculatedDuration) {
+        seg.duration = subtitleResults[i].calculatedDuration;
+        console.log(`Updated segment ${i} duration to ${seg.duration}s from word timing`);
+      }
+    });
+
+    const frame = parseResolution(rendition.resolution);
+    const titleLines = await Promise.all(downloaded.map((seg, i) =>
+      (seg.titleCard ? writeTitleCardText(layoutTitleCard(seg.titleCard, frame), dir, i) : null)));
+    const lowerThirdLines = await Promise.all(downloaded.map((seg, i) =>
+      (seg.lowerThird ? writeLowerThirdText(layoutLowerThird(seg.lowerThird, frame), dir, i) : null)));
+
+    subtitles.push({
+      subtitlePaths: subtitleResults.map(result => result.subtitlePath),
+      subtitleStyles: subtitleResults.map(result => result.subtitleStyle),
+      titleLines,
+      lowerThirdLines,
+    });
+  }
+
+  // Validate that each segment has a numeric duration (given, from audio or from word timing)
+  const missingDuration = downloaded.findIndex((s) => s.duration == null || !Number.isFinite(Number(s.duration)));
+  if (missingDuration !== -1) {
+    throw requestError(`Payload validation failed: each segment must include a numeric 'duration' in seconds (missing or invalid at index ${missingDuration})`, 422);
+  }
+
+  return subtitles;
+}
+
+// 3) try single-run concat (fast). If it fails, fall back to per-segment
+// encode + concat which is slower but more robust.
+// Resolves with the output path, its duration, the segment start times and any
+// warnings about features the fallback could not honour.
+// `onProgress` gets the rendered fraction (0..1) of the timeline. Aborting `signal`
+// kills ffmpeg; a cancelled render does not fall back.
+// `encoding` (see normalizeEncoding) applies to both paths; the fallback encodes in a
+// single pass, and a master over `encoding.maxFileSize` is reported in the warnings.
+async function renderVideo({ downloaded, music, overlays, subtitlePaths, subtitleStyles, titleLines, lowerThirdLines, resolution, fit, encoding }, sessionDir, onProgress = () => {}, signal = null) {
+  const finalPath = join(sessionDir, "final.mp4");
+  const warnings = [];
+  const timeline = buildTimeline(downloaded);
+  let duration = timeline.total;
+  let starts = timeline.starts;
+  // a size target that can't be met is the request's fault, not a reason to fall back
+  let bitrate;
+  try {
+    bitrate = targetVideoBitrate(encoding, duration);
+  } catch (err) {
+    throw requestError(err.message, 422);
+  }
+  try {
+    await createVideoFromSegments({
+      segments: downloaded,
+      outPath: finalPath,
+      resolution,
+      fit,
+      subtitlePaths,
+      subtitleStyles,
+      titleLines,
+      lowerThirdLines,
+      overlays,
+      backgroundMusic: music,
+      encoding,
+      onProgress: (seconds) => onProgress(Math.min(1, seconds / duration)),
+      signal,
+    });
+  } catch (singleErr) {
+    if (signal && signal.aborted) throw singleErr;
+    console.error('Single-run createVideoFromSegments failed, falling back to per-segment encode:', singleErr && singleErr.message);
+    // the concat demuxer can only butt files together, so transitions become hard cuts
+    const withTransitions = downloaded.map((seg, i) => (i > 0 && seg.transition ? i : null)).filter((i) => i != null);
+    if (withTransitions.length) {
+      const warning = `Transitions into segments ${withTransitions.join(', ')} could not be rendered by the per-segment fallback and were replaced by hard cuts`;
+      console.warn(warning);
+      warnings.push(warning);
+    }
+    if (encoding.twoPass) warnings.push('The per-segment fallback encoded in a single pass, so the bitrate target is approximate');
+    starts = [];
+    duration = downloaded.reduce((sum, seg) => {
+      starts.push(sum);
+      return sum + Number(seg.duration);
+    }, 0);
+    // create per-segment mp4 files; if any segment has narration every file
+    // gets an audio track so the concat demuxer sees identical streams
+    const withAudio = downloaded.some((seg) => seg.audioPath || usesClipAudio(seg));
+    const segVideoPaths = [];
+    onProgress(0);
+    for (let i = 0; i < downloaded.length; i++) {
+      const seg = downloaded[i];
+      const segOut = join(sessionDir, `seg_${i}.mp4`);
+      console.log('Encoding segment (fallback):', seg.videoPath || seg.imagePath || `title card ${i}`, '->', segOut);
+      await createSegmentVideo({
+        imagePath: seg.imagePath,
+        videoPath: seg.videoPath,
+        clip: seg.clip,
+        titleCard: seg.titleCard,
+        titleLines: titleLines[i],
+        lowerThirdLines: lowerThirdLines[i],
+        overlays,
+        overlayOffset: starts[i],
+        outPath: segOut,
+        duration: seg.duration,
+        audioPath: seg.audioPath,
+        withAudio,
+        motion: seg.motion,
+        resolution,
+        fit: seg.fit || fit,
+        subtitlePath: subtitlePaths[i],
+        subtitleStyle: subtitleStyles[i],
+        encoding,
+        bitrate,
+        onProgress: (seconds) => onProgress(Math.min(1, (starts[i] + Math.min(seconds, Number(seg.duration))) / duration)),
+        signal,
+      });
+      segVideoPaths.push(segOut);
+    }
+    console.log('Concatenating', segVideoPaths.length, 'segment files');
+    if (music) {
+      // equivalent of the single-run mixing stage: join first, then lay the music under it
+      const joinedPath = join(sessionDir, "joined.mp4");
+      await concatVideos(segVideoPaths, joinedPath, { signal });
+      console.log('Mixing background music into fallback output');
+      await mixBackgroundMusic({
+        videoPath: joinedPath,
+        musicPath: music.path,
+        outPath: finalPath,
+        duration,
+        hasNarration: withAudio,
+        music,
+        audioBitrate: encoding.audioBitrate,
+        signal,
+      });
+    } else {
+      await concatVideos(segVideoPaths, finalPath, { signal });
+    }
+  }
+  if (encoding.maxFileSize) {
+    const { size } = await stat(finalPath);
+    if (size > encoding.maxFileSize) {
+      const warning = `The video is ${size} bytes, over the maxFileSize of ${encoding.maxFileSize} bytes`;
+      console.warn(warning);
+      warnings.push(warning);
+    }
+  }
+  return { finalPath, duration, starts, warnings };
+}
+
+// 4) derive every requested output (and the thumbnails) from each rendition's master
+// and upload all of their files; upload progress is reported across all files of the job.
+// Resolves with { outputs, thumbnails, files } for each master, in the same order, where
+// `files` lists every stored object ({ key, url, contentType, size }). A cancelled job
+// stops before its next encode or upload.
+async function publishOutputs(job, masters, signal = null) {
+  const checkCancelled = () => signal && signal.throwIfAborted();
+  const { request } = job;
+  const artifactsPerMaster = [];
+  const thumbnailsPerMaster = [];
+  for (const { finalPath, dir, keyBase, rendition, duration, starts, durations } of masters) {
+    const artifacts = [];
+    for (const output of request.outputs) {
+      checkCancelled();
+      artifacts.push(await createOutput(finalPath, output, { sessionDir: dir, jobId: keyBase, signal }));
+    }
+    artifactsPerMaster.push(artifacts);
+    checkCancelled();
+    thumbnailsPerMaster.push(request.thumbnails
+      ? await createThumbnails(finalPath, request.thumbnails, { sessionDir: dir, jobId: keyBase, resolution: rendition.resolution, duration, starts, durations, signal })
+      : null);
+  }
+
+  checkCancelled();
+  setJobStage(job, "uploading");
+  const storage = getStorage(request.storage);
+  const filesPerMaster = artifactsPerMaster.map((artifacts, m) => [
+    ...artifacts.flatMap((artifact) => artifact.files),
+    ...(thumbnailsPerMaster[m] ? thumbnailsPerMaster[m].files : []),
+  ]);
+  const files = filesPerMaster.flat();
+  const sizes = await Promise.all(files.map((file) => stat(file.path).then((st) => st.size)));
+  const totalBytes = sizes.reduce((sum, size) => sum + size, 0);
+  console.log(`Uploading ${files.length} file(s) to ${storage.name} storage (bucket '${storage.bucket}')...`);
+
+  const urls = {};
+  const stored = new Map();
+  let uploadedBytes = 0;
+  for (let i = 0; i < files.length; i++) {
+    checkCancelled();
+    const file = files[i];
+    const uploadResult = await storage.upload(file.path, file.key, {
+      contentType: file.contentType,
+      onProgress: ({ bytesSent }) => setJobProgress(job, { stage: 'uploading', bytesSent: uploadedBytes + bytesSent, totalBytes }),
+    });
+    uploadedBytes += sizes[i];
+    urls[file.key] = uploadResult.url;
+    stored.set(file, { key: file.key, url: uploadResult.url, contentType: file.contentType, size: sizes[i] });
+  }
+
+  return artifactsPerMaster.map((artifacts, m) => {
+    const thumbs = thumbnailsPerMaster[m];
+    return {
+      outputs: artifacts.map((artifact) => ({
+        format: artifact.format,
+        url: urls[artifact.key],
+        key: artifact.key,
+        contentType: artifact.contentType,
+      })),
+      thumbnails: thumbs
+        ? { poster: urls[thumbs.poster] || null, sprite: urls[thumbs.sprite] || null, vtt: urls[thumbs.vtt] || null }
+        : null,
+      files: filesPerMaster[m].map((file) => stored.get(file)),
+    };
+  });
+}
+
+// whether every file a checkpoint of downloads refers to is still on disk
+async function downloadsPresent({ downloaded, music, overlays }) {
+  const paths = [
+    ...downloaded.flatMap((seg) => [seg.imagePath, seg.videoPath, seg.audioPath]),
+    music && music.path,
+    ...overlays.map((overlay) => overlay.path),
+  ].filter(Boolean);
+  const present = await Promise.all(paths.map((path) => access(path).then(() => true, () => false)));
+  return present.every(Boolean);
+}
+
+/**
+ * Run the whole pipeline for one job: download, render, upload.
+ * Stage changes are recorded on the job record, and so is what each stage leaves
+ * behind (see setJobCheckpoint): a job resumed after a restart reuses its session
+ * dir, skips the downloads and the renditions already rendered if their files are
+ * still there, and redoes the outputs and the upload.
+ *
+ * @param {object} job - job record from createJob (its `request` is a normalised render request)
+ * @param {object} context
+ * @param {string} context.tempRoot - directory that holds the per-job session dirs
+ * @param {Function} context.limit - pLimit instance bounding parallel downloads
+ * @param {object} [context.cache] - shared download cache (see createDownloadCache)
+ * @param {AbortSignal} [context.signal] - aborted when the job is cancelled: downloads
+ *   and ffmpeg stop, nothing is uploaded and the session dir is removed
+ * @returns {Promise<{ url: string, outputs: object[], thumbnails: object|null, renditions: object[], duration: number, cache?: object, warnings?: string[] }>}
+ *   `url`/`outputs`/`thumbnails` belong to the first rendition, kept for callers that only expect one video;
+ *   `renditions` lists { name, resolution, fit, encoding, url, outputs, thumbnails } for every rendition;
+ *   `cache` counts the downloads served from the cache ({ hits, misses });
+ *   `files` lists every stored object ({ key, url, contentType, size, rendition }), for the video API
+ */
+async function runRenderJob(job, { tempRoot, limit, cache = null, signal = null }) {
+  const { request } = job;
+  const { segments } = request;
+
+  console.log(`Received ${segments.length} segments`);
+  segments.forEach((s, i) => console.log(`segment[${i}] ${s.titleCard ? 'title card' : s.clip ? `videoUrl=${s.videoUrl}` : `imageUrl=${s.imageUrl}`} audioUrl=${s.audioUrl || '-'} duration=${s.duration}`));
+
+  const checkpoint = job.checkpoint || {};
+  const sessionDir = checkpoint.sessionDir || join(tempRoot, uuidv4());
+  // recorded before the dir exists, so the temp janitor never sees it unclaimed
+  if (!checkpoint.sessionDir) setJobCheckpoint(job, { sessionDir });
+  // ensure temp root and session dir exist
+  await mkdir(sessionDir, { recursive: true });
+
+  try {
+    let assets = checkpoint.downloads && (await downloadsPresent(checkpoint.downloads)) ? checkpoint.downloads : null;
+    if (assets) {
+      console.log(`[job ${job.jobId}] downloads already complete in ${sessionDir}`);
+    } else {
+      setJobStage(job, "downloading");
+      assets = await downloadAssets(request, sessionDir, { limit, cache, signal }, ({ completed, total }) =>
+        setJobProgress(job, { stage: 'downloading', completed, total }));
+      // stored as it was downloaded; prepareSegments below settles durations in place
+      setJobCheckpoint(job, { downloads: JSON.parse(JSON.stringify(assets)) });
+    }
+    const { downloaded, music, overlays, cache: cacheStats } = assets;
+    const targets = renditionTargets(request, sessionDir);
+    const subtitles = await prepareSegments(downloaded, request, targets);
+    if (signal) signal.throwIfAborted();
+    // narration and clip lengths only count against the daily quota once they are known
+    assertRenderQuota(job, downloaded.reduce((sum, seg) => sum + Number(seg.duration), 0) * targets.length);
+
+    setJobStage(job, "rendering");
+    const masters = [];
+    const warnings = [];
+    let duration = null;
+    // renditions rendered before a restart (and during this run), by name
+    const renderedMasters = new Map(((job.checkpoint && job.checkpoint.rendered) || []).map((entry) => [entry.name, entry]));
+    for (let r = 0; r < targets.length; r++) {
+      const { rendition, dir } = targets[r];
+      const fit = rendition.fit || request.fit;
+      const encoding = rendition.encoding || request.encoding;
+      const previous = renderedMasters.get(rendition.name);
+      if (previous && (await access(previous.master.finalPath).then(() => true, () => false))) {
+        console.log(`[job ${job.jobId}] rendition '${rendition.name}' already rendered`);
+        masters.push({ ...targets[r], ...previous.master });
+        duration = duration ?? previous.master.duration;
+        warnings.push(...previous.warnings);
+        continue;
+      }
+      if (targets.length > 1) console.log(`Rendering rendition '${rendition.name}' (${rendition.resolution}, fit ${fit.mode}, ${encoding.profile} profile)`);
+      // percent covers all renditions; ffmpeg reports often, so only whole-percent changes are sent
+      let lastPercent = null;
+      const rendered = await renderVideo({ downloaded, music, overlays, ...subtitles[r], resolution: rendition.resolution, fit, encoding }, dir, (fraction) => {
+        const percent = Math.floor(((r + fraction) / targets.length) * 100);
+        if (percent === lastPercent) return;
+        lastPercent = percent;
+        setJobProgress(job, { stage: 'rendering', percent, rendition: rendition.name });
+      }, signal);
+      const master = {
+        finalPath: rendered.finalPath,
+        duration: rendered.duration,
+        starts: rendered.starts,
+        durations: downloaded.map((seg) => Number(seg.duration)),
+      };
+      masters.push({ ...targets[r], ...master });
+      duration = duration ?? rendered.duration;
+      const renditionWarnings = rendered.warnings.map((w) => (targets.length > 1 ? `${rendition.name}: ${w}` : w));
+      warnings.push(...renditionWarnings);
+      renderedMasters.set(rendition.name, { name: rendition.name, master, warnings: renditionWarnings });
+      setJobCheckpoint(job, { rendered: [...renderedMasters.values()] });
+    }
+
+    // 4) Upload to the configured storage backend and return the URLs
+    const published = await publishOutputs(job, masters, signal);
+    console.log('Video uploaded successfully:', published.flatMap((p) => p.outputs).map((o) => o.url).join(', '));
+
+    // Cleanup session directory after successful upload
+    rm(sessionDir, { recursive: true, force: true }).catch(console.error);
+
+    const renditions = targets.map(({ rendition }, r) => ({
+      name: rendition.name,
+      resolution: rendition.resolution,
+      fit: (rendition.fit || request.fit).mode,
+      encoding: (rendition.encoding || request.encoding).profile,
+      url: published[r].outputs[0].url,
+      outputs: published[r].outputs,
+      thumbnails: published[r].thumbnails,
+    }));
+    const files = targets.flatMap(({ rendition }, r) => published[r].files.map((file) => ({ ...file, rendition: rendition.name })));
+    const result = { url: renditions[0].url, outputs: renditions[0].outputs, thumbnails: renditions[0].thumbnails, renditions, duration, files };
+    if (cacheStats) result.cache = cacheStats;
+    if (warnings.length) result.warnings = warnings;
+    return result;
+  } catch (err) {
+    if (signal && signal.aborted) {
+      // nothing of a cancelled job is worth keeping, not even for debugging
+      console.log(`Video generation cancelled, removing ${sessionDir}`);
+      await rm(sessionDir, { recursive: true, force: true }).catch(console.error);
+      throw err;
+    }
+    console.error("Video generation failed:", err);
+
+    // Clean up session directory on error (production)
+    if (process.env.NODE_ENV === 'production') {
+      rm(sessionDir, { recursive: true, force: true }).catch(console.error);
+    } else {
+      console.error(`Session files available for debugging at: ${sessionDir}`);
+    }
+    throw err;
+  }
+}
+
+export { normalizeRenderRequest, runRenderJob, safeExt };
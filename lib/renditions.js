@@ -0,0 +1,106 @@
+// lib/renditions.js
+import { normalizeSubtitleStyle, parseSubtitleStyle } from "./subtitleHelpers.js";
+import { normalizeFit } from "./fitHelpers.js";
+import { normalizeEncoding } from "./encoding.js";
+
+// aspect ratio shortcuts accepted in place of "WIDTHxHEIGHT"
+const ASPECT_PRESETS = {
+  "16:9": "1280x720",
+  "9:16": "720x1280",
+  "1:1": "720x720",
+  "4:5": "720x900",
+};
+
+// subtitle placement shortcuts -> ASS numpad alignment
+const SUBTITLE_POSITIONS = { bottom: 2, middle: 5, top: 8 };
+
+// subtitle sizes in presets are tuned for a 720p frame
+const REFERENCE_SHORT_SIDE = 720;
+
+function parseRenditionResolution(value) {
+  const resolution = ASPECT_PRESETS[value] || value;
+  const m = /^(\d+)x(\d+)$/.exec(String(resolution || ""));
+  if (!m) throw new Error(`invalid resolution '${value}' (expected WIDTHxHEIGHT or one of ${Object.keys(ASPECT_PRESETS).join(", ")})`);
+  const width = Number(m[1]);
+  const height = Number(m[2]);
+  // yuv420p needs even dimensions
+  if (width < 16 || height < 16 || width % 2 || height % 2) {
+    throw new Error(`invalid resolution '${value}' (width and height must be even and at least 16)`);
+  }
+  return `${width}x${height}`;
+}
+
+/**
+ * Normalise the job `resolution` option into a list of renditions.
+ * Accepts "1280x720", an aspect shortcut ("9:16"), or an array of those and/or
+ * { name, resolution, fit, subtitlePosition, subtitleStyle, encoding } objects. A
+ * rendition without `fit` or `encoding` uses the job's (see normalizeFit and
+ * normalizeEncoding); its own `encoding` replaces the job's entirely.
+ * @returns {Array<{ name: string, resolution: string, fit: object|null, subtitlePosition: string|null, subtitleStyle: object|null, encoding: object|null }>}
+ * @throws {Error} for invalid resolutions, fit modes, encodings or duplicate names
+ */
+function normalizeRenditions(option = "1280x720") {
+  const list = Array.isArray(option) ? option : [option];
+  if (list.length === 0) throw new Error("resolution list must not be empty");
+
+  const names = new Set();
+  return list.map((entry, i) => {
+    const opts = typeof entry === "object" && entry !== null ? { ...entry } : { resolution: entry };
+    const where = Array.isArray(option) ? `resolution[${i}]` : "resolution";
+
+    let resolution;
+    try {
+      resolution = parseRenditionResolution(opts.resolution);
+    } catch (err) {
+      throw new Error(`${where}: ${err.message}`);
+    }
+
+    let fit;
+    try {
+      fit = normalizeFit(opts.fit);
+    } catch (err) {
+      throw new Error(`${where}: ${err.message}`);
+    }
+
+    const subtitlePosition = opts.subtitlePosition ? String(opts.subtitlePosition).toLowerCase() : null;
+    if (subtitlePosition && SUBTITLE_POSITIONS[subtitlePosition] == null) {
+      throw new Error(`${where}: unknown subtitlePosition '${opts.subtitlePosition}' (expected one of ${Object.keys(SUBTITLE_POSITIONS).join(", ")})`);
+    }
+
+    const name = String(opts.name || (ASPECT_PRESETS[opts.resolution] ? opts.resolution.replace(":", "x") : resolution));
+    if (!/^[A-Za-z0-9_-]+$/.test(name)) {
+      throw new Error(`${where}: name '${name}' may only contain letters, digits, '-' and '_'`);
+    }
+    if (names.has(name)) throw new Error(`${where}: duplicate rendition name '${name}'`);
+    names.add(name);
+
+    return {
+      name,
+      resolution,
+      fit,
+      subtitlePosition,
+      subtitleStyle: opts.subtitleStyle ? parseSubtitleStyle(opts.subtitleStyle) : null,
+      encoding: opts.encoding != null ? normalizeEncoding(opts.encoding, `${where}.encoding`) : null,
+    };
+  });
+}
+
+/**
+ * Subtitle style for one rendition: the job style with font size and margins scaled
+ * to the rendition's short side, then the rendition's own placement and overrides.
+ */
+function subtitleStyleForRendition(globalStyle, rendition) {
+  const [width, height] = rendition.resolution.split("x").map(Number);
+  const scale = Math.min(width, height) / REFERENCE_SHORT_SIDE;
+  const style = normalizeSubtitleStyle(globalStyle);
+
+  if (scale !== 1) {
+    for (const key of ["FontSize", "MarginL", "MarginR", "MarginV", "Outline"]) {
+      if (Number.isFinite(Number(style[key]))) style[key] = Math.round(Number(style[key]) * scale * 10) / 10;
+    }
+  }
+  if (rendition.subtitlePosition) style.Alignment = SUBTITLE_POSITIONS[rendition.subtitlePosition];
+  return rendition.subtitleStyle ? normalizeSubtitleStyle({ ...style, ...rendition.subtitleStyle }) : style;
+}
+
+export { normalizeRenditions, subtitleStyleForRendition, ASPECT_PRESETS };
@@ -0,0 +1,351 @@
+// lib/requestSchema.js
+import { MOTION_TYPES, EASINGS } from "./motionHelpers.js";
+import { XFADE_TRANSITIONS } from "./transitionHelpers.js";
+import { FIT_MODES } from "./fitHelpers.js";
+import { OUTPUT_FORMATS } from "./outputHelpers.js";
+import { ASPECT_PRESETS } from "./renditions.js";
+import { getSubtitleStylePresets } from "./subtitleHelpers.js";
+import { STORAGE_BACKENDS } from "./storage/index.js";
+import { OVERLAY_POSITIONS } from "./overlayHelpers.js";
+import { ENCODING_PROFILES, VIDEO_ENCODERS, X264_PRESETS } from "./encoding.js";
+
+// Declarative schema of the POST /generate-video body, published at GET /schema.
+// Structural checks live here; the normalisers in renderJob.js still apply defaults
+// and the checks that need more than one field (e.g. duplicate rendition names).
+
+const url = { type: "string", format: "uri" };
+
+const seconds = {
+  anyOf: [
+    { type: "number", exclusiveMinimum: 0 },
+    { type: "string", pattern: "^\\s*\\d+(\\.\\d+)?\\s*$", patternMessage: "must be a positive number of seconds" },
+  ],
+};
+
+const nonNegative = { type: "number", minimum: 0 };
+
+const resolutionString = {
+  type: "string",
+  pattern: `^(\\d+x\\d+|${Object.keys(ASPECT_PRESETS).join("|")})$`,
+  patternMessage: `must be WIDTHxHEIGHT or one of ${Object.keys(ASPECT_PRESETS).join(", ")}`,
+};
+
+const fit = {
+  anyOf: [
+    { type: "string", enum: FIT_MODES },
+    {
+      type: "object",
+      properties: {
+        mode: { type: "string", enum: FIT_MODES },
+        color: { type: "string" },
+        blur: { type: "number", minimum: 1 },
+      },
+    },
+  ],
+};
+
+const subtitleStyle = { type: ["string", "object"], description: "ASS style string or object of ASS style keys" };
+
+const profileName = { type: "string", enum: Object.keys(ENCODING_PROFILES) };
+
+const encoding = {
+  anyOf: [
+    profileName,
+    {
+      type: "object",
+      properties: {
+        profile: profileName,
+        encoder: { type: "string", enum: Object.keys(VIDEO_ENCODERS), description: "must also be available in the installed ffmpeg" },
+        fps: { type: "number", exclusiveMinimum: 0, maximum: 120 },
+        crf: { type: "number", minimum: 0, maximum: 51 },
+        bitrate: { type: ["string", "number"], description: "video bits per second, e.g. \"5M\"" },
+        preset: { type: "string", enum: X264_PRESETS },
+        gop: { type: "number", exclusiveMinimum: 0, description: "seconds between keyframes" },
+        maxFileSize: { type: ["string", "number"], description: "bytes, or e.g. \"50MB\"" },
+        twoPass: { type: "boolean" },
+        audioBitrate: { type: "string" },
+      },
+    },
+  ],
+};
+
+const rendition = {
+  type: "object",
+  required: ["resolution"],
+  properties: {
+    name: { type: "string", pattern: "^[A-Za-z0-9_-]+$", patternMessage: "may only contain letters, digits, '-' and '_'" },
+    resolution: resolutionString,
+    fit,
+    subtitlePosition: { type: "string", enum: ["bottom", "middle", "top"] },
+    subtitleStyle,
+    encoding,
+  },
+};
+
+const motion = {
+  anyOf: [
+    { type: "string", enum: MOTION_TYPES },
+    {
+      type: "object",
+      properties: {
+        type: { type: "string", enum: MOTION_TYPES },
+        zoom: { type: "number", minimum: 1 },
+        easing: { type: "string", enum: EASINGS },
+        from: { type: "object" },
+        to: { type: "object" },
+      },
+    },
+  ],
+};
+
+const transitionTypes = ["cut", "none", ...XFADE_TRANSITIONS];
+const transition = {
+  anyOf: [
+    { type: "string", enum: transitionTypes },
+    {
+      type: "object",
+      properties: {
+        type: { type: "string", enum: transitionTypes },
+        duration: { type: "number", exclusiveMinimum: 0 },
+      },
+    },
+  ],
+};
+
+const wordDuration = {
+  type: ["array", "string"],
+  description: "per-word seconds aligned with subtitleText, or [{ word, duration }] / [{ word, start, end }] (a JSON string is accepted)",
+  items: {
+    anyOf: [
+      { type: "number", minimum: 0 },
+      { type: "string", pattern: "^\\s*\\d+(\\.\\d+)?\\s*$", patternMessage: "must be a number of seconds" },
+      {
+        type: "object",
+        properties: {
+          word: { type: "string" },
+          text: { type: "string" },
+          start: nonNegative,
+          end: nonNegative,
+          duration: nonNegative,
+        },
+      },
+    ],
+  },
+};
+
+const lowerThird = {
+  anyOf: [
+    { type: "string", minLength: 1 },
+    {
+      type: "object",
+      required: ["text"],
+      properties: {
+        text: { type: "string", minLength: 1, description: "first line, e.g. the speaker's name" },
+        subtext: { type: "string", description: "second line, e.g. their role" },
+        color: { type: "string" },
+        boxColor: { type: "string" },
+        boxOpacity: { type: "number", minimum: 0, maximum: 1 },
+        position: { type: "string", enum: ["left", "center", "right"] },
+        start: nonNegative,
+        duration: { type: "number", exclusiveMinimum: 0 },
+        font: { type: "string" },
+      },
+    },
+  ],
+};
+
+const overlay = {
+  anyOf: [
+    url,
+    {
+      type: "object",
+      required: ["url"],
+      properties: {
+        url,
+        type: { type: "string", enum: ["image"] },
+        position: { type: "string", enum: OVERLAY_POSITIONS },
+        margin: { ...nonNegative, description: "pixels on a 720p frame, scaled per rendition" },
+        opacity: { type: "number", exclusiveMinimum: 0, maximum: 1 },
+        scale: { type: "number", exclusiveMinimum: 0, maximum: 1, description: "overlay width as a fraction of the frame width" },
+        start: nonNegative,
+        end: { type: "number", exclusiveMinimum: 0 },
+      },
+    },
+  ],
+};
+
+const segment = {
+  type: "object",
+  properties: {
+    id: { type: ["string", "integer"] },
+    type: { type: "string", enum: ["image", "video", "title"], description: "segment kind; defaults to video when videoUrl is set" },
+    url: { ...url, description: "image or video URL, depending on type" },
+    imageUrl: url,
+    image_Url: { ...url, description: "alias of imageUrl" },
+    image_url: { ...url, description: "alias of imageUrl" },
+    image: { ...url, description: "alias of imageUrl" },
+    videoUrl: url,
+    video_url: { ...url, description: "alias of videoUrl" },
+    video: { ...url, description: "alias of videoUrl" },
+    trimStart: { ...nonNegative, description: "video segments: seconds into the clip where playback starts" },
+    trimEnd: { type: "number", exclusiveMinimum: 0, description: "video segments: seconds into the clip where playback stops" },
+    speed: { type: "number", minimum: 0.25, maximum: 4, description: "video segments: playback rate" },
+    keepAudio: { type: "boolean", description: "video segments: keep the clip's sound (default: unless the segment has narration)" },
+    title: { type: "string", description: "title cards: heading text" },
+    bullets: { type: "array", items: { type: "string" }, description: "title cards: bullet lines below the subtitle" },
+    background: {
+      type: ["string", "object"],
+      description: "title cards: colour, or { gradient: [from, to], direction } with direction vertical, horizontal or diagonal",
+    },
+    color: { type: "string", description: "title cards: text colour" },
+    titleColor: { type: "string", description: "title cards: colour of the title" },
+    subtitleColor: { type: "string", description: "title cards: colour of the subtitle" },
+    font: { type: "string", description: "title cards: font name from the fonts directory" },
+    titleFont: { type: "string", description: "title cards: font of the title" },
+    align: { type: "string", enum: ["left", "center", "right"], description: "title cards: horizontal text alignment" },
+    verticalAlign: { type: "string", enum: ["top", "middle", "bottom"], description: "title cards: vertical placement of the text" },
+    fadeIn: { ...nonNegative, description: "title cards: seconds each line takes to fade in" },
+    stagger: { ...nonNegative, description: "title cards: seconds between the fade-ins of successive lines" },
+    audioUrl: url,
+    audio_url: { ...url, description: "alias of audioUrl" },
+    audio: { ...url, description: "alias of audioUrl" },
+    duration: seconds,
+    length: { ...seconds, description: "alias of duration" },
+    time: { ...seconds, description: "alias of duration" },
+    image_prompt: { type: "string" },
+    subtitleText: { type: "string" },
+    subtitle_text: { type: "string", description: "alias of subtitleText" },
+    subtitle: { type: "string", description: "alias of subtitleText; on title cards the line below the title" },
+    word_duration: wordDuration,
+    wordDuration: { ...wordDuration, description: "alias of word_duration" },
+    words: { ...wordDuration, description: "alias of word_duration" },
+    motion,
+    kenBurns: { ...motion, description: "alias of motion" },
+    transition,
+    fit,
+    lowerThird,
+    lower_third: { ...lowerThird, description: "alias of lowerThird" },
+  },
+  allOf: [
+    {
+      anyOf: [
+        { required: ["imageUrl"] }, { required: ["image_Url"] }, { required: ["image_url"] }, { required: ["image"] },
+        { required: ["videoUrl"] }, { required: ["video_url"] }, { required: ["video"] }, { required: ["url"] },
+        { required: ["type"], properties: { type: { enum: ["title"] } } },
+      ],
+      errorMessage: "imageUrl or videoUrl is required (title cards need neither)",
+    },
+    {
+      // video segments default to the length of the (trimmed) clip
+      anyOf: [
+        { required: ["duration"] }, { required: ["length"] }, { required: ["time"] },
+        { required: ["videoUrl"] }, { required: ["video_url"] }, { required: ["video"] },
+        { required: ["type"], properties: { type: { enum: ["video"] } } },
+        { required: ["audioUrl"] }, { required: ["audio_url"] }, { required: ["audio"] },
+        { required: ["word_duration"] }, { required: ["wordDuration"] }, { required: ["words"] },
+      ],
+      errorMessage: "duration is required unless audioUrl, word_duration or a video clip is given",
+    },
+  ],
+};
+
+const backgroundMusic = {
+  anyOf: [
+    url,
+    {
+      type: "object",
+      required: ["url"],
+      properties: {
+        url,
+        volume: nonNegative,
+        fadeIn: nonNegative,
+        fadeOut: nonNegative,
+        loop: { type: "boolean" },
+        duck: { type: "boolean" },
+        duckThreshold: nonNegative,
+        duckRatio: { type: "number", minimum: 1 },
+        duckAttack: nonNegative,
+        duckRelease: nonNegative,
+      },
+    },
+  ],
+};
+
+const storageBackends = Object.keys(STORAGE_BACKENDS);
+const outputFormats = Object.keys(OUTPUT_FORMATS);
+
+const RENDER_REQUEST_SCHEMA = {
+  $schema: "http://json-schema.org/draft-07/schema#",
+  title: "POST /generate-video request body",
+  type: "object",
+  required: ["jobId", "segments"],
+  properties: {
+    jobId: { type: "string", minLength: 1 },
+    segments: { type: "array", minItems: 1, items: segment },
+    resolution: {
+      anyOf: [resolutionString, rendition, { type: "array", minItems: 1, items: { anyOf: [resolutionString, rendition] } }],
+    },
+    fit,
+    encoding,
+    subtitlePreset: { type: "string", enum: Object.keys(getSubtitleStylePresets()) },
+    subtitleStyle,
+    backgroundMusic,
+    background_music: { ...backgroundMusic, description: "alias of backgroundMusic" },
+    overlays: { type: "array", items: overlay, description: "image watermarks composited over the video" },
+    sync: { type: ["boolean", "string"] },
+    dryRun: { type: "boolean", description: "validate, probe the URLs and return the planned timeline and filter graph without rendering" },
+    force: { type: "boolean", description: "render again even if a job with this jobId already succeeded" },
+    callbackUrl: url,
+    callback_url: { ...url, description: "alias of callbackUrl" },
+    callbackHeaders: { type: "object", additionalProperties: { type: "string" } },
+    callback_headers: { type: "object", additionalProperties: { type: "string" }, description: "alias of callbackHeaders" },
+    storage: {
+      anyOf: [
+        { type: "string", enum: storageBackends },
+        { type: "object", properties: { backend: { type: "string", enum: storageBackends }, bucket: { type: "string", pattern: "^[A-Za-z0-9_-]+$", patternMessage: "may only contain letters, digits, '-' and '_'" } } },
+      ],
+    },
+    outputs: {
+      type: "array",
+      minItems: 1,
+      items: {
+        anyOf: [
+          { type: "string", enum: outputFormats },
+          { type: "object", required: ["format"], properties: { format: { type: "string", enum: outputFormats } } },
+        ],
+      },
+    },
+    thumbnails: {
+      anyOf: [
+        { type: "boolean" },
+        {
+          type: "object",
+          properties: {
+            poster: {
+              anyOf: [
+                { type: "boolean" },
+                nonNegative,
+                { type: "object", properties: { time: nonNegative, segment: { type: "integer", minimum: 0 } } },
+              ],
+            },
+            sprite: {
+              anyOf: [
+                { type: "boolean" },
+                {
+                  type: "object",
+                  properties: {
+                    interval: { type: "number", minimum: 0.5 },
+                    width: { type: "integer", minimum: 32 },
+                    columns: { type: "integer", minimum: 1 },
+                  },
+                },
+              ],
+            },
+          },
+        },
+      ],
+    },
+  },
+};
+
+export { RENDER_REQUEST_SCHEMA };
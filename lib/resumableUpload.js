@@ -0,0 +1,105 @@
+// lib/resumableUpload.js
+import { createReadStream } from "fs";
+import { stat } from "fs/promises";
+import axios from "axios";
+
+const TUS_VERSION = "1.0.0";
+
+// Upload-Metadata is a comma separated list of "key base64(value)"
+function encodeMetadata(metadata) {
+  return Object.entries(metadata)
+    .filter(([, v]) => v != null)
+    .map(([k, v]) => `${k} ${Buffer.from(String(v)).toString("base64")}`)
+    .join(",");
+}
+
+/**
+ * Upload a file with the TUS resumable upload protocol.
+ *
+ * The file is streamed from disk one chunk at a time, so memory use is bounded by
+ * the socket buffers rather than the file size. A failed chunk is retried with
+ * backoff; before each retry the server is asked (HEAD) how many bytes it already
+ * has, and the upload resumes from that offset instead of starting over.
+ *
+ * @param {object} params
+ * @param {string} params.endpoint - TUS creation endpoint
+ * @param {string} params.filePath - local file to upload
+ * @param {object} [params.headers] - extra headers (auth) sent with every request
+ * @param {object} [params.metadata] - Upload-Metadata values
+ * @param {number} [params.chunkSize=6MB] - bytes per PATCH request
+ * @param {number} [params.retries=3] - retries per chunk
+ * @param {number} [params.retryDelay=1000] - base backoff in ms (multiplied by the attempt number)
+ * @param {Function} [params.onProgress] - called with { bytesSent, totalBytes }
+ * @returns {Promise<{ uploadUrl: string, size: number }>}
+ */
+async function tusUpload({
+  endpoint,
+  filePath,
+  headers = {},
+  metadata = {},
+  chunkSize = 6 * 1024 * 1024,
+  retries = 3,
+  retryDelay = 1000,
+  onProgress,
+}) {
+  const { size } = await stat(filePath);
+  const baseHeaders = { ...headers, "Tus-Resumable": TUS_VERSION };
+
+  const created = await axios.post(endpoint, null, {
+    headers: { ...baseHeaders, "Upload-Length": String(size), "Upload-Metadata": encodeMetadata(metadata) },
+    validateStatus: null,
+  });
+  if (created.status !== 201 || !created.headers.location) {
+    const detail = typeof created.data === "string" ? created.data : JSON.stringify(created.data);
+    throw new Error(`TUS create failed with status ${created.status}: ${detail}`);
+  }
+  const uploadUrl = new URL(created.headers.location, endpoint).toString();
+
+  let offset = 0;
+  if (onProgress) onProgress({ bytesSent: 0, totalBytes: size });
+
+  // failed attempts for the current chunk; reset whenever the offset advances
+  let attempt = 0;
+  while (offset < size) {
+    const end = Math.min(offset + chunkSize, size);
+    try {
+      const resp = await axios.patch(uploadUrl, createReadStream(filePath, { start: offset, end: end - 1 }), {
+        headers: {
+          ...baseHeaders,
+          "Upload-Offset": String(offset),
+          "Content-Type": "application/offset+octet-stream",
+          "Content-Length": String(end - offset),
+        },
+        maxBodyLength: Infinity,
+        validateStatus: null,
+      });
+      if (resp.status !== 204) {
+        const e = new Error(`TUS chunk ${offset}-${end} failed with status ${resp.status}`);
+        e.status = resp.status;
+        throw e;
+      }
+      offset = Number(resp.headers["upload-offset"]) || end;
+      attempt = 0;
+    } catch (err) {
+      attempt++;
+      // 4xx other than conflicts/timeouts means the upload itself is invalid
+      if (err.status && err.status < 500 && ![408, 409, 423, 429].includes(err.status)) throw err;
+      if (attempt > retries) {
+        throw new Error(`TUS upload of ${filePath} failed at byte ${offset} after ${attempt} attempts: ${err.message}`);
+      }
+      console.error(`TUS chunk at byte ${offset} failed (attempt ${attempt}): ${err.message}; retrying`);
+      await new Promise((r) => setTimeout(r, retryDelay * attempt));
+      // resume from whatever the server already stored
+      try {
+        const head = await axios.head(uploadUrl, { headers: baseHeaders, validateStatus: null });
+        const serverOffset = Number(head.headers["upload-offset"]);
+        if (head.status === 200 && Number.isFinite(serverOffset)) offset = serverOffset;
+      } catch (e) {}
+    }
+    if (onProgress) onProgress({ bytesSent: offset, totalBytes: size });
+  }
+
+  return { uploadUrl, size };
+}
+
+export { tusUpload };
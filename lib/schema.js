@@ -0,0 +1,123 @@
+// lib/schema.js
+
+// Minimal validator for the JSON Schema (draft-07) subset used by our request
+// schemas: type, enum, pattern, format "uri", minLength, minimum, exclusiveMinimum,
+// maximum, minItems, items, properties, required, additionalProperties, allOf and anyOf.
+// anyOf branches may carry an `errorMessage` reported instead of the branch errors.
+
+function typeOf(value) {
+  if (value === null) return "null";
+  if (Array.isArray(value)) return "array";
+  if (typeof value === "number") return Number.isInteger(value) ? "integer" : "number";
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  if (type === "number") return actual === "number" || actual === "integer";
+  return actual === type;
+}
+
+function isHttpUrl(value) {
+  try {
+    const { protocol } = new URL(value);
+    return protocol === "http:" || protocol === "https:";
+  } catch (e) {
+    return false;
+  }
+}
+
+const join = (path, key) => (typeof key === "number" ? `${path}[${key}]` : path ? `${path}.${key}` : key);
+
+/**
+ * Validate `value` against `schema`.
+ * @param {object} schema - JSON Schema subset (see above)
+ * @param {*} value
+ * @param {string} [path=""] - path of `value`, used in error entries
+ * @returns {Array<{ path: string, message: string }>} empty when valid
+ */
+function validateSchema(schema, value, path = "") {
+  const errors = [];
+  const fail = (message) => errors.push({ path, message });
+
+  if (schema.anyOf) {
+    const results = schema.anyOf.map((branch) => validateSchema(branch, value, path));
+    if (!results.some((r) => r.length === 0)) {
+      if (schema.errorMessage) {
+        fail(schema.errorMessage);
+      } else {
+        // report the closest branch: one whose type matches, with the fewest errors
+        const typed = results.filter((r, i) => !schema.anyOf[i].type || [].concat(schema.anyOf[i].type).some((t) => matchesType(value, t)));
+        if (typed.length) {
+          errors.push(...typed.reduce((best, r) => (r.length < best.length ? r : best)));
+        } else {
+          const types = [...new Set(schema.anyOf.flatMap((b) => [].concat(b.type || [])))];
+          fail(`must be ${types.join(" or ")}`);
+        }
+      }
+      return errors;
+    }
+  }
+
+  for (const branch of schema.allOf || []) errors.push(...validateSchema(branch, value, path));
+
+  if (schema.type && ![].concat(schema.type).some((t) => matchesType(value, t))) {
+    fail(`must be ${[].concat(schema.type).join(" or ")}`);
+    return errors;
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    fail(`must be one of ${schema.enum.join(", ")}`);
+    return errors;
+  }
+
+  if (typeof value === "string") {
+    if (schema.minLength != null && value.trim().length < schema.minLength) fail("must not be empty");
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) fail(schema.patternMessage || `must match ${schema.pattern}`);
+    if (schema.format === "uri" && !isHttpUrl(value)) fail("must be an absolute http(s) URL");
+  }
+
+  if (typeof value === "number") {
+    if (schema.minimum != null && value < schema.minimum) fail(`must be >= ${schema.minimum}`);
+    if (schema.exclusiveMinimum != null && value <= schema.exclusiveMinimum) fail(`must be > ${schema.exclusiveMinimum}`);
+    if (schema.maximum != null && value > schema.maximum) fail(`must be <= ${schema.maximum}`);
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems != null && value.length < schema.minItems) fail(`must have at least ${schema.minItems} item(s)`);
+    if (schema.items) value.forEach((item, i) => errors.push(...validateSchema(schema.items, item, join(path, i))));
+  }
+
+  if (typeOf(value) === "object") {
+    for (const key of schema.required || []) {
+      if (value[key] == null) errors.push({ path: join(path, key), message: "is required" });
+    }
+    for (const [key, item] of Object.entries(value)) {
+      // null is treated like a missing value, as the normalisers do
+      if (item == null) continue;
+      const propSchema = schema.properties && schema.properties[key];
+      if (propSchema) {
+        errors.push(...validateSchema(propSchema, item, join(path, key)));
+      } else if (schema.additionalProperties === false) {
+        errors.push({ path: join(path, key), message: "is not allowed" });
+      } else if (schema.additionalProperties && typeof schema.additionalProperties === "object") {
+        errors.push(...validateSchema(schema.additionalProperties, item, join(path, key)));
+      }
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Shape validation errors for API responses: { field, segment?, message }, where
+ * `segment` is the index for fields inside `segments[i]`.
+ */
+function toFieldErrors(errors) {
+  return errors.map(({ path, message }) => {
+    const segment = /^segments\[(\d+)\]/.exec(path);
+    return { field: path || "(body)", ...(segment ? { segment: Number(segment[1]) } : {}), message };
+  });
+}
+
+export { validateSchema, toFieldErrors };
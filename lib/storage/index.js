@@ -0,0 +1,53 @@
+// lib/storage/index.js
+import { createSupabaseStorage } from "./supabase.js";
+import { createLocalStorage, serveLocalFiles } from "./local.js";
+import { createS3Storage } from "./s3.js";
+
+/*
+ * Storage adapters share one interface:
+ *   upload(filePath, key, { contentType, onProgress }) -> Promise<{ url, key }>
+ *     files are streamed from disk; onProgress gets { bytesSent, totalBytes }
+ *   delete(key)                            -> Promise<boolean>
+ *   getUrl(key, { signed, expiresIn })     -> Promise<string>
+ *   exists(key)                            -> Promise<boolean>
+ */
+const STORAGE_BACKENDS = {
+  supabase: createSupabaseStorage,
+  local: createLocalStorage,
+  s3: createS3Storage,
+};
+
+// bucket names end up in paths and URLs, so they are kept to a safe alphabet
+const BUCKET_PATTERN = /^[A-Za-z0-9_-]+$/;
+
+function defaultBackend() {
+  return (process.env.STORAGE_BACKEND || "supabase").toLowerCase();
+}
+
+/**
+ * Normalise a per-request `storage` option: a backend name or { backend, bucket }.
+ * @returns {{ backend: string, bucket: string|null }}
+ * @throws {Error} for unknown backends and invalid bucket names
+ */
+function normalizeStorageOption(option) {
+  const opts = typeof option === "string" ? { backend: option } : { ...(option || {}) };
+  const backend = String(opts.backend || opts.type || defaultBackend()).toLowerCase();
+  if (!STORAGE_BACKENDS[backend]) {
+    throw new Error(`unknown storage backend '${backend}' (expected one of ${Object.keys(STORAGE_BACKENDS).join(", ")})`);
+  }
+  if (opts.bucket != null && !BUCKET_PATTERN.test(String(opts.bucket))) {
+    throw new Error(`storage.bucket: invalid bucket name '${opts.bucket}' (letters, digits, '-' and '_' only)`);
+  }
+  return { backend, bucket: opts.bucket || null };
+}
+
+/**
+ * Create the storage adapter for a backend (defaults to STORAGE_BACKEND, then supabase).
+ * @param {{ backend?: string, bucket?: string }} [option]
+ */
+function getStorage(option) {
+  const { backend, bucket } = normalizeStorageOption(option);
+  return STORAGE_BACKENDS[backend]({ bucket: bucket || undefined });
+}
+
+export { getStorage, normalizeStorageOption, defaultBackend, serveLocalFiles, STORAGE_BACKENDS, BUCKET_PATTERN };
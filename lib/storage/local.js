@@ -0,0 +1,138 @@
+// lib/storage/local.js
+import crypto from "crypto";
+import express from "express";
+import { join, dirname, resolve, sep } from "path";
+import { createReadStream, createWriteStream } from "fs";
+import { mkdir, rename, rm, stat } from "fs/promises";
+import { pipeline } from "stream/promises";
+import { fileURLToPath } from "url";
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+
+// where local "buckets" live; each bucket is a sub directory
+const LOCAL_STORAGE_ROOT = resolve(process.env.STORAGE_LOCAL_DIR || join(__dirname, "..", "..", "storage"));
+// URL prefix the Express app serves the files under
+const LOCAL_FILES_ROUTE = "/files";
+
+function publicBaseUrl() {
+  return (process.env.STORAGE_PUBLIC_BASE_URL || `http://localhost:${process.env.PORT || 3000}${LOCAL_FILES_ROUTE}`).replace(/\/$/, "");
+}
+
+// secret for signed local URLs; falls back to a per-process random key
+const signingSecret = process.env.STORAGE_LOCAL_SIGNING_SECRET || crypto.randomBytes(32).toString("hex");
+
+function signPath(urlPath, expires) {
+  return crypto.createHmac("sha256", signingSecret).update(`${urlPath}:${expires}`).digest("hex");
+}
+
+// resolve bucket/key to a file path, refusing buckets that escape the storage root
+// and keys that escape the bucket
+function resolveObjectPath(bucket, key) {
+  const bucketDir = resolve(LOCAL_STORAGE_ROOT, bucket);
+  if (!bucketDir.startsWith(LOCAL_STORAGE_ROOT + sep)) {
+    throw new Error(`Invalid storage bucket '${bucket}'`);
+  }
+  const filePath = resolve(bucketDir, key);
+  if (!filePath.startsWith(bucketDir + sep)) {
+    throw new Error(`Invalid storage key '${key}'`);
+  }
+  return filePath;
+}
+
+const encodeKey = (key) => key.split("/").map(encodeURIComponent).join("/");
+
+/**
+ * Storage adapter that writes to the local disk (STORAGE_LOCAL_DIR, default ./storage).
+ * Files are served by the Express app through `serveLocalFiles()`.
+ * @param {object} [options]
+ * @param {string} [options.bucket="videos"] - sub directory to use
+ */
+export function createLocalStorage({ bucket } = {}) {
+  const bucketName = bucket || process.env.STORAGE_LOCAL_BUCKET || "videos";
+  // serveLocalFiles refuses unsigned URLs then, so uploads hand out signed ones
+  const requireSigned = process.env.STORAGE_LOCAL_REQUIRE_SIGNED === "true";
+
+  const getUrl = async (key, { signed = false, expiresIn = 3600 } = {}) => {
+    const urlPath = `/${encodeURIComponent(bucketName)}/${encodeKey(key)}`;
+    if (!signed) return `${publicBaseUrl()}${urlPath}`;
+    const expires = Math.floor(Date.now() / 1000) + expiresIn;
+    return `${publicBaseUrl()}${urlPath}?expires=${expires}&signature=${signPath(urlPath, expires)}`;
+  };
+
+  return {
+    name: "local",
+    bucket: bucketName,
+
+    async upload(filePath, key, { onProgress } = {}) {
+      const dest = resolveObjectPath(bucketName, key);
+      await mkdir(dirname(dest), { recursive: true });
+      const { size } = await stat(filePath);
+
+      // stream into a temp name and rename, so readers never see a partial file
+      const partial = `${dest}.partial`;
+      const source = createReadStream(filePath);
+      let bytesSent = 0;
+      if (onProgress) {
+        source.on("data", (chunk) => {
+          bytesSent += chunk.length;
+          onProgress({ bytesSent, totalBytes: size });
+        });
+      }
+      try {
+        await pipeline(source, createWriteStream(partial));
+        await rename(partial, dest);
+      } catch (error) {
+        await rm(partial, { force: true });
+        throw new Error(`Local storage upload failed for key '${key}': ${error.message}`);
+      }
+      return { url: await getUrl(key, { signed: requireSigned }), key };
+    },
+
+    async delete(key) {
+      try {
+        await rm(resolveObjectPath(bucketName, key), { force: true });
+        return true;
+      } catch (error) {
+        console.error("Error deleting from local storage:", error);
+        return false;
+      }
+    },
+
+    getUrl,
+
+    async exists(key) {
+      try {
+        return (await stat(resolveObjectPath(bucketName, key))).isFile();
+      } catch (e) {
+        return false;
+      }
+    },
+  };
+}
+
+/**
+ * Express middleware serving locally stored files. When STORAGE_LOCAL_REQUIRE_SIGNED
+ * is "true" only URLs created with `getUrl(key, { signed: true })` are accepted.
+ * @returns {{ route: string, handlers: Function[] }}
+ */
+export function serveLocalFiles() {
+  const requireSigned = process.env.STORAGE_LOCAL_REQUIRE_SIGNED === "true";
+
+  const verifySignature = (req, res, next) => {
+    const { expires, signature } = req.query;
+    if (!requireSigned && !signature) return next();
+    const valid = expires && signature
+      && Number(expires) >= Math.floor(Date.now() / 1000)
+      && signature.length === 64
+      && crypto.timingSafeEqual(Buffer.from(String(signature)), Buffer.from(signPath(req.path, expires)));
+    if (!valid) return res.status(403).json({ error: "Invalid or expired signature" });
+    next();
+  };
+
+  return {
+    route: LOCAL_FILES_ROUTE,
+    handlers: [verifySignature, express.static(LOCAL_STORAGE_ROOT, { fallthrough: false, index: false })],
+  };
+}
+
+export { LOCAL_STORAGE_ROOT };
@@ -0,0 +1,169 @@
+// lib/storage/s3.js
+import { createReadStream } from "fs";
+import { stat } from "fs/promises";
+import {
+  S3Client,
+  PutObjectCommand,
+  DeleteObjectCommand,
+  HeadObjectCommand,
+  GetObjectCommand,
+  CreateMultipartUploadCommand,
+  UploadPartCommand,
+  CompleteMultipartUploadCommand,
+  AbortMultipartUploadCommand,
+} from "@aws-sdk/client-s3";
+import { getSignedUrl } from "@aws-sdk/s3-request-presigner";
+
+// Initialize S3 client (lazy initialization)
+let s3 = null;
+
+function getS3Client() {
+  if (!s3) {
+    const accessKeyId = process.env.S3_ACCESS_KEY_ID || process.env.AWS_ACCESS_KEY_ID;
+    const secretAccessKey = process.env.S3_SECRET_ACCESS_KEY || process.env.AWS_SECRET_ACCESS_KEY;
+    if (!accessKeyId || !secretAccessKey) {
+      throw new Error("Missing S3 environment variables: require S3_ACCESS_KEY_ID and S3_SECRET_ACCESS_KEY.");
+    }
+
+    s3 = new S3Client({
+      region: process.env.S3_REGION || "us-east-1",
+      // custom endpoint for S3-compatible servers such as MinIO
+      endpoint: process.env.S3_ENDPOINT || undefined,
+      // MinIO and most self-hosted servers need path-style URLs
+      forcePathStyle: process.env.S3_FORCE_PATH_STYLE ? process.env.S3_FORCE_PATH_STYLE === "true" : Boolean(process.env.S3_ENDPOINT),
+      credentials: { accessKeyId, secretAccessKey },
+    });
+  }
+  return s3;
+}
+
+// S3 requires parts of at least 5MB (except the last one)
+const PART_SIZE = Math.max(5 * 1024 * 1024, Number(process.env.S3_PART_SIZE) || 8 * 1024 * 1024);
+const PART_RETRIES = 3;
+
+/**
+ * Multipart upload streaming each part from disk. A failed part is retried with
+ * backoff on its own; parts that already made it are not resent. The upload is
+ * aborted (so the bucket doesn't keep orphaned parts) if a part keeps failing.
+ */
+async function multipartUpload({ client, bucket, key, filePath, size, contentType, onProgress }) {
+  const { UploadId } = await client.send(new CreateMultipartUploadCommand({ Bucket: bucket, Key: key, ContentType: contentType }));
+  const parts = [];
+  let bytesSent = 0;
+
+  try {
+    for (let start = 0, partNumber = 1; start < size; start += PART_SIZE, partNumber++) {
+      const end = Math.min(start + PART_SIZE, size);
+      let attempt = 0;
+      while (true) {
+        attempt++;
+        try {
+          const { ETag } = await client.send(new UploadPartCommand({
+            Bucket: bucket,
+            Key: key,
+            UploadId,
+            PartNumber: partNumber,
+            Body: createReadStream(filePath, { start, end: end - 1 }),
+            ContentLength: end - start,
+          }));
+          parts.push({ ETag, PartNumber: partNumber });
+          break;
+        } catch (error) {
+          if (attempt > PART_RETRIES) throw error;
+          console.error(`S3 part ${partNumber} of '${key}' failed (attempt ${attempt}): ${error.message}; retrying`);
+          await new Promise((r) => setTimeout(r, 1000 * attempt));
+        }
+      }
+      bytesSent = end;
+      if (onProgress) onProgress({ bytesSent, totalBytes: size });
+    }
+
+    await client.send(new CompleteMultipartUploadCommand({
+      Bucket: bucket,
+      Key: key,
+      UploadId,
+      MultipartUpload: { Parts: parts },
+    }));
+  } catch (error) {
+    await client.send(new AbortMultipartUploadCommand({ Bucket: bucket, Key: key, UploadId })).catch(() => {});
+    throw error;
+  }
+}
+
+function publicUrl(bucket, key) {
+  const encodedKey = key.split("/").map(encodeURIComponent).join("/");
+  if (process.env.S3_PUBLIC_BASE_URL) {
+    return `${process.env.S3_PUBLIC_BASE_URL.replace(/\/$/, "")}/${encodedKey}`;
+  }
+  if (process.env.S3_ENDPOINT) {
+    return `${process.env.S3_ENDPOINT.replace(/\/$/, "")}/${bucket}/${encodedKey}`;
+  }
+  return `https://${bucket}.s3.${process.env.S3_REGION || "us-east-1"}.amazonaws.com/${encodedKey}`;
+}
+
+/**
+ * Storage adapter for AWS S3 and S3-compatible servers (MinIO, R2, ...).
+ * Configured with S3_ENDPOINT, S3_REGION, S3_ACCESS_KEY_ID, S3_SECRET_ACCESS_KEY,
+ * S3_BUCKET and optionally S3_PUBLIC_BASE_URL.
+ * @param {object} [options]
+ * @param {string} [options.bucket] - bucket name (default: S3_BUCKET)
+ */
+export function createS3Storage({ bucket } = {}) {
+  const bucketName = bucket || process.env.S3_BUCKET;
+  if (!bucketName) {
+    throw new Error("Missing S3 bucket: set S3_BUCKET or pass a bucket in the storage option.");
+  }
+
+  return {
+    name: "s3",
+    bucket: bucketName,
+
+    async upload(filePath, key, { contentType = "video/mp4", onProgress } = {}) {
+      const { size } = await stat(filePath);
+      const client = getS3Client();
+      try {
+        if (size > PART_SIZE) {
+          await multipartUpload({ client, bucket: bucketName, key, filePath, size, contentType, onProgress });
+        } else {
+          // small files go up in one streamed request
+          await client.send(new PutObjectCommand({
+            Bucket: bucketName,
+            Key: key,
+            Body: createReadStream(filePath),
+            ContentLength: size,
+            ContentType: contentType,
+          }));
+          if (onProgress) onProgress({ bytesSent: size, totalBytes: size });
+        }
+      } catch (error) {
+        throw new Error(`S3 upload failed to bucket '${bucketName}', key '${key}': ${error.message}`);
+      }
+      return { url: publicUrl(bucketName, key), key };
+    },
+
+    async delete(key) {
+      try {
+        await getS3Client().send(new DeleteObjectCommand({ Bucket: bucketName, Key: key }));
+        return true;
+      } catch (error) {
+        console.error("Error deleting from S3:", error);
+        return false;
+      }
+    },
+
+    async getUrl(key, { signed = false, expiresIn = 3600 } = {}) {
+      if (!signed) return publicUrl(bucketName, key);
+      return getSignedUrl(getS3Client(), new GetObjectCommand({ Bucket: bucketName, Key: key }), { expiresIn });
+    },
+
+    async exists(key) {
+      try {
+        await getS3Client().send(new HeadObjectCommand({ Bucket: bucketName, Key: key }));
+        return true;
+      } catch (error) {
+        if (error && (error.name === "NotFound" || (error.$metadata && error.$metadata.httpStatusCode === 404))) return false;
+        throw error;
+      }
+    },
+  };
+}
@@ -0,0 +1,38 @@
+// lib/storage/supabase.js
+import {
+  uploadFileToSupabase,
+  deleteVideoFromSupabase,
+  getSupabaseFileUrl,
+  supabaseFileExists,
+} from "../supabaseHelpers.js";
+
+/**
+ * Storage adapter backed by a Supabase storage bucket.
+ * @param {object} [options]
+ * @param {string} [options.bucket] - bucket name (default: SUPABASE_BUCKET_NAME or "videos")
+ */
+export function createSupabaseStorage({ bucket } = {}) {
+  const bucketName = bucket || process.env.SUPABASE_BUCKET_NAME || "videos";
+
+  return {
+    name: "supabase",
+    bucket: bucketName,
+
+    async upload(filePath, key, { contentType = "video/mp4", onProgress } = {}) {
+      const { url, path } = await uploadFileToSupabase(filePath, key, { contentType, bucketName, onProgress });
+      return { url, key: path || key };
+    },
+
+    async delete(key) {
+      return deleteVideoFromSupabase(key, bucketName);
+    },
+
+    async getUrl(key, { signed = false, expiresIn = 3600 } = {}) {
+      return getSupabaseFileUrl(key, { signed, expiresIn, bucketName });
+    },
+
+    async exists(key) {
+      return supabaseFileExists(key, bucketName);
+    },
+  };
+}
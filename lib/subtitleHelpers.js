@@ -0,0 +1,313 @@
+// lib/subtitleHelpers.js
+import { writeFileSync } from "fs";
+import { join } from "path";
+
+// Style keys are kept in ASS naming so a preset can be written straight into an
+// ASS [V4+ Styles] line or passed to ffmpeg's `force_style`. `HighlightColour`
+// and `MaxWordsPerLine` are our own additions used for word-by-word captions.
+const BASE_STYLE = {
+  FontName: "Arial",
+  FontSize: 44,
+  PrimaryColour: "&H00FFFFFF",
+  SecondaryColour: "&H00FFFFFF",
+  OutlineColour: "&H00000000",
+  BackColour: "&H80000000",
+  Bold: -1,
+  Italic: 0,
+  BorderStyle: 1,
+  Outline: 3,
+  Shadow: 0,
+  Alignment: 2,
+  MarginL: 40,
+  MarginR: 40,
+  MarginV: 50,
+  HighlightColour: "&H0000D7FF",
+  MaxWordsPerLine: 6,
+};
+
+const SUBTITLE_STYLE_PRESETS = {
+  default: { ...BASE_STYLE },
+  karaoke: { ...BASE_STYLE, FontSize: 52, Outline: 4, HighlightColour: "&H0000FFFF", MaxWordsPerLine: 5 },
+  tiktok: { ...BASE_STYLE, FontSize: 64, Outline: 5, Alignment: 5, MarginV: 0, HighlightColour: "&H0000D7FF", MaxWordsPerLine: 3 },
+  minimal: { ...BASE_STYLE, FontSize: 36, Bold: 0, Outline: 1, Shadow: 1, HighlightColour: "&H00FFFFFF", MaxWordsPerLine: 8 },
+  boxed: { ...BASE_STYLE, FontSize: 40, BorderStyle: 3, Outline: 8, Shadow: 0, BackColour: "&H80000000", OutlineColour: "&H80000000", HighlightColour: "&H0000D7FF" },
+  cinema: { ...BASE_STYLE, FontName: "Georgia", FontSize: 40, Bold: 0, Outline: 2, MarginV: 40, HighlightColour: "&H00A0E6FF", MaxWordsPerLine: 8 },
+};
+
+// keys that are valid in an ASS style line / ffmpeg force_style
+const ASS_STYLE_KEYS = [
+  "FontName", "FontSize", "PrimaryColour", "SecondaryColour", "OutlineColour", "BackColour",
+  "Bold", "Italic", "Underline", "StrikeOut", "ScaleX", "ScaleY", "Spacing", "Angle",
+  "BorderStyle", "Outline", "Shadow", "Alignment", "MarginL", "MarginR", "MarginV", "Encoding",
+];
+
+/**
+ * Return the named subtitle style presets (keys are lower-case preset names).
+ * @returns {Object<string, object>}
+ */
+function getSubtitleStylePresets() {
+  const copy = {};
+  for (const [name, style] of Object.entries(SUBTITLE_STYLE_PRESETS)) copy[name] = { ...style };
+  return copy;
+}
+
+/**
+ * Convert '#RRGGBB', '#AARRGGBB' or an ASS '&HAABBGGRR' value into ASS colour notation.
+ * Unknown values are returned unchanged so ffmpeg can report them.
+ */
+function toAssColour(value) {
+  if (typeof value !== "string") return value;
+  const v = value.trim();
+  if (/^&H[0-9a-f]{6,8}&?$/i.test(v)) {
+    const hex = v.replace(/^&H/i, "").replace(/&$/, "").padStart(8, "0");
+    return `&H${hex.toUpperCase()}`;
+  }
+  const m = v.match(/^#?([0-9a-f]{2})?([0-9a-f]{2})([0-9a-f]{2})([0-9a-f]{2})$/i);
+  if (m && (v.startsWith("#") || v.length === 6 || v.length === 8)) {
+    // CSS alpha is opacity, ASS alpha is transparency
+    const alpha = m[1] ? (255 - parseInt(m[1], 16)).toString(16).padStart(2, "0") : "00";
+    return `&H${alpha}${m[4]}${m[3]}${m[2]}`.toUpperCase();
+  }
+  return v;
+}
+
+/**
+ * Parse a force_style-like string ("FontName=Arial,FontSize=48") or a style object
+ * into a plain object of the keys given, without applying any defaults.
+ */
+function parseSubtitleStyle(style) {
+  const parsed = {};
+  if (typeof style === "string") {
+    style.split(",").forEach((pair) => {
+      const idx = pair.indexOf("=");
+      if (idx === -1) return;
+      const key = pair.slice(0, idx).trim();
+      const value = pair.slice(idx + 1).trim();
+      if (key) parsed[key] = value;
+    });
+    return parsed;
+  }
+  return style && typeof style === "object" ? { ...style } : parsed;
+}
+
+/**
+ * Normalise a custom subtitle style. Accepts either a force_style-like string
+ * ("FontName=Arial,FontSize=48,PrimaryColour=&H00FFFFFF") or an object with the same keys.
+ * The result is merged on top of the default preset.
+ */
+function normalizeSubtitleStyle(style) {
+  const merged = { ...BASE_STYLE, ...parseSubtitleStyle(style) };
+  for (const key of ["PrimaryColour", "SecondaryColour", "OutlineColour", "BackColour", "HighlightColour"]) {
+    merged[key] = toAssColour(merged[key]);
+  }
+  return merged;
+}
+
+/**
+ * Build an ffmpeg `force_style` value (only ASS keys) from a style object.
+ */
+function toForceStyle(style) {
+  if (!style) return "";
+  return ASS_STYLE_KEYS
+    .filter((k) => style[k] != null && style[k] !== "")
+    .map((k) => `${k}=${style[k]}`)
+    .join(",");
+}
+
+/**
+ * Parse `word_duration` into [{ word, start, end }] (seconds, relative to segment start).
+ * Supported shapes:
+ *  - [0.4, 0.3, ...] durations aligned with the whitespace-split subtitleText
+ *  - [{ word, duration }, ...] or [{ word, start, end }, ...] (`text` is accepted for `word`)
+ *  - a JSON string containing one of the above
+ */
+function parseWordTimings(wordDuration, subtitleText) {
+  let list = wordDuration;
+  if (typeof list === "string") {
+    try {
+      list = JSON.parse(list);
+    } catch (e) {
+      console.error("Could not parse word_duration string, ignoring word timing:", e.message);
+      return [];
+    }
+  }
+  if (!Array.isArray(list) || list.length === 0) return [];
+
+  const textWords = typeof subtitleText === "string" ? subtitleText.trim().split(/\s+/).filter(Boolean) : [];
+  const timings = [];
+  let cursor = 0;
+
+  list.forEach((entry, i) => {
+    let word;
+    let start;
+    let end;
+    if (typeof entry === "number" || (typeof entry === "string" && entry.trim() !== "" && Number.isFinite(Number(entry)))) {
+      word = textWords[i];
+      start = cursor;
+      end = cursor + Number(entry);
+    } else if (entry && typeof entry === "object") {
+      word = entry.word ?? entry.text ?? textWords[i];
+      if (entry.start != null && entry.end != null) {
+        start = Number(entry.start);
+        end = Number(entry.end);
+      } else {
+        start = entry.start != null ? Number(entry.start) : cursor;
+        end = start + Number(entry.duration ?? entry.length ?? 0);
+      }
+    }
+    if (word == null || !Number.isFinite(start) || !Number.isFinite(end) || end < start) return;
+    timings.push({ word: String(word), start, end });
+    cursor = end;
+  });
+
+  if (textWords.length && timings.length && textWords.length !== timings.length && typeof list[0] === "number") {
+    console.warn(`word_duration has ${list.length} entries but subtitleText has ${textWords.length} words; extra entries ignored`);
+  }
+  return timings;
+}
+
+function pad(n, size = 2) {
+  return String(n).padStart(size, "0");
+}
+
+function formatSrtTime(seconds) {
+  const ms = Math.max(0, Math.round(seconds * 1000));
+  const h = Math.floor(ms / 3600000);
+  const m = Math.floor((ms % 3600000) / 60000);
+  const s = Math.floor((ms % 60000) / 1000);
+  return `${pad(h)}:${pad(m)}:${pad(s)},${pad(ms % 1000, 3)}`;
+}
+
+function formatAssTime(seconds) {
+  const cs = Math.max(0, Math.round(seconds * 100));
+  const h = Math.floor(cs / 360000);
+  const m = Math.floor((cs % 360000) / 6000);
+  const s = Math.floor((cs % 6000) / 100);
+  return `${h}:${pad(m)}:${pad(s)}.${pad(cs % 100)}`;
+}
+
+// ASS treats braces as override blocks and backslashes as escapes
+function escapeAssText(text) {
+  return String(text).replace(/\\/g, "\\\\").replace(/\{/g, "\\{").replace(/\}/g, "\\}").replace(/\r?\n/g, "\\N");
+}
+
+// group word timings into caption lines of at most `maxWords` words
+function chunkWords(timings, maxWords) {
+  const size = Math.max(1, Number(maxWords) || BASE_STYLE.MaxWordsPerLine);
+  const chunks = [];
+  for (let i = 0; i < timings.length; i += size) chunks.push(timings.slice(i, i + size));
+  return chunks;
+}
+
+function buildAssHeader(style, width, height) {
+  const values = ASS_STYLE_KEYS.map((k) => {
+    if (style[k] != null) return style[k];
+    if (k === "ScaleX" || k === "ScaleY") return 100;
+    if (k === "Encoding") return 1;
+    return 0;
+  });
+  return [
+    "[Script Info]",
+    "ScriptType: v4.00+",
+    `PlayResX: ${width}`,
+    `PlayResY: ${height}`,
+    "WrapStyle: 0",
+    "ScaledBorderAndShadow: yes",
+    "",
+    "[V4+ Styles]",
+    `Format: Name, ${ASS_STYLE_KEYS.join(", ")}`,
+    `Style: Default,${values.join(",")}`,
+    "",
+    "[Events]",
+    "Format: Layer, Start, End, Style, Name, MarginL, MarginR, MarginV, Effect, Text",
+  ].join("\n");
+}
+
+function assDialogue(start, end, text) {
+  return `Dialogue: 0,${formatAssTime(start)},${formatAssTime(end)},Default,,0,0,0,,${text}`;
+}
+
+/**
+ * Write subtitle files for one segment.
+ *
+ * An SRT (plain cues, usable as a sidecar track) and an ASS file (styled, used for
+ * burning in) are written to `sessionDir`. When word timings are available the ASS
+ * file shows one caption line at a time with the currently spoken word highlighted.
+ *
+ * @param {object} seg - segment with optional `subtitleText` and `word_duration`
+ * @param {string} sessionDir - directory to write into
+ * @param {number} index - segment index (used in file names)
+ * @param {number} [duration] - segment duration in seconds, if known
+ * @param {object|string} [style] - preset object or custom style (see normalizeSubtitleStyle)
+ * @param {object} [options]
+ * @param {string} [options.resolution='1280x720'] - output resolution, used as the ASS PlayRes
+ * @returns {{ srtPath: string|null, assPath: string|null, subtitlePath: string|null, calculatedDuration: number|null, subtitleStyle: object }}
+ *   `calculatedDuration` is set when the words run longer than `duration` or no valid duration was given.
+ */
+function createSubtitleFile(seg, sessionDir, index, duration, style, options = {}) {
+  const { resolution = "1280x720" } = options;
+  const [w, h] = String(resolution).split("x").map((s) => Number(s) || 0);
+  const width = w > 0 ? w : 1280;
+  const height = h > 0 ? h : 720;
+
+  const subtitleStyle = normalizeSubtitleStyle(style);
+  const timings = parseWordTimings(seg && seg.word_duration, seg && seg.subtitleText);
+  const text = seg && typeof seg.subtitleText === "string" && seg.subtitleText.trim()
+    ? seg.subtitleText.trim()
+    : timings.map((t) => t.word).join(" ");
+
+  if (!text) {
+    return { srtPath: null, assPath: null, subtitlePath: null, calculatedDuration: null, subtitleStyle };
+  }
+
+  const givenDuration = duration != null && Number.isFinite(Number(duration)) && Number(duration) > 0 ? Number(duration) : null;
+  const wordsEnd = timings.length ? timings[timings.length - 1].end : null;
+  let calculatedDuration = null;
+  if (wordsEnd != null && (givenDuration == null || wordsEnd > givenDuration)) {
+    calculatedDuration = Math.round(wordsEnd * 1000) / 1000;
+  }
+  // without any duration, let the cue run until the segment itself ends
+  const cueEnd = calculatedDuration ?? givenDuration ?? 3600;
+
+  const srtLines = [];
+  const assEvents = [];
+
+  if (timings.length) {
+    // inline \c overrides take &HBBGGRR& without the alpha byte
+    const highlight = `&H${String(subtitleStyle.HighlightColour).replace(/^&H/i, "").replace(/&$/, "").slice(-6)}&`;
+    const chunks = chunkWords(timings, subtitleStyle.MaxWordsPerLine);
+    chunks.forEach((chunk, ci) => {
+      const lineStart = chunk[0].start;
+      const lineEnd = chunk[chunk.length - 1].end;
+      srtLines.push(`${ci + 1}`, `${formatSrtTime(lineStart)} --> ${formatSrtTime(lineEnd)}`, chunk.map((t) => t.word).join(" "), "");
+
+      chunk.forEach((t, wi) => {
+        // keep the line on screen through gaps between words
+        const nextStart = wi + 1 < chunk.length ? chunk[wi + 1].start : t.end;
+        const words = chunk.map((c, k) => (k === wi
+          ? `{\\c${highlight}}${escapeAssText(c.word)}{\\r}`
+          : escapeAssText(c.word)));
+        assEvents.push(assDialogue(t.start, Math.max(t.end, nextStart), words.join(" ")));
+      });
+    });
+  } else {
+    srtLines.push("1", `${formatSrtTime(0)} --> ${formatSrtTime(cueEnd)}`, text, "");
+    assEvents.push(assDialogue(0, cueEnd, escapeAssText(text)));
+  }
+
+  const srtPath = join(sessionDir, `sub_${index}.srt`);
+  const assPath = join(sessionDir, `sub_${index}.ass`);
+  writeFileSync(srtPath, srtLines.join("\n"));
+  writeFileSync(assPath, `${buildAssHeader(subtitleStyle, width, height)}\n${assEvents.join("\n")}\n`);
+
+  return { srtPath, assPath, subtitlePath: assPath, calculatedDuration, subtitleStyle };
+}
+
+export {
+  createSubtitleFile,
+  getSubtitleStylePresets,
+  normalizeSubtitleStyle,
+  parseSubtitleStyle,
+  parseWordTimings,
+  toForceStyle,
+};
@@ -1,6 +1,9 @@
 // lib/supabaseHelpers.js
 import { createClient } from '@supabase/supabase-js';
-import { readFile } from 'fs/promises';
+import { tusUpload } from './resumableUpload.js';
+
+// Supabase's resumable endpoint only accepts 6MB chunks (except the last one)
+const SUPABASE_TUS_CHUNK_SIZE = 6 * 1024 * 1024;
 
 // Initialize Supabase client (lazy initialization)
 let supabase = null;
@@ -22,30 +25,37 @@ function getSupabaseClient() {
 }
 
 /**
- * Upload a video file to Supabase storage bucket
- * @param {string} filePath - Local path to the video file
- * @param {string} jobId - Job ID to use in the filename
- * @param {string} bucketName - Supabase bucket name (default: 'videos')
+ * Upload a file to a Supabase storage bucket.
+ * The file is streamed from disk through Supabase's resumable (TUS) endpoint in
+ * 6MB chunks; a failed chunk is retried and resumed rather than resending the file.
+ * @param {string} filePath - Local path to the file
+ * @param {string} fileName - Object path inside the bucket
+ * @param {object} [options]
+ * @param {string} [options.contentType='video/mp4'] - Content type stored with the object
+ * @param {string} [options.bucketName] - Supabase bucket name (default: SUPABASE_BUCKET_NAME or 'videos')
+ * @param {Function} [options.onProgress] - Called with { bytesSent, totalBytes }
  * @returns {Promise<{url: string, path: string}>} - Public URL and storage path
  */
-export async function uploadVideoToSupabase(filePath, jobId, bucketName = process.env.SUPABASE_BUCKET_NAME || 'videos') {
+export async function uploadFileToSupabase(filePath, fileName, { contentType = 'video/mp4', bucketName = process.env.SUPABASE_BUCKET_NAME || 'videos', onProgress } = {}) {
   try {
-    // Read the file
-    const fileBuffer = await readFile(filePath);
-    
-    // Create filename with jobId
-    const fileName = `${jobId}.mp4`;
-    
-    // Upload to Supabase storage
     const supabaseClient = getSupabaseClient();
-    const { data, error } = await supabaseClient.storage
-      .from(bucketName)
-      .upload(fileName, fileBuffer, {
-        contentType: 'video/mp4',
-        upsert: true // Overwrite if exists
-      });
+    const supabaseKey = process.env.SUPABASE_SERVICE_ROLE_KEY || process.env.SUPABASE_ANON_KEY;
 
-    if (error) {
+    // Upload to Supabase storage
+    try {
+      await tusUpload({
+        endpoint: `${process.env.SUPABASE_URL.replace(/\/$/, '')}/storage/v1/upload/resumable`,
+        filePath,
+        headers: {
+          authorization: `Bearer ${supabaseKey}`,
+          apikey: supabaseKey,
+          'x-upsert': 'true' // Overwrite if exists
+        },
+        metadata: { bucketName, objectName: fileName, contentType, cacheControl: '3600' },
+        chunkSize: SUPABASE_TUS_CHUNK_SIZE,
+        onProgress,
+      });
+    } catch (error) {
       const keyType = process.env.SUPABASE_SERVICE_ROLE_KEY ? 'service-role' : 'anon';
       throw new Error(`Supabase upload failed (${keyType} key) to bucket '${bucketName}', path '${fileName}': ${error.message}`);
     }
@@ -57,7 +67,7 @@ export async function uploadVideoToSupabase(filePath, jobId, bucketName = proces
 
     return {
       url: urlData.publicUrl,
-      path: data.path
+      path: fileName
     };
   } catch (error) {
     console.error('Error uploading to Supabase:', error);
@@ -65,6 +75,58 @@ export async function uploadVideoToSupabase(filePath, jobId, bucketName = proces
   }
 }
 
+/**
+ * Upload a video file to Supabase storage bucket
+ * @param {string} filePath - Local path to the video file
+ * @param {string} jobId - Job ID to use in the filename
+ * @param {string} bucketName - Supabase bucket name (default: 'videos')
+ * @returns {Promise<{url: string, path: string}>} - Public URL and storage path
+ */
+export async function uploadVideoToSupabase(filePath, jobId, bucketName = process.env.SUPABASE_BUCKET_NAME || 'videos') {
+  // Create filename with jobId
+  return uploadFileToSupabase(filePath, `${jobId}.mp4`, { contentType: 'video/mp4', bucketName });
+}
+
+/**
+ * Get a URL for a file in Supabase storage
+ * @param {string} fileName - Object path inside the bucket
+ * @param {object} [options]
+ * @param {boolean} [options.signed=false] - Create a time-limited signed URL instead of the public URL
+ * @param {number} [options.expiresIn=3600] - Signed URL lifetime in seconds
+ * @param {string} [options.bucketName] - Supabase bucket name
+ * @returns {Promise<string>}
+ */
+export async function getSupabaseFileUrl(fileName, { signed = false, expiresIn = 3600, bucketName = process.env.SUPABASE_BUCKET_NAME || 'videos' } = {}) {
+  const bucket = getSupabaseClient().storage.from(bucketName);
+  if (!signed) {
+    return bucket.getPublicUrl(fileName).data.publicUrl;
+  }
+  const { data, error } = await bucket.createSignedUrl(fileName, expiresIn);
+  if (error) {
+    throw new Error(`Supabase signed URL failed for bucket '${bucketName}', path '${fileName}': ${error.message}`);
+  }
+  return data.signedUrl;
+}
+
+/**
+ * Check whether a file exists in Supabase storage
+ * @param {string} fileName - Object path inside the bucket
+ * @param {string} bucketName - Supabase bucket name
+ * @returns {Promise<boolean>}
+ */
+export async function supabaseFileExists(fileName, bucketName = process.env.SUPABASE_BUCKET_NAME || 'videos') {
+  const slash = fileName.lastIndexOf('/');
+  const folder = slash === -1 ? '' : fileName.slice(0, slash);
+  const name = fileName.slice(slash + 1);
+  const { data, error } = await getSupabaseClient().storage
+    .from(bucketName)
+    .list(folder, { search: name, limit: 100 });
+  if (error) {
+    throw new Error(`Supabase list failed for bucket '${bucketName}', path '${fileName}': ${error.message}`);
+  }
+  return Array.isArray(data) && data.some((entry) => entry.name === name);
+}
+
 /**
  * Delete a video file from Supabase storage
  * @param {string} fileName - Name of the file to delete
@@ -0,0 +1,170 @@
+// lib/thumbnailHelpers.js
+import ffmpeg from "fluent-ffmpeg";
+import { join, basename } from "path";
+import { writeFile } from "fs/promises";
+import { runFfmpegCommand, parseResolution } from "./ffmpegHelpers.js";
+
+// sprite sheets are capped at this many tiles; longer videos get a wider interval
+const MAX_SPRITE_TILES = 200;
+
+const num = (v, fallback) => (v != null && Number.isFinite(Number(v)) ? Number(v) : fallback);
+
+/**
+ * Normalise the job `thumbnails` option. Thumbnails are on by default; `false`
+ * turns them off. An object may set:
+ *  - poster: a time in seconds, { time } or { segment } (middle of that segment), or false
+ *  - sprite: { interval: 2, width: 160, columns: 10 } or false (also drops the VTT track)
+ * @param {*} option
+ * @param {number} segmentCount - number of segments, to validate `poster.segment`
+ * @returns {{ poster: object|null, sprite: object|null }|null} null when nothing is generated
+ * @throws {Error} for invalid values
+ */
+function normalizeThumbnails(option, segmentCount) {
+  if (option === false) return null;
+  const opts = option && typeof option === "object" ? option : {};
+
+  let poster = null;
+  if (opts.poster !== false) {
+    const p = typeof opts.poster === "number" ? { time: opts.poster } : { ...(opts.poster || {}) };
+    if (p.segment != null) {
+      const segment = Number(p.segment);
+      if (!Number.isInteger(segment) || segment < 0 || segment >= segmentCount) {
+        throw new Error(`poster.segment must be a segment index between 0 and ${segmentCount - 1}`);
+      }
+      poster = { time: null, segment };
+    } else {
+      const time = p.time == null ? null : Number(p.time);
+      if (time != null && (!Number.isFinite(time) || time < 0)) throw new Error("poster.time must be a number of seconds >= 0");
+      poster = { time, segment: null };
+    }
+  }
+
+  let sprite = null;
+  if (opts.sprite !== false) {
+    const s = opts.sprite && typeof opts.sprite === "object" ? opts.sprite : {};
+    sprite = {
+      interval: Math.max(0.5, num(s.interval, 2)),
+      width: Math.max(32, Math.round(num(s.width, 160) / 2) * 2),
+      columns: Math.max(1, Math.round(num(s.columns, 10))),
+    };
+  }
+
+  return poster || sprite ? { poster, sprite } : null;
+}
+
+// poster timestamp: the middle of the chosen segment, the given time, or 1s in
+function posterTime(poster, { duration, starts, durations }) {
+  const last = Math.max(0, duration - 0.05);
+  if (poster.segment != null) return Math.min(last, starts[poster.segment] + durations[poster.segment] / 2);
+  if (poster.time != null) return Math.min(last, poster.time);
+  return Math.min(1, duration / 2);
+}
+
+function pad(n, size = 2) {
+  return String(n).padStart(size, "0");
+}
+
+function formatVttTime(seconds) {
+  const ms = Math.round(seconds * 1000);
+  return `${pad(Math.floor(ms / 3600000))}:${pad(Math.floor(ms / 60000) % 60)}:${pad(Math.floor(ms / 1000) % 60)}.${pad(ms % 1000, 3)}`;
+}
+
+function extractPoster(masterPath, outPath, time, signal) {
+  const cmd = ffmpeg()
+    .addInput(masterPath)
+    .inputOptions([`-ss ${time}`])
+    .outputOptions(["-frames:v 1", "-q:v 2"])
+    .output(outPath);
+  return runFfmpegCommand(cmd, "ffmpeg (poster)", { signal });
+}
+
+function renderSprite(masterPath, outPath, { interval, width, height, columns, rows }, signal) {
+  const cmd = ffmpeg()
+    .addInput(masterPath)
+    .outputOptions(["-vf", `fps=1/${interval},scale=${width}:${height},tile=${columns}x${rows}`, "-frames:v 1", "-q:v 4", "-an"])
+    .output(outPath);
+  return runFfmpegCommand(cmd, "ffmpeg (sprite)", { signal });
+}
+
+/**
+ * Tile layout of the sprite sheet: one tile every `interval` seconds (widened so there
+ * are at most MAX_SPRITE_TILES), `width` wide with the frame's aspect ratio.
+ * @param {object} sprite - `sprite` of normalizeThumbnails
+ * @param {object} params
+ * @param {string} params.resolution - master resolution
+ * @param {number} params.duration - master duration in seconds
+ * @returns {{ interval: number, width: number, height: number, count: number, columns: number, rows: number }}
+ */
+function spriteLayout(sprite, { resolution, duration }) {
+  const { width: frameW, height: frameH } = parseResolution(resolution);
+  const width = sprite.width;
+  const height = Math.max(2, Math.round((width * frameH) / frameW / 2) * 2);
+  const interval = Math.max(sprite.interval, Math.ceil(duration / MAX_SPRITE_TILES));
+  const count = Math.max(1, Math.ceil(duration / interval));
+  const columns = Math.min(sprite.columns, count);
+  return { interval, width, height, count, columns, rows: Math.ceil(count / columns) };
+}
+
+// WebVTT thumbnails track: one cue per tile, pointing at its rectangle in the sprite
+function buildThumbnailsVtt({ interval, width, height, count, columns }, spriteName, duration) {
+  const cues = ["WEBVTT", ""];
+  for (let i = 0; i < count; i++) {
+    const x = (i % columns) * width;
+    const y = Math.floor(i / columns) * height;
+    cues.push(
+      `${formatVttTime(i * interval)} --> ${formatVttTime(Math.min((i + 1) * interval, duration))}`,
+      `${spriteName}#xywh=${x},${y},${width},${height}`,
+      ""
+    );
+  }
+  return cues.join("\n");
+}
+
+/**
+ * Generate the poster frame, scrubbing sprite sheet and WebVTT thumbnails track
+ * for a rendered master. The VTT cues point at the sprite by file name
+ * (`<jobId>-sprite.jpg#xywh=x,y,w,h`), which players resolve relative to the VTT URL.
+ *
+ * @param {string} masterPath - rendered mp4
+ * @param {object} thumbnails - result of normalizeThumbnails
+ * @param {object} params
+ * @param {string} params.sessionDir - where to write the files
+ * @param {string} params.jobId - used to build storage keys
+ * @param {string} params.resolution - master resolution, for the tile aspect ratio
+ * @param {number} params.duration - master duration in seconds
+ * @param {number[]} params.starts - segment start times on the output timeline
+ * @param {number[]} params.durations - segment durations
+ * @param {AbortSignal} [params.signal] - aborting it (job cancelled) kills ffmpeg
+ * @returns {Promise<{ poster: string|null, sprite: string|null, vtt: string|null, files: Array<{ path: string, key: string, contentType: string }> }>}
+ *   poster / sprite / vtt are storage keys
+ */
+async function createThumbnails(masterPath, thumbnails, { sessionDir, jobId, resolution, duration, starts, durations, signal = null }) {
+  const result = { poster: null, sprite: null, vtt: null, files: [] };
+
+  if (thumbnails.poster) {
+    const path = join(sessionDir, "poster.jpg");
+    const time = posterTime(thumbnails.poster, { duration, starts, durations });
+    await extractPoster(masterPath, path, time, signal);
+    result.poster = `${jobId}-poster.jpg`;
+    result.files.push({ path, key: result.poster, contentType: "image/jpeg" });
+  }
+
+  if (thumbnails.sprite) {
+    const layout = spriteLayout(thumbnails.sprite, { resolution, duration });
+    const spritePath = join(sessionDir, "sprite.jpg");
+    await renderSprite(masterPath, spritePath, layout, signal);
+    result.sprite = `${jobId}-sprite.jpg`;
+
+    const vttPath = join(sessionDir, "thumbnails.vtt");
+    await writeFile(vttPath, buildThumbnailsVtt(layout, basename(result.sprite), duration));
+    result.vtt = `${jobId}-thumbnails.vtt`;
+    result.files.push(
+      { path: spritePath, key: result.sprite, contentType: "image/jpeg" },
+      { path: vttPath, key: result.vtt, contentType: "text/vtt" }
+    );
+  }
+
+  return result;
+}
+
+export { normalizeThumbnails, createThumbnails, spriteLayout, buildThumbnailsVtt };
@@ -0,0 +1,228 @@
+// lib/titleCardHelpers.js
+import { readdirSync, existsSync } from "fs";
+import { writeFile } from "fs/promises";
+import { join, dirname, extname, basename } from "path";
+import { fileURLToPath } from "url";
+import { normalizeColor } from "./fitHelpers.js";
+
+// Title cards: text-only segments (section headers, end cards) drawn by ffmpeg on a
+// solid or gradient background, so no image has to be rendered and hosted elsewhere.
+// Fonts come from the fonts/ directory (FONTS_DIR); without any, drawtext falls back
+// to the system "Sans" font through fontconfig.
+
+const FONTS_DIR = process.env.FONTS_DIR || join(dirname(fileURLToPath(import.meta.url)), "..", "fonts");
+const FONT_EXTENSIONS = [".ttf", ".otf", ".ttc"];
+const ALIGNMENTS = ["left", "center", "right"];
+const VERTICAL_ALIGNMENTS = ["top", "middle", "bottom"];
+const GRADIENT_DIRECTIONS = ["vertical", "horizontal", "diagonal"];
+
+// text sizes as fractions of the frame height
+const SIZES = { title: 0.085, subtitle: 0.05, bullet: 0.042 };
+const LINE_SPACING = 1.3;
+// rough advance of an average glyph, used to wrap lines before drawtext sees them
+const CHAR_WIDTH = 0.55;
+
+// font name (file name without extension) -> absolute path
+function loadFonts(dir) {
+  if (!existsSync(dir)) return new Map();
+  return new Map(readdirSync(dir)
+    .filter((name) => FONT_EXTENSIONS.includes(extname(name).toLowerCase()))
+    .sort()
+    .map((name) => [basename(name, extname(name)), join(dir, name)]));
+}
+
+const fonts = loadFonts(FONTS_DIR);
+
+// TITLE_CARD_FONT, else the first bundled font; null means fontconfig's "Sans"
+function defaultFont() {
+  if (process.env.TITLE_CARD_FONT) return resolveFont(process.env.TITLE_CARD_FONT, "TITLE_CARD_FONT");
+  return fonts.size ? fonts.values().next().value : null;
+}
+
+function resolveFont(name, field) {
+  const key = basename(String(name), extname(String(name)));
+  if (fonts.has(key)) return fonts.get(key);
+  const available = fonts.size ? [...fonts.keys()].join(", ") : `none installed in ${FONTS_DIR}`;
+  throw new Error(`${field}: unknown font '${name}' (available: ${available})`);
+}
+
+// "#RRGGBB" -> [r, g, b]; gradients are computed per pixel, so they need exact values
+function hexToRgb(value, field) {
+  const color = normalizeColor(value);
+  if (!/^0x[0-9A-F]{6}/.test(color)) throw new Error(`${field}: gradient colours must be #RRGGBB`);
+  return [1, 2, 3].map((n) => parseInt(color.slice(n * 2, n * 2 + 2), 16));
+}
+
+function normalizeBackground(option, path) {
+  if (option == null) return { type: "solid", color: "0x111827" };
+  const opts = typeof option === "string" ? { color: option } : { ...option };
+  const colors = opts.gradient || (opts.from && opts.to ? [opts.from, opts.to] : null);
+  if (!colors) {
+    try {
+      return { type: "solid", color: normalizeColor(opts.color || "0x111827") };
+    } catch (err) {
+      throw new Error(`${path}.background: ${err.message}`);
+    }
+  }
+  if (!Array.isArray(colors) || colors.length !== 2) throw new Error(`${path}.background.gradient: must list two colours`);
+  const direction = String(opts.direction || "vertical").toLowerCase();
+  if (!GRADIENT_DIRECTIONS.includes(direction)) {
+    throw new Error(`${path}.background.direction: must be one of ${GRADIENT_DIRECTIONS.join(", ")}`);
+  }
+  return {
+    type: "gradient",
+    from: hexToRgb(colors[0], `${path}.background`),
+    to: hexToRgb(colors[1], `${path}.background`),
+    direction,
+  };
+}
+
+/**
+ * Normalise a `type: "title"` segment.
+ * Text: `title`, `subtitle` and `bullets` (array of strings); at least one is required.
+ * Look: `background` (colour, or { gradient: [from, to], direction } / { from, to, direction }),
+ * `color` (all text, default white) with `titleColor` / `subtitleColor` overrides,
+ * `font` and `titleFont` (names of files in fonts/), `align` (left, center, right),
+ * `verticalAlign` (top, middle, bottom) and `fadeIn` seconds (lines fade in one
+ * after another, `stagger` seconds apart).
+ * @param {object} segment - raw segment from the request body
+ * @param {string} path - field path used in error messages, e.g. "segments[0]"
+ * @throws {Error} "<path>.<field>: message" for invalid options
+ */
+function normalizeTitleCard(segment, path) {
+  const text = (value) => (value == null ? "" : String(value).trim());
+  const title = text(segment.title);
+  const subtitle = text(segment.subtitle);
+  const bullets = (Array.isArray(segment.bullets) ? segment.bullets : []).map(text).filter(Boolean);
+  if (!title && !subtitle && !bullets.length) throw new Error(`${path}.title: a title card needs a title, subtitle or bullets`);
+  if (segment.motion || segment.kenBurns) throw new Error(`${path}.motion: is only supported on image segments`);
+
+  const align = String(segment.align || "center").toLowerCase();
+  if (!ALIGNMENTS.includes(align)) throw new Error(`${path}.align: must be one of ${ALIGNMENTS.join(", ")}`);
+  const verticalAlign = String(segment.verticalAlign || "middle").toLowerCase();
+  if (!VERTICAL_ALIGNMENTS.includes(verticalAlign)) {
+    throw new Error(`${path}.verticalAlign: must be one of ${VERTICAL_ALIGNMENTS.join(", ")}`);
+  }
+
+  const color = (value, field, fallback) => {
+    try {
+      return value ? normalizeColor(value) : fallback;
+    } catch (err) {
+      throw new Error(`${path}.${field}: ${err.message}`);
+    }
+  };
+  const textColor = color(segment.color, "color", "white");
+  const bodyFont = segment.font ? resolveFont(segment.font, `${path}.font`) : defaultFont();
+
+  return {
+    title,
+    subtitle,
+    bullets,
+    background: normalizeBackground(segment.background, path),
+    colors: {
+      title: color(segment.titleColor, "titleColor", textColor),
+      subtitle: color(segment.subtitleColor, "subtitleColor", textColor),
+      bullet: textColor,
+    },
+    fonts: {
+      title: segment.titleFont ? resolveFont(segment.titleFont, `${path}.titleFont`) : bodyFont,
+      body: bodyFont,
+    },
+    align,
+    verticalAlign,
+    fadeIn: Math.max(0, Number(segment.fadeIn) || 0),
+    stagger: segment.stagger != null ? Math.max(0, Number(segment.stagger) || 0) : 0.25,
+  };
+}
+
+// greedy word wrap to roughly `maxChars` per line
+function wrapText(text, maxChars) {
+  const lines = [];
+  let line = "";
+  for (const word of text.split(/\s+/)) {
+    if (line && line.length + 1 + word.length > maxChars) {
+      lines.push(line);
+      line = word;
+    } else {
+      line = line ? `${line} ${word}` : word;
+    }
+  }
+  if (line) lines.push(line);
+  return lines;
+}
+
+/**
+ * Lay out a card's text for one frame size: wrapped lines with their font, size,
+ * colour, position expressions and fade-in alpha, in drawing order.
+ * @returns {Array<{ text: string, fontfile: string|null, fontsize: number, fontcolor: string, x: string, y: number, alpha: string|null }>}
+ */
+function layoutTitleCard(card, { width, height }) {
+  const marginX = Math.round(width * 0.08);
+  const marginY = Math.round(height * 0.1);
+  const blocks = [];
+  if (card.title) blocks.push({ role: "title", text: card.title, gapBefore: 0 });
+  if (card.subtitle) blocks.push({ role: "subtitle", text: card.subtitle, gapBefore: 0.35 });
+  card.bullets.forEach((bullet, i) => blocks.push({ role: "bullet", text: `• ${bullet}`, gapBefore: i === 0 ? 0.8 : 0.2 }));
+
+  let y = 0;
+  const lines = [];
+  blocks.forEach((block, index) => {
+    const fontsize = Math.round(height * SIZES[block.role]);
+    const maxChars = Math.max(8, Math.floor((width - 2 * marginX) / (fontsize * CHAR_WIDTH)));
+    if (lines.length) y += block.gapBefore * fontsize;
+    for (const text of wrapText(block.text, maxChars)) {
+      lines.push({ role: block.role, index, text, fontsize, y });
+      y += fontsize * LINE_SPACING;
+    }
+  });
+  // the last line needs no spacing below it
+  const blockHeight = y - (lines.length ? lines[lines.length - 1].fontsize * (LINE_SPACING - 1) : 0);
+  const top = { top: marginY, middle: (height - blockHeight) / 2, bottom: height - marginY - blockHeight }[card.verticalAlign];
+  const x = { left: `${marginX}`, center: "(w-text_w)/2", right: `w-text_w-${marginX}` }[card.align];
+
+  return lines.map((line) => {
+    const start = Math.round(line.index * card.stagger * 1000) / 1000;
+    return {
+      text: line.text,
+      fontfile: line.role === "title" ? card.fonts.title : card.fonts.body,
+      fontsize: line.fontsize,
+      fontcolor: card.colors[line.role],
+      x,
+      y: Math.round(top + line.y),
+      // blocks fade in one after another
+      alpha: card.fadeIn > 0 ? `if(lt(t,${start}),0,min(1,(t-${start})/${card.fadeIn}))` : null,
+    };
+  });
+}
+
+/**
+ * Write each laid-out line to its own text file (drawtext reads `textfile`, which
+ * avoids escaping user text inside the filter graph).
+ * @returns {Promise<object[]>} the lines with `textfile` set
+ */
+async function writeTitleCardText(lines, dir, index) {
+  return Promise.all(lines.map(async (line, n) => {
+    const textfile = join(dir, `title_${index}_${n}.txt`);
+    await writeFile(textfile, line.text, "utf8");
+    return { ...line, textfile };
+  }));
+}
+
+/**
+ * lavfi source for the card background, `duration` seconds at the frame size and fps.
+ * Gradients are computed on a small frame and scaled up, which keeps geq cheap.
+ */
+function buildTitleBackground(card, { width, height, fps, duration }) {
+  const { background } = card;
+  if (background.type === "solid") return `color=c=${background.color}:s=${width}x${height}:r=${fps}:d=${duration}`;
+
+  const w = 64;
+  const h = Math.max(2, Math.round((64 * height) / width));
+  const t = { vertical: `Y/${h - 1}`, horizontal: `X/${w - 1}`, diagonal: `(X/${w - 1}+Y/${h - 1})/2` }[background.direction];
+  const channel = (c) => `${background.from[c]}+(${background.to[c] - background.from[c]})*${t}`;
+  return `color=c=black:s=${w}x${h}:r=${fps}:d=${duration},format=gbrp,`
+    + `geq=r='${channel(0)}':g='${channel(1)}':b='${channel(2)}',`
+    + `scale=${width}:${height}:flags=bilinear`;
+}
+
+export { normalizeTitleCard, layoutTitleCard, writeTitleCardText, buildTitleBackground, resolveFont, defaultFont, FONTS_DIR };
@@ -0,0 +1,124 @@
+// lib/transitionHelpers.js
+
+// transition names accepted by ffmpeg's xfade filter
+const XFADE_TRANSITIONS = [
+  "fade", "fadeblack", "fadewhite", "fadegrays", "fadefast", "fadeslow", "dissolve", "distance",
+  "wipeleft", "wiperight", "wipeup", "wipedown", "wipetl", "wipetr", "wipebl", "wipebr",
+  "slideleft", "slideright", "slideup", "slidedown",
+  "smoothleft", "smoothright", "smoothup", "smoothdown",
+  "circlecrop", "rectcrop", "circleopen", "circleclose",
+  "vertopen", "vertclose", "horzopen", "horzclose",
+  "radial", "pixelize", "hblur", "zoomin", "squeezeh", "squeezev",
+  "diagtl", "diagtr", "diagbl", "diagbr", "hlslice", "hrslice", "vuslice", "vdslice",
+];
+
+const DEFAULT_TRANSITION_DURATION = 0.5;
+
+/**
+ * Normalise a segment `transition` option: a type string ("fade") or { type, duration }.
+ * The transition leads *into* the segment from the previous one.
+ * @returns {{ type: string, duration: number }|null} null for hard cuts
+ * @throws {Error} for unknown types or invalid durations
+ */
+function normalizeTransition(option) {
+  if (!option) return null;
+  const opts = typeof option === "string" ? { type: option } : { ...option };
+  const type = String(opts.type || "fade").toLowerCase();
+  if (type === "none" || type === "cut") return null;
+  if (!XFADE_TRANSITIONS.includes(type)) {
+    throw new Error(`unknown transition type '${opts.type}' (expected 'cut' or one of ${XFADE_TRANSITIONS.join(", ")})`);
+  }
+  const duration = opts.duration == null ? DEFAULT_TRANSITION_DURATION : Number(opts.duration);
+  if (!Number.isFinite(duration) || duration <= 0) {
+    throw new Error("transition duration must be a positive number of seconds");
+  }
+  return { type, duration };
+}
+
+const round = (v) => Math.round(v * 1000) / 1000;
+
+/**
+ * Work out where each segment sits on the output timeline.
+ * A transition overlaps the end of the previous segment with the start of this one,
+ * so it shortens the total by its duration. Transitions are clamped to half of the
+ * shorter neighbouring segment so consecutive transitions never overlap each other.
+ *
+ * @param {Array<{ duration: number, transition?: object }>} segments
+ * @returns {{ starts: number[], total: number, transitions: Array<object|null>, hasTransitions: boolean }}
+ */
+function buildTimeline(segments) {
+  const starts = [];
+  const transitions = [];
+  let length = 0;
+
+  segments.forEach((seg, i) => {
+    const duration = Number(seg.duration);
+    let transition = i > 0 && seg.transition ? { ...seg.transition } : null;
+    if (transition) {
+      const maxDuration = Math.min(Number(segments[i - 1].duration), duration) / 2;
+      if (transition.duration > maxDuration) {
+        console.warn(`segment ${i}: transition of ${transition.duration}s clamped to ${round(maxDuration)}s to fit the neighbouring segments`);
+        transition.duration = round(maxDuration);
+      }
+      if (transition.duration <= 0) transition = null;
+    }
+    const start = transition ? length - transition.duration : length;
+    starts.push(round(start));
+    transitions.push(transition);
+    length = start + duration;
+  });
+
+  return {
+    starts,
+    total: round(length),
+    transitions,
+    hasTransitions: transitions.some(Boolean),
+  };
+}
+
+/**
+ * Build the filters that join per-segment streams in order.
+ * Without transitions this is a single concat; otherwise segments are folded
+ * pairwise with xfade (video) / acrossfade (audio), using concat for hard cuts.
+ *
+ * @param {object} params
+ * @param {string[]} params.videoLabels - e.g. ["[sv0]", "[sv1]"]
+ * @param {string[]|null} params.audioLabels - aligned audio pads, or null without audio
+ * @param {object} params.timeline - result of buildTimeline
+ * @returns {string[]} filter chains producing [v] (and [a] when audio is present)
+ */
+function buildJoinFilters({ videoLabels, audioLabels, timeline }) {
+  const n = videoLabels.length;
+  const hasAudio = Array.isArray(audioLabels);
+
+  if (!timeline.hasTransitions) {
+    // concat filter: inputs must be interleaved per segment: v0,a0,v1,a1...
+    const inputs = videoLabels.map((v, i) => (hasAudio ? `${v}${audioLabels[i]}` : v)).join("");
+    return [`${inputs}concat=n=${n}:v=1:a=${hasAudio ? 1 : 0}[v]${hasAudio ? "[a]" : ""}`];
+  }
+
+  const filters = [];
+  let video = videoLabels[0];
+  let audio = hasAudio ? audioLabels[0] : null;
+
+  for (let i = 1; i < n; i++) {
+    const last = i === n - 1;
+    const vOut = last ? "[v]" : `[xv${i}]`;
+    const aOut = last ? "[a]" : `[xa${i}]`;
+    const transition = timeline.transitions[i];
+
+    if (transition) {
+      // offset is where the incoming segment starts on the joined timeline
+      filters.push(`${video}${videoLabels[i]}xfade=transition=${transition.type}:duration=${transition.duration}:offset=${timeline.starts[i]}${vOut}`);
+      if (hasAudio) filters.push(`${audio}${audioLabels[i]}acrossfade=d=${transition.duration}:c1=tri:c2=tri${aOut}`);
+    } else {
+      filters.push(`${video}${videoLabels[i]}concat=n=2:v=1:a=0${vOut}`);
+      if (hasAudio) filters.push(`${audio}${audioLabels[i]}concat=n=2:v=0:a=1${aOut}`);
+    }
+    video = vOut;
+    audio = aOut;
+  }
+  return filters;
+}
+
+export { normalizeTransition, buildTimeline, buildJoinFilters, XFADE_TRANSITIONS };
@@ -0,0 +1,59 @@
+// lib/videos.js
+import { getStorage } from "./storage/index.js";
+
+// Stored videos of finished jobs (GET / DELETE /videos/:jobId): which objects a job
+// uploaded, whether they are still there, and removing them. The object list is the
+// `files` of the job result (see runRenderJob), stored with the job's storage option.
+
+const storedFiles = (job) => (job.result && job.result.files) || [];
+
+/**
+ * Describe the stored outputs of a succeeded job; every object is checked with the
+ * storage adapter's `exists` (`exists: null` when the check itself failed).
+ * @param {object} job - job record with a result
+ * @param {object} [options]
+ * @param {Function} [options.limit] - pLimit instance bounding the storage requests
+ */
+async function describeVideo(job, { limit = (fn) => fn() } = {}) {
+  const storage = getStorage(job.request.storage);
+  const files = await Promise.all(storedFiles(job).map((file) => limit(async () => {
+    try {
+      return { ...file, exists: await storage.exists(file.key) };
+    } catch (err) {
+      console.error(`Could not check stored object '${file.key}':`, err.message);
+      return { ...file, exists: null };
+    }
+  })));
+  const { url, outputs, thumbnails, renditions, duration } = job.result;
+  return {
+    jobId: job.jobId,
+    storage: { backend: storage.name, bucket: storage.bucket },
+    url,
+    outputs,
+    thumbnails,
+    renditions,
+    duration,
+    files,
+    createdAt: job.createdAt,
+    finishedAt: job.finishedAt,
+  };
+}
+
+/**
+ * Delete every stored object of a job (videos, HLS segments, thumbnails).
+ * @returns {Promise<{ deleted: string[], failed: string[] }>} object keys
+ */
+async function deleteVideo(job, { limit = (fn) => fn() } = {}) {
+  const storage = getStorage(job.request.storage);
+  const results = await Promise.all(storedFiles(job).map((file) => limit(async () => ({
+    key: file.key,
+    ok: await storage.delete(file.key).catch(() => false),
+  }))));
+  console.log(`[job ${job.jobId}] deleted ${results.filter((r) => r.ok).length}/${results.length} stored object(s) from ${storage.name} storage`);
+  return {
+    deleted: results.filter((r) => r.ok).map((r) => r.key),
+    failed: results.filter((r) => !r.ok).map((r) => r.key),
+  };
+}
+
+export { describeVideo, deleteVideo };
@@ -0,0 +1,135 @@
+// lib/webhook.js
+import crypto from "crypto";
+import http from "http";
+import https from "https";
+import axios from "axios";
+import { updateJob, toPublicJob } from "./jobs.js";
+import { assertUrlAllowed, lookup } from "./downloadPolicy.js";
+
+const SIGNATURE_HEADER = "X-Webhook-Signature";
+const TIMESTAMP_HEADER = "X-Webhook-Timestamp";
+
+// callbacks go through the download policy like downloads do, so a callbackUrl can't
+// be used to reach the internal network (the address check runs on every connection)
+const httpAgent = new http.Agent({ lookup });
+const httpsAgent = new https.Agent({ lookup });
+
+/**
+ * Check a callbackUrl when the request is validated: WEBHOOK_SECRET must be set (callbacks
+ * are never sent unsigned) and the URL must pass the download policy.
+ * @throws {Error} with the reason
+ */
+function assertCallbackAllowed(url) {
+  if (!process.env.WEBHOOK_SECRET) {
+    throw new Error("callbacks are disabled on this server (WEBHOOK_SECRET is not set)");
+  }
+  assertUrlAllowed(url, "send the callback to");
+}
+
+/**
+ * Sign a webhook body. The signature is an HMAC-SHA256 over "<timestamp>.<body>"
+ * so a receiver can reject replayed requests by checking the timestamp.
+ * @param {string} body - raw JSON body as sent
+ * @param {string} timestamp - unix seconds, sent in X-Webhook-Timestamp
+ * @param {string} secret - shared secret (WEBHOOK_SECRET)
+ * @returns {string} "sha256=<hex>"
+ */
+function signWebhookPayload(body, timestamp, secret) {
+  const hmac = crypto.createHmac("sha256", secret).update(`${timestamp}.${body}`).digest("hex");
+  return `sha256=${hmac}`;
+}
+
+/**
+ * POST a JSON payload to a callback URL, retrying with backoff on network
+ * errors, 5xx, 408 and 429 responses. Every attempt is logged.
+ * Nothing is sent without a secret or to a URL the download policy refuses.
+ *
+ * @param {string} url - callback URL
+ * @param {object} payload - JSON payload
+ * @param {object} [options]
+ * @param {object} [options.headers] - extra headers supplied by the caller
+ * @param {string} [options.secret] - HMAC secret (defaults to WEBHOOK_SECRET)
+ * @param {number} [options.retries=4] - retries after the first attempt
+ * @param {number} [options.retryDelay=1000] - base backoff in ms (multiplied by the attempt number)
+ * @returns {Promise<{ delivered: boolean, attempts: number, status: number|null, error: string|null }>}
+ */
+async function deliverWebhook(url, payload, options = {}) {
+  const {
+    headers = {},
+    secret = process.env.WEBHOOK_SECRET,
+    retries = Number(process.env.WEBHOOK_RETRIES) || 4,
+    retryDelay = 1000,
+    timeout = 10000,
+  } = options;
+
+  const body = JSON.stringify(payload);
+  try {
+    if (!secret) throw new Error("WEBHOOK_SECRET is not set; refusing to send an unsigned callback");
+    assertUrlAllowed(url, "send the callback to");
+  } catch (err) {
+    console.error(`Webhook ${url} not sent: ${err.message}`);
+    return { delivered: false, attempts: 0, status: null, error: err.message };
+  }
+
+  let attempt = 0;
+  while (true) {
+    attempt++;
+    // sign per attempt so the timestamp reflects when it was sent
+    const timestamp = String(Math.floor(Date.now() / 1000));
+    const requestHeaders = {
+      ...headers,
+      "Content-Type": "application/json",
+      [TIMESTAMP_HEADER]: timestamp,
+    };
+    requestHeaders[SIGNATURE_HEADER] = signWebhookPayload(body, timestamp, secret);
+
+    let status = null;
+    let errorMessage = null;
+    try {
+      const resp = await axios.post(url, body, { headers: requestHeaders, timeout, validateStatus: null, maxRedirects: 0, httpAgent, httpsAgent, proxy: false });
+      status = resp.status;
+      if (status >= 200 && status < 300) {
+        console.log(`Webhook ${url} attempt ${attempt}: delivered (status ${status})`);
+        return { delivered: true, attempts: attempt, status, error: null };
+      }
+      errorMessage = `status ${status}`;
+    } catch (err) {
+      errorMessage = err.message;
+    }
+
+    console.error(`Webhook ${url} attempt ${attempt} failed: ${errorMessage}`);
+
+    // other 4xx responses mean the receiver rejected the payload; retrying won't help
+    const retryable = status == null || status >= 500 || status === 408 || status === 429;
+    if (!retryable || attempt > retries) {
+      console.error(`Webhook ${url} given up after ${attempt} attempts`);
+      return { delivered: false, attempts: attempt, status, error: errorMessage };
+    }
+
+    // small backoff before retrying
+    await new Promise((r) => setTimeout(r, retryDelay * attempt));
+  }
+}
+
+/**
+ * Notify the job's `callbackUrl` (if any) that it finished.
+ * The payload is the public view of the job (as served by GET /jobs/:jobId), so
+ * internal error details stay hidden in production.
+ * The delivery outcome is recorded on the job as `callback`.
+ */
+async function sendJobCallback(job) {
+  const { callbackUrl, callbackHeaders } = job.request || {};
+  if (!callbackUrl) return null;
+
+  const view = toPublicJob(job);
+  // the delivery state describes this request itself
+  delete view.callback;
+  const payload = { event: `job.${job.status}`, ...view, url: view.url || null, error: view.error || null };
+
+  updateJob(job, { callback: { url: callbackUrl, delivered: false, attempts: 0 } });
+  const outcome = await deliverWebhook(callbackUrl, payload, { headers: callbackHeaders });
+  updateJob(job, { callback: { url: callbackUrl, ...outcome } });
+  return outcome;
+}
+
+export { deliverWebhook, sendJobCallback, assertCallbackAllowed, signWebhookPayload, SIGNATURE_HEADER, TIMESTAMP_HEADER };
@@ -2,16 +2,23 @@
 import 'dotenv/config';
 import express, { json } from "express";
 import cors from "cors";
-import { join, extname, dirname } from "path";
-import { mkdir, rm } from "fs/promises";
+import { join, dirname } from "path";
 import { existsSync, mkdirSync } from "fs";
 import morgan from "morgan";
-import { v4 as uuidv4 } from "uuid";
 import { fileURLToPath } from "url";
-import { downloadFileToPath } from "./lib/download.js";
-import { createSegmentVideo, concatVideos, createVideoFromSegments } from "./lib/ffmpegHelpers.js";
-// import { createSubtitleFile, getSubtitleStylePresets } from "./lib/subtitleHelpers.js";
-import { uploadVideoToSupabase } from "./lib/supabaseHelpers.js";
+import { pLimit } from "./lib/pLimit.js";
+import { createJob, getJob, listJobs, deleteJob, restoreJobs, activeSessionDirs, toPublicJob, createJobQueue, subscribeJob, TERMINAL_STATUSES } from "./lib/jobs.js";
+import { createJobStore } from "./lib/jobStore.js";
+import { startTempJanitor } from "./lib/janitor.js";
+import { normalizeRenderRequest, runRenderJob } from "./lib/renderJob.js";
+import { planRenderJob } from "./lib/dryRun.js";
+import { RENDER_REQUEST_SCHEMA } from "./lib/requestSchema.js";
+import { sendJobCallback } from "./lib/webhook.js";
+import { authenticate, authEnabled, reserveJob, releaseJob, restoreUsage, clientUsage } from "./lib/auth.js";
+import { serveLocalFiles } from "./lib/storage/index.js";
+import { createDownloadCache } from "./lib/downloadCache.js";
+import { describeVideo, deleteVideo } from "./lib/videos.js";
+import { probeEncoders, setAvailableEncoders, getAvailableEncoders } from "./lib/encoding.js";
 import os from "os";
 
 const __filename = fileURLToPath(import.meta.url);
@@ -19,6 +26,19 @@ const __dirname = dirname(__filename);
 const TEMP_ROOT = join(__dirname, "temp");
 if (!existsSync(TEMP_ROOT)) mkdirSync(TEMP_ROOT);
 
+// job records survive restarts; unfinished ones are resumed once the queue exists
+const unfinishedJobs = restoreJobs(createJobStore(process.env.JOB_STORE_PATH || join(__dirname, "data", "jobs.jsonl")));
+// restored jobs count against their owners' quotas again
+restoreUsage(listJobs());
+
+// start.js hands over the encoders it probed; when run directly, probe them here
+if (!process.env.FFMPEG_ENCODERS) {
+  probeEncoders().then((encoders) => {
+    if (encoders.length) setAvailableEncoders(encoders);
+    console.log(`Encoders: ${encoders.join(', ') || 'none detected (ffmpeg not found?)'}`);
+  });
+}
+
 const app = express();
 app.use(morgan("dev"));
 
@@ -34,14 +54,14 @@ const corsOptions = allowedOrigins.length
         if (!origin || allowedOrigins.includes(origin)) return callback(null, true);
         return callback(new Error("Not allowed by CORS"));
       },
-      methods: ["GET", "POST", "OPTIONS"],
-      allowedHeaders: ["Content-Type", "Authorization"],
+      methods: ["GET", "POST", "DELETE", "OPTIONS"],
+      allowedHeaders: ["Content-Type", "Authorization", "X-API-Key"],
       credentials: process.env.CORS_CREDENTIALS === "true",
     }
   : {
       origin: true, // reflect request origin (use with care; set CORS_ORIGINS in prod)
-      methods: ["GET", "POST", "OPTIONS"],
-      allowedHeaders: ["Content-Type", "Authorization"],
+      methods: ["GET", "POST", "DELETE", "OPTIONS"],
+      allowedHeaders: ["Content-Type", "Authorization", "X-API-Key"],
       credentials: false,
     };
 
@@ -78,221 +98,239 @@ app.use((err, req, res, next) => {
   next(err);
 });
 
-// simple p-limit implementation to bound concurrency
-function pLimit(concurrency) {
-  const queue = [];
-  let active = 0;
-  const next = () => {
-              if (queue.length === 0 || active >= concurrency) return;
-              active++;
-              const { fn, resolve, reject } = queue.shift();
-              Promise.resolve(fn()).then((val) => {
-                active--;
-                resolve(val);
-                next();
-              }, (err) => {
-                active--;
-                reject(err);
-                next();
-              });
-            };
-            return (fn) => new Promise((resolve, reject) => {
-              queue.push({ fn, resolve, reject });
-              next();
-            });
-          }
-
           const MAX_CONCURRENCY = Math.max(1, os.cpus().length - 1);
+          // bounds parallel downloads inside a job
           const limit = pLimit(MAX_CONCURRENCY);
+          // assets reused across jobs (logos, backgrounds, ...) are downloaded once and revalidated
+          const downloadCache = createDownloadCache({
+            dir: join(TEMP_ROOT, "cache"),
+            maxBytes: process.env.DOWNLOAD_CACHE_MAX_BYTES != null && process.env.DOWNLOAD_CACHE_MAX_BYTES !== ''
+              ? Number(process.env.DOWNLOAD_CACHE_MAX_BYTES)
+              : undefined,
+          });
+          // bounds how many jobs download/render/upload at the same time
+          const jobQueue = createJobQueue({
+            concurrency: MAX_CONCURRENCY,
+            worker: (job, { signal }) => runRenderJob(job, { tempRoot: TEMP_ROOT, limit, cache: downloadCache, signal }),
+            // free the owner's quota slot, then send the signed webhook to the job's callbackUrl
+            onFinish: (job) => {
+              releaseJob(job);
+              return sendJobCallback(job);
+            },
+          });
+
+          // jobs that were queued or running when the process stopped pick up where they left off
+          unfinishedJobs.forEach((job) => jobQueue.resume(job).catch(() => {}));
+
+          // removes session dirs left behind by failed or crashed jobs
+          const tempJanitor = startTempJanitor({ tempRoot: TEMP_ROOT, activeDirs: activeSessionDirs });
+
+          if (!authEnabled()) {
+            console.warn('⚠️  API authentication is disabled: set API_KEYS, API_KEYS_FILE or SUPABASE_JWT_SECRET to require credentials');
+          }
+
+          // answer a synchronous request with the finished job's result, or its error
+          const sendSyncResult = (res, jobId, done, extra = {}) => done.then((result) => {
+            res.json({
+              jobId,
+              url: result.url,
+              outputs: result.outputs,
+              thumbnails: result.thumbnails,
+              renditions: result.renditions,
+              ...(result.warnings ? { warnings: result.warnings } : {}),
+              ...extra,
+            });
+          }, (err) => {
+            res
+              .status(err.expose && err.status ? err.status : 500)
+              .json({
+                error: "Video generation failed",
+                details: process.env.NODE_ENV === 'production' && !err.expose ? 'Internal server error' : err.message || err,
+                ...(err.expose && err.code ? { code: err.code } : {}),
+                ...(err.field ? { field: err.field } : {}),
+                ...(err.segmentIndex != null ? { segment: err.segmentIndex } : {}),
+              });
+          });
 
-          app.post("/generate-video", async (req, res) => {
-            // normalize body: accept either { segments: [...] } or [ { segments: [...] } ]
-            let body = req.body;
+          app.post("/generate-video", authenticate, async (req, res) => {
             try {
               console.log('Incoming /generate-video request');
               console.log('Request body keys:', Object.keys(req.body));
             } catch (e) {}
 
-            if (Array.isArray(body) && body.length === 1 && body[0] && typeof body[0] === 'object') {
-    body = body[0];
+  // normalize body: accept either { segments: [...] } or [ { segments: [...] } ]
+  let request;
+  try {
+    request = normalizeRenderRequest(req.body);
+  } catch (err) {
+    return res.status(err.status || 400).json({ error: err.message, ...(err.errors ? { errors: err.errors } : {}) });
   }
 
-  const { jobId, segments: rawSegments, resolution = "1280x720", subtitleStyle, subtitlePreset } = body || {};
-
-  // Require jobId in payload
-  if (!jobId || typeof jobId !== 'string' || jobId.trim() === '') {
-    return res.status(400).json({ error: "jobId required in request body" });
+  // dry run: probe the assets and return the planned timeline / filter graph, no job
+  if (request.dryRun || req.query.dryRun === 'true') {
+    try {
+      const plan = await planRenderJob(request, { limit, tempRoot: TEMP_ROOT });
+      return res.status(plan.valid ? 200 : 422).json(plan);
+    } catch (err) {
+      console.error('Dry run failed:', err);
+      return res.status(500).json({ error: "Dry run failed", details: process.env.NODE_ENV === 'production' && !err.expose ? 'Internal server error' : err.message });
+    }
   }
 
   // Use provided jobId (caller must provide unique id to avoid overwrites)
-  const videoJobId = jobId;
-  
-  // Handle subtitle styling
-  let globalSubtitleStyle = null;
-  if (subtitlePreset) {
-    const presets = getSubtitleStylePresets();
-    globalSubtitleStyle = presets[subtitlePreset.toLowerCase()] || presets['default'];
-    console.log(`Using subtitle preset: ${subtitlePreset}`);
-  } else if (subtitleStyle) {
-    globalSubtitleStyle = subtitleStyle;
-    console.log(`Using custom subtitle style: ${subtitleStyle}`);
+  const videoJobId = request.jobId;
+  const owner = req.client ? req.client.id : null;
+  const existing = getJob(videoJobId);
+  // another client's job looks the same as an unknown one here too (see GET /jobs/:jobId)
+  if (existing && existing.owner !== owner) {
+    return res.status(404).json({ error: 'Job not found', jobId: videoJobId });
+  }
+  // synchronous mode holds the request open until the upload finished (legacy behaviour)
+  const sync = request.sync || req.query.sync === 'true';
+  const statusUrl = `/jobs/${encodeURIComponent(videoJobId)}`;
+
+  // jobIds are idempotent: a repeat of a queued or running job waits on that job, a
+  // repeat of a succeeded one gets its stored video back unless `force` is set; failed
+  // and cancelled jobs simply run again
+  if (existing && !TERMINAL_STATUSES.includes(existing.status)) {
+    if (request.force) {
+      return res.status(409).json({ error: 'Conflict', message: `jobId '${videoJobId}' is still ${existing.status}; cancel it with DELETE ${statusUrl} before forcing a new render` });
+    }
+    console.log(`[job ${videoJobId}] duplicate request attached to the ${existing.status} job`);
+    if (sync) return sendSyncResult(res, videoJobId, jobQueue.whenDone(existing), { attached: true });
+    return res.status(202).location(statusUrl).json({ ...toPublicJob(existing), statusUrl, attached: true });
+  }
+  if (existing && existing.status === 'succeeded' && !request.force) {
+    console.log(`[job ${videoJobId}] already succeeded, returning the stored video`);
+    if (sync) return sendSyncResult(res, videoJobId, Promise.resolve(existing.result), { reused: true });
+    return res.status(200).location(statusUrl).json({ ...toPublicJob(existing), statusUrl, reused: true });
+  }
+
+  // per-client quotas (concurrent jobs, jobs per hour, rendered seconds per day)
+  try {
+    reserveJob(req.client, request);
+  } catch (err) {
+    if (err.quota) {
+      if (err.quota.retryAfter) res.set('Retry-After', String(err.quota.retryAfter));
+      return res.status(429).json({ error: 'Quota exceeded', message: err.message, ...err.quota });
+    }
+    return res.status(err.status || 400).json({ error: err.status === 403 ? 'Forbidden' : 'Bad request', message: err.message });
   }
+  const job = createJob(videoJobId, request, { sync, owner });
+  const done = jobQueue.enqueue(job);
 
-  if (!Array.isArray(rawSegments) || rawSegments.length === 0) {
-    return res.status(400).json({ error: "segments array required" });
+  if (!sync) {
+    // failures are recorded on the job and reported through GET /jobs/:jobId
+    done.catch(() => {});
+    return res.status(202).location(statusUrl).json({ ...toPublicJob(job), statusUrl });
   }
 
-  // normalize each segment to expected keys (imageUrl, duration)
-  const segments = rawSegments.map((s) => ({
-    id: s && (s.id ?? s.ID ?? s.index),
-    imageUrl: s && (s.imageUrl || s.image_Url || s.image_url || s.image),
-    duration: s && (s.duration ?? s.length ?? s.time),
-    // keep other optional metadata if present
-    image_prompt: s && (s.image_prompt || s.imagePrompt),
-    subtitleText: s && (s.subtitleText || s.subtitle_text || s.subtitle),
-    word_duration: s && (s.word_duration || s.wordDuration || s.words),
-  }));
+  // a client that hangs up on a synchronous job no longer wants the video
+  res.on('close', () => {
+    if (!res.writableEnded) jobQueue.cancel(job, 'client disconnected');
+  });
 
-  console.log(`Received ${segments.length} segments`);
-  segments.forEach((s, i) => console.log(`segment[${i}] imageUrl=${s.imageUrl} duration=${s.duration}`));
+  return sendSyncResult(res, videoJobId, done);
+});
 
+// Job status: queued/running/succeeded/failed plus the current stage and final URL
+app.get('/jobs/:jobId', authenticate, (req, res) => {
+  const job = getJob(req.params.jobId);
+  // other clients' jobs look the same as unknown ones
+  if (!job || (req.client && job.owner !== req.client.id)) return res.status(404).json({ error: 'Job not found', jobId: req.params.jobId });
+  res.json(toPublicJob(job));
+});
 
+// Cancel a queued or running job: downloads and ffmpeg are stopped, nothing is
+// uploaded and the session files are removed
+app.delete('/jobs/:jobId', authenticate, (req, res) => {
+  const job = getJob(req.params.jobId);
+  if (!job || (req.client && job.owner !== req.client.id)) return res.status(404).json({ error: 'Job not found', jobId: req.params.jobId });
+  if (!jobQueue.cancel(job, 'requested by the client')) {
+    return res.status(409).json({ error: 'Conflict', message: `Job already ${job.status}`, ...toPublicJob(job) });
+  }
+  res.json(toPublicJob(job));
+});
 
-  const sessionId = uuidv4();
-  const sessionDir = join(TEMP_ROOT, sessionId);
-  // ensure temp root and session dir exist
-  await mkdir(sessionDir, { recursive: true });
+// Live job progress as Server-Sent Events: a `status` snapshot first, then `stage` and
+// `progress` events, and finally `succeeded`, `failed` or `cancelled` (after which the stream ends)
+app.get('/jobs/:jobId/events', authenticate, (req, res) => {
+  const job = getJob(req.params.jobId);
+  if (!job || (req.client && job.owner !== req.client.id)) return res.status(404).json({ error: 'Job not found', jobId: req.params.jobId });
 
-  try {
-  // 1) download all images in parallel but bounded
-    // helper: extract extension safely from a URL string
-    const safeExt = (urlStr, fallback) => {
-      try {
-        const p = new URL(urlStr).pathname; // throws if not a valid URL
-        const e = extname(p).split("?")[0];
-        return e || fallback;
-      } catch (e) {
-        return fallback;
-      }
-    };
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    // stop nginx-style proxies from buffering the stream
+    'X-Accel-Buffering': 'no',
+  });
+  res.flushHeaders();
 
-    const downloadTasks = segments.map((seg, i) =>
-      limit(async () => {
-        const imgExt = safeExt(seg.imageUrl, ".png");
-        const imgPath = join(sessionDir, `img_${i}${imgExt}`);
-
-        // download image (log failures per URL)
-        await downloadFileToPath(seg.imageUrl, imgPath).catch((err) => {
-          console.error(`Failed to download image for segment ${i}:`, err.message || err);
-          throw err;
-        });
-
-        return { 
-          imagePath: imgPath, 
-          duration: seg.duration,
-          subtitleText: seg.subtitleText,
-          word_duration: seg.word_duration
-        };
-      })
-    );
-
-    const downloaded = await Promise.all(downloadTasks);
-
-    console.log(`Successfully downloaded ${downloaded.length} segments`);
-
-    // 2) Generate subtitle files for segments that have subtitle data
-    // Also update segment durations if calculated from word timing
-    const subtitleResults = downloaded.map((seg, i) => {
-      if (seg.subtitleText || seg.word_duration) {
-        return createSubtitleFile(seg, sessionDir, i, seg.duration, globalSubtitleStyle);
-      }
-      return { srtPath: null, calculatedDuration: null, subtitleStyle: null };
-    });
-    
-    const subtitlePaths = subtitleResults.map(result => result.srtPath);
-    const subtitleStyles = subtitleResults.map(result => result.subtitleStyle);
-    
-    // Update segment durations with calculated values from word timing
-    downloaded.forEach((seg, i) => {
-      if (subtitleResults[i].calculatedDuration) {
-        seg.duration = subtitleResults[i].calculatedDuration;
-        console.log(`Updated segment ${i} duration to ${seg.duration}s from word timing`);
-      }
-    });
-
-    // Validate that each segment has a numeric duration (new payload requirement)
-    const missingDuration = downloaded.findIndex((s) => s.duration == null || !Number.isFinite(Number(s.duration)));
-    if (missingDuration !== -1) {
-      throw new Error(`Payload validation failed: each segment must include a numeric 'duration' in seconds (missing or invalid at index ${missingDuration})`);
-    }
+  const send = (type, data) => res.write(`event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+  send('status', toPublicJob(job));
+  if (TERMINAL_STATUSES.includes(job.status)) {
+    send(job.status, toPublicJob(job));
+    return res.end();
+  }
 
-    // 3) try single-run concat (fast). If it fails, fall back to per-segment
-    // encode + concat which is slower but more robust.
-    const finalPath = join(sessionDir, "final.mp4");
-    try {
-      await createVideoFromSegments({ 
-        segments: downloaded, 
-        outPath: finalPath, 
-        resolution,
-        subtitlePaths,
-        subtitleStyles
-      });
-    } catch (singleErr) {
-      console.error('Single-run createVideoFromSegments failed, falling back to per-segment encode:', singleErr && singleErr.message);
-      // create per-segment mp4 files
-      const segVideoPaths = [];
-      for (let i = 0; i < downloaded.length; i++) {
-        const seg = downloaded[i];
-        const segOut = join(sessionDir, `seg_${i}.mp4`);
-        console.log('Encoding segment (fallback):', seg.imagePath, '->', segOut);
-        await createSegmentVideo({ 
-          imagePath: seg.imagePath, 
-          outPath: segOut, 
-          duration: seg.duration, 
-          resolution,
-        });
-        segVideoPaths.push(segOut);
-      }
-      console.log('Concatenating', segVideoPaths.length, 'segment files');
-      await concatVideos(segVideoPaths, finalPath);
-    }
+  // comment lines keep idle connections from being closed by proxies
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), 15000);
+  const unsubscribe = subscribeJob(job.jobId, ({ type, data }) => {
+    send(type, data);
+    if (TERMINAL_STATUSES.includes(type)) res.end();
+  });
+  res.on('close', () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  });
+});
 
-    // 3) Upload to Supabase and return URL
-    console.log('Uploading video to Supabase...');
-    const uploadResult = await uploadVideoToSupabase(finalPath, videoJobId);
-    
-    console.log('Video uploaded successfully:', uploadResult.url);
-    
-    // Return JSON response with jobId and URL
-    res.json({
-      jobId: videoJobId,
-      url: uploadResult.url
-    });
-    
-    // Cleanup session directory after successful upload
-    rm(sessionDir, { recursive: true, force: true }).catch(console.error);
+// Stored outputs of a succeeded job: keys, URLs, sizes and whether each object still exists
+app.get('/videos/:jobId', authenticate, async (req, res) => {
+  const job = getJob(req.params.jobId);
+  if (!job || (req.client && job.owner !== req.client.id)) return res.status(404).json({ error: 'Video not found', jobId: req.params.jobId });
+  if (job.status !== 'succeeded') return res.status(404).json({ error: 'Video not found', jobId: job.jobId, status: job.status });
+  try {
+    res.json(await describeVideo(job, { limit }));
   } catch (err) {
-    console.error("Video generation failed:", err);
-    
-    // Clean up session directory on error (production)
-    if (process.env.NODE_ENV === 'production') {
-      rm(sessionDir, { recursive: true, force: true }).catch(console.error);
-    } else {
-      console.error(`Session files available for debugging at: ${sessionDir}`);
-    }
-    
-    res
-      .status(500)
-      .json({ 
-        error: "Video generation failed", 
-        details: process.env.NODE_ENV === 'production' ? 'Internal server error' : err.message || err 
-      });
+    console.error('Describing stored video failed:', err);
+    res.status(500).json({ error: 'Could not read stored video', details: process.env.NODE_ENV === 'production' ? 'Internal server error' : err.message });
+  }
+});
+
+// Delete every stored object of a finished job, then forget the job so its jobId renders anew
+app.delete('/videos/:jobId', authenticate, async (req, res) => {
+  const job = getJob(req.params.jobId);
+  if (!job || (req.client && job.owner !== req.client.id)) return res.status(404).json({ error: 'Video not found', jobId: req.params.jobId });
+  if (!TERMINAL_STATUSES.includes(job.status)) {
+    return res.status(409).json({ error: 'Conflict', message: `Job is still ${job.status}; cancel it with DELETE /jobs/${encodeURIComponent(job.jobId)} first` });
   }
+  const { deleted, failed } = await deleteVideo(job, { limit });
+  // keep the record while objects are left, so the delete can be retried
+  if (failed.length) return res.status(502).json({ error: 'Some stored objects could not be deleted', jobId: job.jobId, deleted, failed });
+  deleteJob(job.jobId);
+  res.json({ jobId: job.jobId, deleted });
+});
+
+// Quota usage of the calling API key / user
+app.get('/usage', authenticate, (req, res) => {
+  if (!req.client) return res.json({ authentication: 'disabled' });
+  res.json({ client: req.client.name, ...clientUsage(req.client) });
 });
 
+// JSON Schema of the /generate-video body
+app.get('/schema', (req, res) => {
+  res.json(RENDER_REQUEST_SCHEMA);
+});
+
+// Files written by the local storage backend
+const localFiles = serveLocalFiles();
+app.use(localFiles.route, ...localFiles.handlers);
+
 // Health check endpoint
 app.get('/health', (req, res) => {
-  res.json({ status: 'ok', timestamp: new Date().toISOString() });
+  res.json({ status: 'ok', timestamp: new Date().toISOString(), queue: jobQueue.stats(), downloadCache: downloadCache.stats(), temp: tempJanitor.stats(), encoders: getAvailableEncoders() });
 });
 
 const PORT = process.env.PORT || 3000;
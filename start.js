@@ -4,6 +4,7 @@
 import 'dotenv/config';
 import { spawn } from 'child_process';
 import { existsSync } from 'fs';
+import { probeEncoders } from './lib/encoding.js';
 
 // Check if FFmpeg is available
 function checkFFmpeg() {
@@ -23,6 +24,23 @@ function checkTempDir() {
   return existsSync('./temp');
 }
 
+// Storage backend used when a request doesn't pick one
+const storageBackend = (process.env.STORAGE_BACKEND || 'supabase').toLowerCase();
+
+// Returns the missing env vars for a storage backend (null for unknown backends)
+function checkStorageEnv(backend) {
+  const required = {
+    supabase: [['SUPABASE_URL'], ['SUPABASE_SERVICE_ROLE_KEY', 'SUPABASE_ANON_KEY']],
+    s3: [['S3_BUCKET'], ['S3_ACCESS_KEY_ID', 'AWS_ACCESS_KEY_ID'], ['S3_SECRET_ACCESS_KEY', 'AWS_SECRET_ACCESS_KEY']],
+    local: [],
+  }[backend];
+  if (!required) return null;
+  // each entry lists alternatives; one of them must be set
+  return required
+    .filter((names) => !names.some((name) => process.env[name]))
+    .map((names) => names.join(' or '));
+}
+
 async function startServer() {
   console.log('🎬 FFmpeg Video Generator - Starting...');
   
@@ -33,28 +51,40 @@ async function startServer() {
     process.exit(1);
   }
   
+  // Encoders the installed ffmpeg can run; requests for any other are rejected
+  const encoders = await probeEncoders();
+  if (!encoders.includes('libx264')) {
+    console.warn('⚠️  libx264 not available: requests must pick another encoder (see "encoding" in the README)');
+  }
+
   const tempDirExists = checkTempDir();
   if (!tempDirExists) {
     console.error('❌ Temp directory not found. Please ensure temp/ directory exists.');
     process.exit(1);
   }
   
-  // Check Supabase environment variables
-  if (!process.env.SUPABASE_URL || !process.env.SUPABASE_ANON_KEY) {
-    console.error('❌ Missing Supabase environment variables. Please check your .env file.');
-    console.error('   Required: SUPABASE_URL and SUPABASE_ANON_KEY');
+  // Check environment variables for the configured storage backend
+  const missingStorageEnv = checkStorageEnv(storageBackend);
+  if (missingStorageEnv === null) {
+    console.error(`❌ Unknown STORAGE_BACKEND '${storageBackend}'. Use supabase, s3 or local.`);
+    process.exit(1);
+  }
+  if (missingStorageEnv.length) {
+    console.error(`❌ Missing ${storageBackend} storage environment variables. Please check your .env file.`);
+    console.error(`   Required: ${missingStorageEnv.join(' and ')}`);
     process.exit(1);
   }
   
   console.log('✅ FFmpeg available');
+  console.log(`✅ Encoders: ${encoders.join(', ') || 'none detected'}`);
   console.log('✅ Temp directory ready');
-  console.log('✅ Supabase configuration found');
+  console.log(`✅ Storage backend: ${storageBackend}`);
   console.log('🚀 Starting server...\n');
   
   // Start the main server
   const server = spawn('node', ['server.js'], { 
     stdio: 'inherit',
-    env: { ...process.env, NODE_ENV: 'production' }
+    env: { ...process.env, NODE_ENV: 'production', FFMPEG_ENCODERS: encoders.join(',') }
   });
   
   server.on('close', (code) => {
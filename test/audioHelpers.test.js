@@ -0,0 +1,57 @@
+// test/audioHelpers.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { normalizeBackgroundMusic, musicInputOptions, buildMusicFilters, buildAudioChain, buildSilenceSource } from "../lib/audioHelpers.js";
+
+const FORMAT = "aresample=44100,aformat=sample_fmts=fltp:channel_layouts=stereo";
+
+test("normalizeBackgroundMusic accepts a URL or options with defaults", () => {
+  assert.equal(normalizeBackgroundMusic(null), null);
+  assert.equal(normalizeBackgroundMusic({ volume: 1 }), null);
+  assert.deepEqual(normalizeBackgroundMusic("https://example.com/bed.mp3"), {
+    url: "https://example.com/bed.mp3",
+    volume: 0.2,
+    fadeIn: 0,
+    fadeOut: 0,
+    loop: true,
+    duck: true,
+    duckThreshold: 0.03,
+    duckRatio: 8,
+    duckAttack: 20,
+    duckRelease: 400,
+  });
+  const music = normalizeBackgroundMusic({ url: "https://example.com/bed.mp3", volume: -1, fade_in: "2", loop: false, duck: false });
+  assert.deepEqual([music.volume, music.fadeIn, music.loop, music.duck], [0, 2, false, false]);
+  assert.deepEqual(musicInputOptions(music), []);
+  assert.deepEqual(musicInputOptions({ loop: true }), ["-stream_loop -1"]);
+});
+
+test("narration is padded and trimmed to the segment length", () => {
+  assert.equal(buildAudioChain(4.5), `${FORMAT},apad,atrim=0:4.5,asetpts=PTS-STARTPTS`);
+  // segments without narration get silence in the same format, so the tracks concatenate
+  assert.equal(buildSilenceSource(3), "anullsrc=r=44100:cl=stereo,atrim=0:3,asetpts=PTS-STARTPTS");
+});
+
+test("music without narration is only levelled, trimmed and faded", () => {
+  const music = normalizeBackgroundMusic({ url: "x", fadeIn: 1, fadeOut: 3, loop: false });
+  assert.deepEqual(buildMusicFilters({ musicLabel: "[2:a]", narrationLabel: null, totalDuration: 10, music }), [
+    `[2:a]${FORMAT},volume=0.2,apad,atrim=0:10,asetpts=PTS-STARTPTS,afade=t=in:st=0:d=1,afade=t=out:st=7:d=3[aout]`,
+  ]);
+});
+
+test("the narration ducks the music through a sidechain compressor", () => {
+  const music = normalizeBackgroundMusic({ url: "x", duckRatio: 4 });
+  assert.deepEqual(buildMusicFilters({ musicLabel: "[3:a]", narrationLabel: "[narration]", totalDuration: 8, music }), [
+    `[3:a]${FORMAT},volume=0.2,atrim=0:8,asetpts=PTS-STARTPTS[bgm]`,
+    "[narration]asplit=2[narr][sidechain]",
+    "[bgm][sidechain]sidechaincompress=threshold=0.03:ratio=4:attack=20:release=400[ducked]",
+    "[narr][ducked]amix=inputs=2:duration=first:dropout_transition=0:normalize=0[aout]",
+  ]);
+});
+
+test("without ducking the music is mixed in at its set volume", () => {
+  const music = normalizeBackgroundMusic({ url: "x", duck: false });
+  const filters = buildMusicFilters({ musicLabel: "[1:a]", narrationLabel: "[0:a]", totalDuration: 5, music, outLabel: "[mixed]" });
+  assert.equal(filters.length, 2);
+  assert.equal(filters[1], "[0:a][bgm]amix=inputs=2:duration=first:dropout_transition=0:normalize=0[mixed]");
+});
@@ -0,0 +1,146 @@
+// test/auth.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import crypto from "crypto";
+import { writeFile, rm, mkdtemp } from "fs/promises";
+import { tmpdir } from "os";
+import { join } from "path";
+
+const dir = await mkdtemp(join(tmpdir(), "auth-"));
+process.env.API_KEYS = "open:open-key";
+process.env.API_KEYS_FILE = join(dir, "keys.json");
+process.env.SUPABASE_JWT_SECRET = "jwt-secret";
+process.env.API_KEY_MAX_CONCURRENT_JOBS = "1";
+await writeFile(process.env.API_KEYS_FILE, JSON.stringify([
+  { name: "acme", key: "acme-key", bucket: "acme", maxConcurrentJobs: 10, renderSecondsPerDay: 60 },
+  { name: "odd name", key: "odd-key" },
+  { name: "studio", key: "studio-key", maxConcurrentJobs: 10, renderSecondsPerDay: 60 },
+]));
+const { authenticate, reserveJob, releaseJob, restoreUsage, assertRenderQuota, clientUsage } = await import("../lib/auth.js");
+await rm(dir, { recursive: true, force: true });
+
+// req.client for a token, or the 401 body
+function clientFor(token) {
+  let status = null;
+  let body = null;
+  const req = { get: (name) => (name.toLowerCase() === "authorization" ? `Bearer ${token}` : undefined) };
+  const res = {
+    status(code) { status = code; return res; },
+    set() { return res; },
+    json(value) { body = value; return res; },
+  };
+  authenticate(req, res, () => {});
+  return status ? { status, body } : req.client;
+}
+
+function jwt(payload) {
+  const encode = (value) => Buffer.from(JSON.stringify(value)).toString("base64url");
+  const unsigned = `${encode({ alg: "HS256", typ: "JWT" })}.${encode(payload)}`;
+  return `${unsigned}.${crypto.createHmac("sha256", "jwt-secret").update(unsigned).digest("base64url")}`;
+}
+
+let n = 0;
+const request = (storage = {}, extra = {}) => ({
+  jobId: `job-${++n}`,
+  segments: [{ duration: 10 }],
+  renditions: [{ name: "main" }],
+  storage: { backend: "local", bucket: null, ...storage },
+  ...extra,
+});
+
+test("authenticate accepts API keys and signed-in Supabase users only", () => {
+  assert.equal(clientFor("acme-key").id, "key:acme");
+  assert.equal(clientFor("nope").status, 401);
+  assert.equal(clientFor(jwt({ sub: "u1", role: "authenticated", exp: Date.now() / 1000 + 60 })).id, "user:u1");
+  assert.equal(clientFor(jwt({ sub: "u1", role: "anon" })).status, 401);
+  assert.equal(clientFor(jwt({ sub: "u1", role: "authenticated", exp: 1 })).status, 401);
+});
+
+test("every client writes under its own key prefix", () => {
+  const acme = request();
+  reserveJob(clientFor("acme-key"), acme);
+  assert.deepEqual(acme.storage, { backend: "local", bucket: "acme", prefix: "keys/acme/" });
+
+  const user = request();
+  reserveJob(clientFor(jwt({ sub: "u1", role: "authenticated" })), user);
+  assert.deepEqual(user.storage, { backend: "local", bucket: null, prefix: "users/u1/" });
+
+  // names that are not path safe are hashed
+  const odd = request();
+  reserveJob(clientFor("odd-key"), odd);
+  assert.match(odd.storage.prefix, /^keys\/[0-9a-f]{16}\/$/);
+});
+
+test("clients may not write to buckets they don't own", () => {
+  assert.throws(() => reserveJob(clientFor("acme-key"), request({ bucket: "other" })),
+    (err) => err.status === 403 && /may only write to bucket 'acme'/.test(err.message));
+  assert.throws(() => reserveJob(clientFor("open-key"), request({ bucket: "acme" })),
+    (err) => err.status === 403 && /may only write to the default bucket/.test(err.message));
+  assert.doesNotThrow(() => reserveJob(clientFor("acme-key"), request({ bucket: "acme" })));
+});
+
+test("concurrent jobs are limited until one is released", () => {
+  const client = clientFor(jwt({ sub: "u2", role: "authenticated" }));
+  const first = request();
+  reserveJob(client, first);
+  assert.throws(() => reserveJob(client, request()), (err) => err.status === 429 && err.quota.limit === "maxConcurrentJobs");
+  releaseJob({ jobId: first.jobId, owner: client.id, status: "succeeded", result: { duration: 12, renditions: [] } });
+  assert.doesNotThrow(() => reserveJob(client, request()));
+  assert.equal(clientUsage(client).renderSecondsToday, 12);
+});
+
+test("the daily render budget is checked up front and once durations are known", () => {
+  const client = clientFor("acme-key");
+  // given durations: 2 x 40s renditions
+  assert.throws(() => reserveJob(client, request({}, { segments: [{ duration: 40 }], renditions: [{}, {}] })),
+    (err) => err.status === 429 && err.quota.limit === "renderSecondsPerDay");
+  // durations from narration are unknown at first...
+  const job = request({}, { segments: [{ audioUrl: "https://example.com/a.mp3" }] });
+  reserveJob(client, job);
+  // ...and checked by the runner once probed
+  const record = { jobId: job.jobId, owner: client.id };
+  assert.doesNotThrow(() => assertRenderQuota(record, 30));
+  assert.throws(() => assertRenderQuota(record, 90), (err) => err.code === "QUOTA_EXCEEDED" && err.status === 429);
+  releaseJob({ ...record, status: "failed" });
+  // clients without a daily budget are never refused
+  assert.doesNotThrow(() => assertRenderQuota({ jobId: "x", owner: "user:u1" }, 1e6));
+});
+
+test("jobs running side by side reserve their render seconds until they finish", () => {
+  const client = clientFor("studio-key");
+  const first = request({}, { segments: [{ duration: 25 }] });
+  const second = request({}, { segments: [{ duration: 25 }] });
+  reserveJob(client, first);
+  reserveJob(client, second);
+  // 50s are reserved, so a third 25s job would overshoot the 60s budget
+  assert.throws(() => reserveJob(client, request({}, { segments: [{ duration: 25 }] })),
+    (err) => err.quota.limit === "renderSecondsPerDay" && err.quota.used === 50);
+  assert.equal(clientUsage(client).renderSecondsReserved, 50);
+
+  // the settled length replaces the estimate
+  assertRenderQuota({ jobId: first.jobId, owner: client.id }, 5);
+  assert.equal(clientUsage(client).renderSecondsReserved, 30);
+
+  // a failed job gives its reservation back, a succeeded one counts what it rendered
+  releaseJob({ jobId: first.jobId, owner: client.id, status: "failed" });
+  releaseJob({ jobId: second.jobId, owner: client.id, status: "succeeded", result: { duration: 20, renditions: [{}] } });
+  const { renderSecondsToday, renderSecondsReserved } = clientUsage(client);
+  assert.deepEqual({ renderSecondsToday, renderSecondsReserved }, { renderSecondsToday: 20, renderSecondsReserved: 0 });
+});
+
+test("restoreUsage takes back the slots and seconds of restored jobs", () => {
+  const now = new Date().toISOString();
+  const owner = "user:u3";
+  restoreUsage([
+    { jobId: "r1", owner, status: "running", createdAt: now, request: request({}, { segments: [{ duration: 3 }] }) },
+    { jobId: "r2", owner, status: "succeeded", createdAt: now, finishedAt: now, result: { duration: 5, renditions: [{}, {}] } },
+    { jobId: "r3", owner, status: "failed", createdAt: "2020-01-01T00:00:00.000Z", finishedAt: "2020-01-01T00:00:00.000Z" },
+    { jobId: "r4", owner: null, status: "running", createdAt: now, request: request() },
+  ]);
+  const client = clientFor(jwt({ sub: "u3", role: "authenticated" }));
+  const { activeJobs, jobsLastHour, renderSecondsToday, renderSecondsReserved } = clientUsage(client);
+  assert.deepEqual({ activeJobs, jobsLastHour, renderSecondsToday, renderSecondsReserved },
+    { activeJobs: 1, jobsLastHour: 2, renderSecondsToday: 10, renderSecondsReserved: 3 });
+  // the restored running job holds the only slot
+  assert.throws(() => reserveJob(client, request()), (err) => err.quota.limit === "maxConcurrentJobs");
+});
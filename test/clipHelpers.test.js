@@ -0,0 +1,54 @@
+// test/clipHelpers.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  normalizeClip,
+  clipLength,
+  clipInputOptions,
+  buildClipTimingFilter,
+  buildClipAudioFilters,
+} from "../lib/clipHelpers.js";
+
+const CHAIN = "aresample=44100,aformat=sample_fmts=fltp:channel_layouts=stereo,apad,atrim=0:3,asetpts=PTS-STARTPTS";
+
+test("normalizeClip reads trims and speed, and mutes clips under narration", () => {
+  assert.deepEqual(normalizeClip({ trim_start: "1.5", trimEnd: 4 }, "segments[0]"), { trimStart: 1.5, trimEnd: 4, speed: 1, keepAudio: true });
+  assert.equal(normalizeClip({ audioUrl: "https://example.com/a.mp3" }, "segments[0]").keepAudio, false);
+  assert.equal(normalizeClip({ audioUrl: "https://example.com/a.mp3", keepAudio: true }, "segments[0]").keepAudio, true);
+  assert.throws(() => normalizeClip({ trimStart: 2, trimEnd: 2 }, "segments[1]"), /segments\[1\]\.trimEnd: must be greater than trimStart \(2\)/);
+  assert.throws(() => normalizeClip({ speed: 5 }, "segments[1]"), /segments\[1\]\.speed: must be between 0.25 and 4/);
+  assert.throws(() => normalizeClip({ motion: "zoom-in" }, "segments[1]"), /motion: is only supported on image segments/);
+});
+
+test("clipLength is the trimmed range at the clip's speed", () => {
+  assert.equal(clipLength({ trimStart: 1, trimEnd: 4, speed: 2 }), 1.5);
+  // a trim past the end of the source stops at the source
+  assert.equal(clipLength({ trimStart: 1, trimEnd: 20, speed: 1, sourceDuration: 10 }), 9);
+  assert.equal(clipLength({ trimStart: 0, trimEnd: null, speed: 0.3, sourceDuration: 1 }), 3.333);
+  assert.throws(() => clipLength({ trimStart: 0, trimEnd: null, speed: 1 }), /probe the source first/);
+  assert.throws(() => clipLength({ trimStart: 12, trimEnd: null, speed: 1, sourceDuration: 10 }), /trimStart 12s is past the end of the clip \(10s\)/);
+});
+
+test("clips seek to the trimmed range and are retimed before the fit", () => {
+  assert.deepEqual(clipInputOptions({ trimStart: 1.2, trimEnd: 3.5 }), ["-ss 1.2", "-t 2.3"]);
+  assert.deepEqual(clipInputOptions({ trimStart: 0, trimEnd: null }), []);
+  assert.equal(buildClipTimingFilter({ speed: 1 }, 30), "setpts=PTS-STARTPTS,fps=30");
+  assert.equal(buildClipTimingFilter({ speed: 2 }, 25), "setpts=(PTS-STARTPTS)/2,fps=25");
+});
+
+test("the clip's sound follows its speed through chained atempo filters", () => {
+  const audio = (speed) => buildClipAudioFilters({ clipInput: 1, clip: { speed }, duration: 3, label: "a0" })[0];
+  assert.equal(audio(1), `[1:a]${CHAIN}[a0]`);
+  assert.equal(audio(1.5), `[1:a]atempo=1.5,${CHAIN}[a0]`);
+  assert.equal(audio(4), `[1:a]atempo=2,atempo=2,${CHAIN}[a0]`);
+  assert.equal(audio(3), `[1:a]atempo=2,atempo=1.5,${CHAIN}[a0]`);
+  assert.equal(audio(0.25), `[1:a]atempo=0.5,atempo=0.5,${CHAIN}[a0]`);
+});
+
+test("narration is mixed over the clip's sound", () => {
+  assert.deepEqual(buildClipAudioFilters({ clipInput: 2, narrationInput: 1, clip: { speed: 1 }, duration: 3, label: "a1" }), [
+    `[2:a]${CHAIN}[a1c]`,
+    `[1:a]${CHAIN}[a1n]`,
+    "[a1n][a1c]amix=inputs=2:duration=first:dropout_transition=0:normalize=0[a1]",
+  ]);
+});
@@ -0,0 +1,92 @@
+// test/downloadCache.test.js
+import { test, after, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import http from "http";
+import crypto from "crypto";
+import { mkdtemp, rm, readFile } from "fs/promises";
+import { tmpdir } from "os";
+import { join } from "path";
+import { createDownloadCache } from "../lib/downloadCache.js";
+import { downloadPolicy, createByteBudget, DOWNLOAD_ERRORS } from "../lib/downloadPolicy.js";
+
+const PNG = Buffer.from("89504e470d0a1a0a0000000d49484452", "hex");
+// 100 byte PNGs that differ in their last byte
+const image = (n) => Buffer.concat([PNG, Buffer.alloc(83), Buffer.from([n])]);
+const files = { "/a.png": image(1), "/b.png": image(2), "/c.png": image(3), "/slow.png": image(4) };
+
+// origin with ETags; /slow.png answers after a delay so parallel fetches overlap
+const gets = [];
+const server = http.createServer((req, res) => {
+  const body = files[req.url];
+  if (!body) return res.writeHead(404).end();
+  gets.push(req.url);
+  const etag = `"${crypto.createHash("sha1").update(body).digest("hex")}"`;
+  if (req.headers["if-none-match"] === etag) return res.writeHead(304, { ETag: etag }).end();
+  setTimeout(() => res.writeHead(200, { ETag: etag, "Content-Type": "image/png" }).end(body), req.url === "/slow.png" ? 100 : 0);
+});
+await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+const base = `http://127.0.0.1:${server.address().port}`;
+const dir = await mkdtemp(join(tmpdir(), "download-cache-"));
+after(async () => {
+  server.close();
+  await rm(dir, { recursive: true, force: true });
+});
+
+beforeEach((t) => {
+  gets.length = 0;
+  downloadPolicy.allowPrivateNetworks = true;
+  t.after(() => (downloadPolicy.allowPrivateNetworks = false));
+  t.mock.method(console, "log", () => {});
+});
+
+// eviction runs in the background once a fetch is done
+async function until(check) {
+  for (let i = 0; i < 100 && !check(); i++) await new Promise((resolve) => setTimeout(resolve, 10));
+  assert.ok(check());
+}
+
+test("revalidated files come from the cache, the least recently used is evicted", async () => {
+  const cache = createDownloadCache({ dir: join(dir, "lru"), maxBytes: 250 });
+  const dest = (name) => join(dir, "jobs", name);
+
+  assert.deepEqual(await cache.fetch(`${base}/a.png`, dest("a1.png")), { hit: false, size: 100 });
+  await cache.fetch(`${base}/b.png`, dest("b1.png"));
+  // a is revalidated (304) and becomes the most recently used
+  assert.deepEqual(await cache.fetch(`${base}/a.png`, dest("a2.png")), { hit: true, size: 100 });
+  assert.deepEqual(await readFile(dest("a2.png")), files["/a.png"]);
+
+  // c pushes the cache over 250 bytes: b goes, a stays
+  await cache.fetch(`${base}/c.png`, dest("c1.png"));
+  await until(() => cache.stats().evictions === 1);
+  assert.equal(cache.stats().bytes, 200);
+  assert.equal((await cache.fetch(`${base}/a.png`, dest("a3.png"))).hit, true);
+  assert.equal((await cache.fetch(`${base}/b.png`, dest("b2.png"))).hit, false);
+  // an evicted file is downloaded again from scratch, not revalidated
+  assert.deepEqual(gets, ["/a.png", "/b.png", "/a.png", "/c.png", "/a.png", "/b.png"]);
+});
+
+test("jobs asking for a URL that is being downloaded join that download", async () => {
+  const cache = createDownloadCache({ dir: join(dir, "join") });
+  const budgets = [createByteBudget(1000), createByteBudget(1000)];
+  const results = await Promise.all(budgets.map((budget, i) =>
+    cache.fetch(`${base}/slow.png`, join(dir, "jobs", `slow${i}.png`), { expect: "image", budget })));
+  assert.deepEqual(results, [{ hit: false, size: 100 }, { hit: true, size: 100 }]);
+  assert.deepEqual(gets, ["/slow.png"]);
+  // each job pays for the file out of its own budget
+  assert.deepEqual(budgets.map((budget) => budget.used), [100, 100]);
+  assert.deepEqual(await readFile(join(dir, "jobs", "slow1.png")), files["/slow.png"]);
+});
+
+test("a joining job is held to its own limits, not those of the job that started the download", async () => {
+  const cache = createDownloadCache({ dir: join(dir, "limits") });
+  const [roomy, strict, small] = await Promise.allSettled([
+    cache.fetch(`${base}/slow.png`, join(dir, "jobs", "roomy.png"), { expect: "image" }),
+    cache.fetch(`${base}/slow.png`, join(dir, "jobs", "strict.png"), { expect: "image", maxBytes: 50 }),
+    cache.fetch(`${base}/slow.png`, join(dir, "jobs", "small.png"), { expect: "image", budget: createByteBudget(50) }),
+  ]);
+  assert.equal(roomy.status, "fulfilled");
+  assert.equal(strict.reason.code, DOWNLOAD_ERRORS.FILE_TOO_LARGE);
+  assert.equal(small.reason.code, DOWNLOAD_ERRORS.JOB_TOO_LARGE);
+  // the stricter per-file limit needs a download of its own
+  assert.deepEqual(gets, ["/slow.png", "/slow.png"]);
+});
@@ -0,0 +1,160 @@
+// test/downloadPolicy.test.js
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import http from "http";
+import { mkdtemp, rm, access } from "fs/promises";
+import { tmpdir } from "os";
+import { join } from "path";
+import {
+  DOWNLOAD_ERRORS,
+  downloadPolicy,
+  assertUrlAllowed,
+  lookup,
+  createByteBudget,
+  assertFileSize,
+  assertMediaType,
+  assertContentType,
+  isPrivateAddress,
+} from "../lib/downloadPolicy.js";
+import { downloadFileToPath } from "../lib/download.js";
+
+const PNG = Buffer.from("89504e470d0a1a0a0000000d49484452", "hex");
+
+// run `fn` with some policy fields changed
+async function withPolicy(patch, fn) {
+  const saved = { ...downloadPolicy };
+  Object.assign(downloadPolicy, patch);
+  try {
+    return await fn();
+  } finally {
+    Object.assign(downloadPolicy, saved);
+  }
+}
+
+const rejectsWithCode = (fn, code) => assert.throws(fn, (err) => err.code === code && err.status === 422 && err.expose === true);
+
+test("isPrivateAddress covers loopback, private, link-local and mapped addresses", () => {
+  for (const address of ["127.0.0.1", "10.1.2.3", "172.16.0.1", "192.168.1.1", "169.254.169.254", "100.64.0.1", "0.0.0.0", "::1", "fd00::1", "fe80::1", "::ffff:127.0.0.1"]) {
+    assert.equal(isPrivateAddress(address), true, address);
+  }
+  for (const address of ["93.184.216.34", "8.8.8.8", "2606:4700::1111", "example.com"]) {
+    assert.equal(isPrivateAddress(address), false, address);
+  }
+});
+
+test("assertUrlAllowed refuses non-http URLs and private addresses", () => {
+  assert.doesNotThrow(() => assertUrlAllowed("https://example.com/a.png"));
+  rejectsWithCode(() => assertUrlAllowed("file:///etc/passwd"), DOWNLOAD_ERRORS.BLOCKED_HOST);
+  rejectsWithCode(() => assertUrlAllowed("http://127.0.0.1/a.png"), DOWNLOAD_ERRORS.BLOCKED_ADDRESS);
+  rejectsWithCode(() => assertUrlAllowed("http://[::1]:8080/a.png"), DOWNLOAD_ERRORS.BLOCKED_ADDRESS);
+  rejectsWithCode(() => assertUrlAllowed("http://api.localhost/a.png"), DOWNLOAD_ERRORS.BLOCKED_ADDRESS);
+  assert.throws(() => assertUrlAllowed("http://10.0.0.1/", "send the callback to"), /^Error: Refusing to send the callback to/);
+});
+
+test("assertUrlAllowed applies the allowed and denied host lists", () =>
+  withPolicy({ allowedHosts: ["*.example.com", "cdn.test"], deniedHosts: ["bad.example.com"] }, () => {
+    assert.doesNotThrow(() => assertUrlAllowed("https://img.example.com/a.png"));
+    assert.doesNotThrow(() => assertUrlAllowed("https://CDN.test/a.png"));
+    rejectsWithCode(() => assertUrlAllowed("https://bad.example.com/a.png"), DOWNLOAD_ERRORS.BLOCKED_HOST);
+    rejectsWithCode(() => assertUrlAllowed("https://example.org/a.png"), DOWNLOAD_ERRORS.BLOCKED_HOST);
+  }));
+
+test("private addresses are allowed when the policy says so", () =>
+  withPolicy({ allowPrivateNetworks: true }, () => {
+    assert.doesNotThrow(() => assertUrlAllowed("http://127.0.0.1/a.png"));
+  }));
+
+test("lookup fails connections to private addresses", async () => {
+  const resolve = (host) => new Promise((ok, fail) => lookup(host, {}, (err, address) => (err ? fail(err) : ok(address))));
+  await assert.rejects(resolve("127.0.0.1"), (err) => err.code === DOWNLOAD_ERRORS.BLOCKED_ADDRESS);
+  await withPolicy({ allowPrivateNetworks: true }, async () => {
+    assert.equal(await resolve("127.0.0.1"), "127.0.0.1");
+  });
+});
+
+test("createByteBudget counts bytes against the job limit", () => {
+  const budget = createByteBudget(100);
+  budget.consume(60, "a");
+  budget.release(20);
+  budget.consume(60, "b");
+  assert.equal(budget.used, 100);
+  rejectsWithCode(() => budget.consume(1, "c"), DOWNLOAD_ERRORS.JOB_TOO_LARGE);
+  assert.doesNotThrow(() => createByteBudget(0).consume(1e12, "d"));
+});
+
+test("assertFileSize enforces the per-file limit, 0 disables it", () => {
+  assert.doesNotThrow(() => assertFileSize(100, "a", 100));
+  rejectsWithCode(() => assertFileSize(101, "a", 100), DOWNLOAD_ERRORS.FILE_TOO_LARGE);
+  assert.doesNotThrow(() => assertFileSize(1e12, "a", 0));
+});
+
+test("assertMediaType checks magic bytes and names what it got instead", () => {
+  assert.doesNotThrow(() => assertMediaType(PNG, "image", "a.png"));
+  assert.doesNotThrow(() => assertMediaType(Buffer.from("ID3\x04\0\0\0\0\0\0\0\0", "latin1"), "audio", "a.mp3"));
+  assert.doesNotThrow(() => assertMediaType(Buffer.from("\0\0\0\x18ftypmp42", "latin1"), "video", "a.mp4"));
+  assert.throws(() => assertMediaType(Buffer.from("<!DOCTYPE html>"), "image", "a.png"), /looks like an HTML\/XML document/);
+  assert.throws(() => assertMediaType(Buffer.from('{"error":1}'), "audio", "a.mp3"), /looks like JSON/);
+  assert.throws(() => assertMediaType(Buffer.alloc(0), "video", "a.mp4"), /looks like an empty file/);
+});
+
+test("assertContentType refuses text and JSON responses only", () => {
+  assert.doesNotThrow(() => assertContentType("image/png", "image", "a"));
+  assert.doesNotThrow(() => assertContentType("application/octet-stream", "video", "a"));
+  assert.doesNotThrow(() => assertContentType(null, "video", "a"));
+  rejectsWithCode(() => assertContentType("text/html; charset=utf-8", "image", "a"), DOWNLOAD_ERRORS.UNEXPECTED_CONTENT);
+  rejectsWithCode(() => assertContentType("application/json", "audio", "a"), DOWNLOAD_ERRORS.UNEXPECTED_CONTENT);
+});
+
+// downloads from a local server; 127.0.0.1 is only reachable with private networks allowed
+const server = http.createServer((req, res) => {
+  if (req.url === "/image.png") return res.end(PNG);
+  if (req.url === "/page.png") return res.end("<html>not an image</html>");
+  if (req.url === "/big.png") return res.end(Buffer.concat([PNG, Buffer.alloc(4096)]));
+  if (req.url === "/redirect.png") {
+    res.writeHead(302, { Location: `http://localhost:${server.address().port}/image.png` });
+    return res.end();
+  }
+  res.writeHead(404).end();
+});
+await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+const base = `http://127.0.0.1:${server.address().port}`;
+const dir = await mkdtemp(join(tmpdir(), "download-policy-"));
+after(async () => {
+  server.close();
+  await rm(dir, { recursive: true, force: true });
+});
+
+const exists = (path) => access(path).then(() => true, () => false);
+
+test("downloadFileToPath refuses private addresses before requesting them", async () => {
+  const dest = join(dir, "blocked.png");
+  await assert.rejects(downloadFileToPath(`${base}/image.png`, dest, { retries: 0 }), (err) => err.code === DOWNLOAD_ERRORS.BLOCKED_ADDRESS);
+  assert.equal(await exists(dest), false);
+});
+
+test("downloadFileToPath enforces content checks and size limits without partial files", () =>
+  withPolicy({ allowPrivateNetworks: true }, async () => {
+    const ok = join(dir, "ok.png");
+    await downloadFileToPath(`${base}/image.png`, ok, { expect: "image", retries: 0 });
+    assert.equal(await exists(ok), true);
+
+    const page = join(dir, "page.png");
+    await assert.rejects(downloadFileToPath(`${base}/page.png`, page, { expect: "image", retries: 0 }),
+      (err) => err.code === DOWNLOAD_ERRORS.UNEXPECTED_CONTENT);
+    assert.equal(await exists(page), false);
+
+    const big = join(dir, "big.png");
+    await assert.rejects(downloadFileToPath(`${base}/big.png`, big, { expect: "image", maxBytes: 1024, retries: 0 }),
+      (err) => err.code === DOWNLOAD_ERRORS.FILE_TOO_LARGE);
+    assert.equal(await exists(big), false);
+
+    const budget = createByteBudget(1024);
+    await assert.rejects(downloadFileToPath(`${base}/big.png`, join(dir, "budget.png"), { budget, retries: 0 }),
+      (err) => err.code === DOWNLOAD_ERRORS.JOB_TOO_LARGE);
+  }));
+
+test("downloadFileToPath checks redirect targets against the host lists", () =>
+  withPolicy({ allowPrivateNetworks: true, deniedHosts: ["localhost"] }, async () => {
+    await assert.rejects(downloadFileToPath(`${base}/redirect.png`, join(dir, "redirect.png"), { retries: 0 }),
+      (err) => err.code === DOWNLOAD_ERRORS.BLOCKED_HOST);
+  }));
@@ -0,0 +1,69 @@
+// test/dryRun.test.js
+import { test, after, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import http from "http";
+import { mkdtemp, rm, readdir } from "fs/promises";
+import { tmpdir } from "os";
+import { join } from "path";
+import { planRenderJob } from "../lib/dryRun.js";
+import { normalizeRenderRequest } from "../lib/renderJob.js";
+import { downloadPolicy } from "../lib/downloadPolicy.js";
+
+delete process.env.ENCODING_PROFILE;
+
+const tempRoot = await mkdtemp(join(tmpdir(), "dry-run-"));
+// looks like an mp4 to the magic-byte check, but is not one
+const FAKE_MP4 = Buffer.concat([Buffer.from("00000018667479706d703432", "hex"), Buffer.alloc(64)]);
+
+// origin answering HEAD as if every file were media; GET /redirect sends the body
+// request to `localhost`, which the tests deny
+const hits = [];
+const server = http.createServer((req, res) => {
+  hits.push(`${req.method} ${req.url}`);
+  if (req.method === "HEAD") return res.writeHead(200, { "Content-Type": "video/mp4", "Content-Length": "76" }).end();
+  if (req.url === "/redirect.mp4") return res.writeHead(302, { Location: `http://localhost:${port}/secret` }).end();
+  if (req.url === "/page.mp3") return res.writeHead(200, { "Content-Type": "audio/mpeg" }).end("<html>sign in</html>");
+  res.writeHead(200, { "Content-Type": "video/mp4" }).end(FAKE_MP4);
+});
+await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+const { port } = server.address();
+const base = `http://127.0.0.1:${port}`;
+
+after(async () => {
+  server.close();
+  await rm(tempRoot, { recursive: true, force: true });
+});
+
+beforeEach((t) => {
+  hits.length = 0;
+  downloadPolicy.allowPrivateNetworks = true;
+  downloadPolicy.deniedHosts = ["localhost"];
+  t.after(() => {
+    downloadPolicy.allowPrivateNetworks = false;
+    downloadPolicy.deniedHosts = [];
+  });
+  t.mock.method(console, "error", () => {});
+});
+
+const plan = (segments) => planRenderJob(normalizeRenderRequest({ jobId: "plan", segments }), { limit: (fn) => fn(), tempRoot });
+
+test("clips are downloaded under the download policy before they are probed", async () => {
+  const result = await plan([{ videoUrl: `${base}/redirect.mp4` }]);
+  assert.equal(result.valid, false);
+  assert.equal(result.errors[0].field, "segments[0].videoUrl");
+  assert.match(result.errors[0].message, /Refusing to download http:\/\/localhost/);
+  assert.deepEqual(hits, ["HEAD /redirect.mp4", "GET /redirect.mp4"]);
+});
+
+test("narration that is not audio is refused by its magic bytes", async () => {
+  const result = await plan([{ imageUrl: `${base}/a.png`, audioUrl: `${base}/page.mp3`, duration: 2 }]);
+  assert.deepEqual(result.errors.map((e) => e.field), ["segments[0].audioUrl"]);
+  assert.match(result.errors[0].message, /is not a supported audio file \(it looks like an HTML\/XML document\)/);
+});
+
+test("probe failures are reported without local paths or ffprobe output", async () => {
+  const result = await plan([{ videoUrl: `${base}/clip.mp4` }]);
+  assert.deepEqual(result.errors[0], { field: "segments[0].videoUrl", segment: 0, message: "could not read the clip" });
+  // the scratch files are gone once the plan is made
+  assert.deepEqual(await readdir(tempRoot), []);
+});
@@ -0,0 +1,97 @@
+// test/encoding.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { normalizeEncoding, targetVideoBitrate, buildEncoderOptions, setAvailableEncoders } from "../lib/encoding.js";
+
+// the default profile comes from the environment
+delete process.env.ENCODING_PROFILE;
+
+test("normalizeEncoding defaults to the draft profile", () => {
+  assert.deepEqual(normalizeEncoding(), {
+    profile: "draft",
+    encoder: "libx264",
+    fps: 24,
+    crf: 23,
+    bitrate: null,
+    preset: "ultrafast",
+    gop: 10,
+    maxFileSize: null,
+    twoPass: false,
+    audioBitrate: "192k",
+  });
+});
+
+test("normalizeEncoding resolves profiles and their size targets", () => {
+  const twitter = normalizeEncoding("Twitter");
+  assert.equal(twitter.profile, "twitter");
+  assert.equal(twitter.bitrate, 5000000);
+  assert.equal(twitter.crf, null);
+  assert.equal(twitter.maxFileSize, 512 * 1024 * 1024);
+  // a size target turns on two passes for the software encoders
+  assert.equal(twitter.twoPass, true);
+  assert.equal(twitter.audioBitrate, "128k");
+});
+
+test("normalizeEncoding lets crf and bitrate replace each other", () => {
+  const crf = normalizeEncoding({ profile: "instagram", crf: 20 });
+  assert.equal(crf.crf, 20);
+  assert.equal(crf.bitrate, null);
+  const bitrate = normalizeEncoding({ profile: "high", bitrate: "2.5M" });
+  assert.equal(bitrate.bitrate, 2500000);
+  assert.equal(bitrate.crf, null);
+});
+
+test("normalizeEncoding reports invalid settings under the given path", () => {
+  assert.throws(() => normalizeEncoding("cinema"), /^Error: encoding\.profile: unknown profile 'cinema'/);
+  assert.throws(() => normalizeEncoding({ encoder: "libaom-av1" }), /encoding\.encoder: unknown encoder/);
+  assert.throws(() => normalizeEncoding({ fps: 0 }), /encoding\.fps: must be greater than 0/);
+  assert.throws(() => normalizeEncoding({ crf: 60 }), /encoding\.crf: must be between 0 and 51/);
+  assert.throws(() => normalizeEncoding({ bitrate: "fast" }), /encoding\.bitrate: must be bits per second/);
+  assert.throws(() => normalizeEncoding({ preset: "ludicrous" }), /encoding\.preset: must be one of/);
+  assert.throws(() => normalizeEncoding({ maxFileSize: "big" }), /encoding\.maxFileSize: must be bytes/);
+  assert.throws(() => normalizeEncoding({ encoder: "h264_nvenc", bitrate: "2M", twoPass: true }), /twoPass: is only supported with libx264 and libx265/);
+  assert.throws(() => normalizeEncoding({ twoPass: true }), /twoPass: needs a bitrate or maxFileSize/);
+  assert.throws(() => normalizeEncoding({ fps: 300 }, "renditions[1].encoding"), /^Error: renditions\[1\]\.encoding\.fps:/);
+});
+
+test("targetVideoBitrate fits video and audio into maxFileSize", () => {
+  const encoding = normalizeEncoding({ maxFileSize: "10MB" });
+  // 10 MiB over 60s, 2% container overhead, minus 192k audio
+  assert.equal(targetVideoBitrate(encoding, 60), Math.floor((10 * 1024 * 1024 * 8 * 0.98) / 60) - 192000);
+  // a configured bitrate that already fits is kept
+  assert.equal(targetVideoBitrate(normalizeEncoding("twitter"), 60), 5000000);
+  assert.equal(targetVideoBitrate(normalizeEncoding("standard"), 60), null);
+  assert.throws(() => targetVideoBitrate(encoding, 3600), /encoding\.maxFileSize: 10485760 bytes is too small for a 3600s video/);
+});
+
+test("buildEncoderOptions uses CRF with x264 and tunes still images", () => {
+  assert.deepEqual(buildEncoderOptions(normalizeEncoding("standard"), { stillImage: true }), [
+    "-c:v libx264", "-preset veryfast", "-tune stillimage", "-crf 23", "-r 30", "-g 60", "-pix_fmt yuv420p",
+  ]);
+});
+
+test("buildEncoderOptions caps bitrate encodes, except in two-pass runs", () => {
+  assert.deepEqual(buildEncoderOptions(normalizeEncoding("tiktok")), [
+    "-c:v libx264", "-preset medium", "-b:v 4000k", "-maxrate 6000k", "-bufsize 8000k", "-r 30", "-g 60", "-pix_fmt yuv420p",
+  ]);
+  const twoPass = normalizeEncoding({ encoder: "libx265", bitrate: "2M", twoPass: true });
+  assert.deepEqual(buildEncoderOptions(twoPass, { pass: 1, passLogFile: "/tmp/job/pass" }), [
+    "-c:v libx265", "-preset ultrafast", "-b:v 2000k", "-x265-params pass=1:stats=/tmp/job/pass.log", "-tag:v hvc1", "-r 24", "-g 240", "-pix_fmt yuv420p",
+  ]);
+  assert.ok(buildEncoderOptions(normalizeEncoding({ bitrate: "1M", twoPass: true }), { pass: 2, passLogFile: "p" }).includes("-pass 2"));
+});
+
+test("buildEncoderOptions maps quality and presets for hardware encoders", () => {
+  assert.deepEqual(buildEncoderOptions(normalizeEncoding({ profile: "high", encoder: "h264_nvenc" })), [
+    "-c:v h264_nvenc", "-preset p6", "-rc vbr", "-cq 18", "-b:v 0", "-r 30", "-g 60", "-pix_fmt yuv420p",
+  ]);
+  const qsv = buildEncoderOptions(normalizeEncoding({ profile: "standard", encoder: "h264_qsv" }));
+  assert.ok(qsv.includes("-global_quality 23") && qsv.includes("-pix_fmt nv12"));
+  assert.ok(buildEncoderOptions(normalizeEncoding({ encoder: "hevc_videotoolbox" })).includes("-q:v 66"));
+});
+
+test("normalizeEncoding refuses encoders the installed ffmpeg lacks", () => {
+  setAvailableEncoders(["libx264"]);
+  assert.doesNotThrow(() => normalizeEncoding("standard"));
+  assert.throws(() => normalizeEncoding({ encoder: "libx265" }), /encoding\.encoder: encoder 'libx265' is not available in the installed ffmpeg \(available: libx264\)/);
+});
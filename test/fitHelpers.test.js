@@ -0,0 +1,49 @@
+// test/fitHelpers.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { normalizeFit, buildFitFilter, normalizeColor } from "../lib/fitHelpers.js";
+
+test("normalizeFit accepts mode strings and objects with defaults", () => {
+  assert.equal(normalizeFit(null), null);
+  assert.deepEqual(normalizeFit("Cover"), { mode: "cover", color: null, blur: null });
+  assert.deepEqual(normalizeFit("blur-fill"), { mode: "blur-fill", color: null, blur: 20 });
+  assert.deepEqual(normalizeFit({ mode: "color-fill" }), { mode: "color-fill", color: "black", blur: null });
+  assert.deepEqual(normalizeFit({ mode: "color-fill", color: "#ff8800" }), { mode: "color-fill", color: "0xFF8800", blur: null });
+  assert.deepEqual(normalizeFit({ mode: "blur-fill", blur: "8" }), { mode: "blur-fill", color: null, blur: 8 });
+});
+
+test("normalizeFit rejects unknown modes, colours and blur radii", () => {
+  assert.throws(() => normalizeFit("stretch"), /unknown fit 'stretch'/);
+  assert.throws(() => normalizeFit({ mode: "color-fill", color: "#12345" }), /invalid colour '#12345'/);
+  assert.throws(() => normalizeFit({ mode: "blur-fill", blur: 0 }), /blur must be a number >= 1/);
+});
+
+test("normalizeColor normalises hex colours and names", () => {
+  assert.equal(normalizeColor("0x112233aa"), "0x112233AA");
+  assert.equal(normalizeColor(" White "), "white");
+  assert.throws(() => normalizeColor("rgb(0,0,0)"), /invalid colour/);
+});
+
+test("buildFitFilter letterboxes by default and never upscales known images", () => {
+  assert.equal(buildFitFilter(null, { width: 1280, height: 720 }),
+    "scale=1280:720:force_original_aspect_ratio=decrease,pad=1280:720:(ow-iw)/2:(oh-ih)/2,setsar=1");
+  assert.equal(buildFitFilter(normalizeFit({ mode: "color-fill", color: "#112233" }), { width: 1280, height: 720, dims: { w: 640, h: 640 } }),
+    "scale=640:640,pad=1280:720:(ow-iw)/2:(oh-ih)/2:color=0x112233,setsar=1");
+});
+
+test("buildFitFilter crops to fill the frame for cover", () => {
+  assert.equal(buildFitFilter("cover", { width: 1280, height: 720, dims: { w: 1000, h: 1000 } }),
+    "scale=1280:1280,crop=1280:720:(iw-ow)/2:(ih-oh)/2,setsar=1");
+});
+
+test("buildFitFilter blurs a cover copy behind the image for blur-fill", () => {
+  assert.equal(buildFitFilter("blur-fill", { width: 720, height: 1280, dims: { w: 1920, h: 1080 }, label: "s0" }), [
+    "split=2[s0bg][s0fg]",
+    "[s0bg]scale=2276:1280,crop=720:1280:(iw-ow)/2:(ih-oh)/2,boxblur=20:1[s0bgb]",
+    "[s0fg]scale=720:405[s0fgs]",
+    "[s0bgb][s0fgs]overlay=(W-w)/2:(H-h)/2,setsar=1",
+  ].join(";"));
+  // nothing to fill when the aspect ratios already match
+  assert.equal(buildFitFilter("blur-fill", { width: 1280, height: 720, dims: { w: 1920, h: 1080 } }),
+    "scale=1280:720,crop=1280:720:(iw-ow)/2:(ih-oh)/2,setsar=1");
+});
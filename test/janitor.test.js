@@ -0,0 +1,75 @@
+// test/janitor.test.js
+import { test, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtemp, mkdir, rm, writeFile, utimes, readdir } from "fs/promises";
+import { tmpdir } from "os";
+import { join } from "path";
+import { sweepTempRoot } from "../lib/janitor.js";
+
+const HOUR_MS = 60 * 60 * 1000;
+let tempRoot;
+
+beforeEach(async () => {
+  tempRoot = await mkdtemp(join(tmpdir(), "janitor-"));
+});
+afterEach(() => rm(tempRoot, { recursive: true, force: true }));
+
+// a session dir holding `bytes` bytes, last modified `ageMs` ago
+async function sessionDir(name, { bytes = 10, ageMs = 0 } = {}) {
+  const dir = join(tempRoot, name);
+  await mkdir(join(dir, "nested"), { recursive: true });
+  await writeFile(join(dir, "nested", "file.bin"), Buffer.alloc(bytes));
+  const time = new Date(Date.now() - ageMs);
+  await utimes(dir, time, time);
+  return dir;
+}
+
+const remaining = async () => (await readdir(tempRoot)).sort();
+
+test("sweepTempRoot removes orphans older than the TTL", async () => {
+  const old = await sessionDir("old", { ageMs: 2 * HOUR_MS });
+  await sessionDir("fresh", { ageMs: 0 });
+
+  const result = await sweepTempRoot({ tempRoot, activeDirs: () => [], ttlMs: HOUR_MS, maxBytes: 0 });
+  assert.deepEqual(result.removed, [old]);
+  assert.equal(result.freedBytes, 10);
+  assert.equal(result.bytes, 10);
+  assert.deepEqual(await remaining(), ["fresh"]);
+});
+
+test("sweepTempRoot never touches active session dirs or the download cache", async () => {
+  const active = await sessionDir("active", { ageMs: 5 * HOUR_MS });
+  await sessionDir("cache", { ageMs: 5 * HOUR_MS });
+
+  const result = await sweepTempRoot({ tempRoot, activeDirs: () => [active], ttlMs: HOUR_MS, maxBytes: 0 });
+  assert.deepEqual(result.removed, []);
+  assert.deepEqual(await remaining(), ["active", "cache"]);
+});
+
+test("sweepTempRoot removes the oldest orphans while over the size ceiling", async (t) => {
+  t.mock.method(console, "warn", () => {});
+  await sessionDir("oldest", { bytes: 400, ageMs: 30 * 60 * 1000 });
+  await sessionDir("older", { bytes: 400, ageMs: 20 * 60 * 1000 });
+  await sessionDir("newest", { bytes: 400, ageMs: 10 * 60 * 1000 });
+
+  const result = await sweepTempRoot({ tempRoot, activeDirs: () => [], ttlMs: HOUR_MS, maxBytes: 1000 });
+  assert.equal(result.removed.length, 1);
+  assert.equal(result.bytes, 800);
+  assert.deepEqual(await remaining(), ["newest", "older"]);
+});
+
+test("sweepTempRoot warns when running jobs alone exceed the ceiling", async (t) => {
+  const warn = t.mock.method(console, "warn", () => {});
+  const active = await sessionDir("active", { bytes: 2000 });
+  await sessionDir("orphan", { bytes: 100 });
+
+  const result = await sweepTempRoot({ tempRoot, activeDirs: () => [active], ttlMs: HOUR_MS, maxBytes: 1000 });
+  assert.deepEqual(await remaining(), ["active"]);
+  assert.equal(result.bytes, 2000);
+  assert.equal(warn.mock.callCount(), 1);
+});
+
+test("sweepTempRoot copes with a missing temp root", async () => {
+  const result = await sweepTempRoot({ tempRoot: join(tempRoot, "missing"), activeDirs: () => [] });
+  assert.deepEqual(result, { removed: [], freedBytes: 0, bytes: 0 });
+});
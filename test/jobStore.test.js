@@ -0,0 +1,107 @@
+// test/jobStore.test.js
+import { test, beforeEach, after } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtemp, rm, readFile, appendFile, stat } from "fs/promises";
+import { tmpdir } from "os";
+import { join } from "path";
+import { createJobStore } from "../lib/jobStore.js";
+
+const root = await mkdtemp(join(tmpdir(), "job-store-"));
+let path;
+let n = 0;
+beforeEach(() => {
+  path = join(root, `jobs-${++n}.jsonl`);
+});
+after(() => rm(root, { recursive: true, force: true }));
+
+const lines = async () => (await readFile(path, "utf8")).split("\n").filter(Boolean).map((line) => JSON.parse(line));
+
+const newJob = (jobId, extra = {}) => ({
+  jobId,
+  status: "queued",
+  stage: "queued",
+  request: { jobId, segments: [{ imageUrl: "https://example.com/a.png", duration: 2 }], callbackHeaders: { Authorization: "Bearer secret" } },
+  createdAt: new Date().toISOString(),
+  ...extra,
+});
+
+test("a job is written in full once, then only its changed fields", async () => {
+  const store = createJobStore(path);
+  store.load();
+  const job = newJob("a");
+  store.save(job);
+  store.save(job, { status: "running", stage: "downloading" });
+  store.save(job, { checkpoint: { sessionDir: "/tmp/a" } });
+
+  const [full, ...diffs] = await lines();
+  assert.equal(full.jobId, "a");
+  assert.equal(full.request.segments.length, 1);
+  assert.deepEqual(diffs, [
+    { jobId: "a", set: { status: "running", stage: "downloading" } },
+    { jobId: "a", set: { checkpoint: { sessionDir: "/tmp/a" } } },
+  ]);
+});
+
+test("progress and callback headers are never written", async () => {
+  const store = createJobStore(path);
+  store.load();
+  const job = newJob("a", { progress: { percent: 10 } });
+  store.save(job);
+  store.save(job, { progress: { percent: 50 }, stage: "rendering" });
+
+  const content = await readFile(path, "utf8");
+  assert.equal(content.includes("Bearer secret"), false);
+  assert.equal(content.includes("percent"), false);
+  // the job itself keeps them
+  assert.deepEqual(job.request.callbackHeaders, { Authorization: "Bearer secret" });
+});
+
+test("load replays full records, changes and removals", async () => {
+  const store = createJobStore(path);
+  store.load();
+  const a = newJob("a");
+  const b = newJob("b");
+  store.save(a);
+  store.save(b);
+  store.save(a, { status: "succeeded", result: { url: "https://example.com/a.mp4" } });
+  store.remove("b");
+  // a job saved in full again (a new job with the same id) replaces the old record
+  store.save(newJob("c"));
+  store.save(newJob("c", { stage: "downloading" }));
+
+  const records = createJobStore(path).load();
+  assert.deepEqual(records.map((r) => r.jobId), ["a", "c"]);
+  assert.equal(records[0].status, "succeeded");
+  assert.deepEqual(records[0].result, { url: "https://example.com/a.mp4" });
+  assert.equal(records[0].request.callbackHeaders, undefined);
+  assert.equal(records[1].stage, "downloading");
+  // load compacts to one line per job
+  assert.deepEqual((await lines()).map((r) => r.jobId), ["a", "c"]);
+});
+
+test("load skips a torn last line and changes of unknown jobs", async () => {
+  const store = createJobStore(path);
+  store.load();
+  store.save(newJob("a"));
+  await appendFile(path, `${JSON.stringify({ jobId: "ghost", set: { status: "running" } })}\n{"jobId":"a","set":{"sta`);
+
+  const records = createJobStore(path).load();
+  assert.equal(records.length, 1);
+  assert.equal(records[0].status, "queued");
+});
+
+test("the log is compacted once stale lines make up most of it", async () => {
+  const store = createJobStore(path);
+  store.load();
+  const job = newJob("a");
+  store.save(job);
+  // about 2 MiB of changes to one small job
+  const note = "x".repeat(2000);
+  for (let i = 0; i < 1000; i++) store.save(job, { stage: `step-${i}`, note });
+
+  assert.ok((await stat(path)).size < 1024 * 1024);
+  const records = createJobStore(path).load();
+  assert.equal(records.length, 1);
+  assert.equal(records[0].stage, "step-999");
+  assert.equal(records[0].request.jobId, "a");
+});
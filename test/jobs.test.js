@@ -0,0 +1,112 @@
+// test/jobs.test.js
+import { test, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { createJob, getJob, setJobStage, subscribeJob, toPublicJob, createJobQueue } from "../lib/jobs.js";
+
+beforeEach((t) => {
+  t.mock.method(console, "log", () => {});
+});
+
+let n = 0;
+const newJob = () => createJob(`job-${++n}`, { segments: [] });
+
+// worker whose jobs finish when the test says so; they reject once their signal aborts
+function controlledWorker() {
+  const started = [];
+  const finishers = new Map();
+  const worker = (job, { signal }) => new Promise((resolve, reject) => {
+    started.push(job.jobId);
+    finishers.set(job.jobId, { resolve, reject });
+    signal.addEventListener("abort", () => reject(signal.reason), { once: true });
+  });
+  return { worker, started, finish: (job, result) => finishers.get(job.jobId).resolve(result), fail: (job, err) => finishers.get(job.jobId).reject(err) };
+}
+
+const tick = () => new Promise((resolve) => setImmediate(resolve));
+
+test("jobs wait for a free slot and report their status", async () => {
+  const { worker, started, finish } = controlledWorker();
+  const queue = createJobQueue({ concurrency: 1, worker });
+  const [a, b] = [newJob(), newJob()];
+  const done = [queue.enqueue(a), queue.enqueue(b)];
+  await tick();
+
+  assert.deepEqual(started, [a.jobId]);
+  assert.deepEqual(queue.stats(), { concurrency: 1, active: 1, pending: 1 });
+  assert.equal(getJob(a.jobId).status, "running");
+  assert.equal(toPublicJob(b).status, "queued");
+  assert.equal(queue.whenDone(a), done[0]);
+
+  setJobStage(a, "rendering");
+  finish(a, { videoUrl: "https://example.com/a.mp4" });
+  assert.deepEqual(await done[0], { videoUrl: "https://example.com/a.mp4" });
+  const view = toPublicJob(a);
+  assert.deepEqual([view.status, view.stage, view.videoUrl], ["succeeded", "done", "https://example.com/a.mp4"]);
+  assert.ok(view.startedAt && view.finishedAt);
+  assert.equal(queue.whenDone(a), null);
+
+  await tick();
+  assert.deepEqual(started, [a.jobId, b.jobId]);
+  finish(b, {});
+  await done[1];
+});
+
+test("a failed job keeps the stage it failed in and hides internal errors in production", async (t) => {
+  const { worker, fail } = controlledWorker();
+  const queue = createJobQueue({ concurrency: 1, worker });
+  const job = newJob();
+  const done = queue.enqueue(job);
+  await tick();
+  setJobStage(job, "downloading");
+  fail(job, new Error("connect ECONNREFUSED 10.0.0.1:80"));
+  await assert.rejects(done, /ECONNREFUSED/);
+
+  assert.deepEqual(toPublicJob(job).error, { stage: "downloading", message: "connect ECONNREFUSED 10.0.0.1:80" });
+  const env = process.env.NODE_ENV;
+  process.env.NODE_ENV = "production";
+  t.after(() => (env === undefined ? delete process.env.NODE_ENV : (process.env.NODE_ENV = env)));
+  assert.deepEqual(toPublicJob(job).error, { stage: "downloading", message: "Internal server error" });
+});
+
+test("a queued job that is cancelled never starts", async () => {
+  const { worker, started, finish } = controlledWorker();
+  const finished = [];
+  const queue = createJobQueue({ concurrency: 1, worker, onFinish: (job) => finished.push(job.jobId) });
+  const [a, b] = [newJob(), newJob()];
+  const done = [queue.enqueue(a), queue.enqueue(b)];
+  const events = [];
+  subscribeJob(b.jobId, (event) => events.push(event.type));
+
+  assert.equal(queue.cancel(b, "not needed"), true);
+  assert.equal(b.status, "cancelled");
+  assert.deepEqual(toPublicJob(b).error, { stage: "queued", message: "Job cancelled: not needed", code: "JOB_CANCELLED" });
+  assert.deepEqual(events, ["cancelled"]);
+
+  finish(a, {});
+  await done[0];
+  await assert.rejects(done[1], { code: "JOB_CANCELLED" });
+  assert.deepEqual(started, [a.jobId]);
+  // a finished job can't be cancelled any more
+  assert.equal(queue.cancel(a), false);
+  await tick();
+  assert.deepEqual(finished.sort(), [a.jobId, b.jobId].sort());
+});
+
+test("cancelling a running job aborts its signal and frees its slot", async () => {
+  const { worker, started, finish } = controlledWorker();
+  const queue = createJobQueue({ concurrency: 1, worker });
+  const [a, b] = [newJob(), newJob()];
+  const done = [queue.enqueue(a), queue.enqueue(b)];
+  await tick();
+  setJobStage(a, "rendering");
+
+  assert.equal(queue.cancel(a), true);
+  await assert.rejects(done[0], { code: "JOB_CANCELLED", status: 409 });
+  assert.deepEqual([a.status, a.error.stage, a.error.message], ["cancelled", "rendering", "Job cancelled"]);
+
+  await tick();
+  assert.deepEqual(started, [a.jobId, b.jobId]);
+  finish(b, {});
+  await done[1];
+  assert.equal(b.status, "succeeded");
+});
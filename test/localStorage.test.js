@@ -0,0 +1,66 @@
+// test/localStorage.test.js
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtemp, rm, writeFile, readFile, access } from "fs/promises";
+import { tmpdir } from "os";
+import { join } from "path";
+
+const root = await mkdtemp(join(tmpdir(), "local-storage-"));
+process.env.STORAGE_LOCAL_DIR = join(root, "storage");
+process.env.STORAGE_PUBLIC_BASE_URL = "https://cdn.example.com/files";
+const { createLocalStorage } = await import("../lib/storage/local.js");
+const { normalizeStorageOption } = await import("../lib/storage/index.js");
+
+after(() => rm(root, { recursive: true, force: true }));
+
+const source = join(root, "video.mp4");
+await writeFile(source, "not really a video");
+const exists = (path) => access(path).then(() => true, () => false);
+
+test("uploads land in the bucket directory and can be deleted", async () => {
+  const storage = createLocalStorage({ bucket: "lessons" });
+  const { url, key } = await storage.upload(source, "keys/acme/job-1.mp4");
+  assert.equal(key, "keys/acme/job-1.mp4");
+  assert.equal(url, "https://cdn.example.com/files/lessons/keys/acme/job-1.mp4");
+  assert.equal(await readFile(join(root, "storage", "lessons", "keys", "acme", "job-1.mp4"), "utf8"), "not really a video");
+  assert.equal(await storage.exists("keys/acme/job-1.mp4"), true);
+  assert.equal(await storage.delete("keys/acme/job-1.mp4"), true);
+  assert.equal(await storage.exists("keys/acme/job-1.mp4"), false);
+});
+
+test("signed URLs carry an expiry and a signature", async () => {
+  const url = new URL(await createLocalStorage({ bucket: "lessons" }).getUrl("a.mp4", { signed: true, expiresIn: 60 }));
+  assert.equal(url.pathname, "/files/lessons/a.mp4");
+  assert.ok(Number(url.searchParams.get("expires")) > Date.now() / 1000);
+  assert.match(url.searchParams.get("signature"), /^[0-9a-f]{64}$/);
+});
+
+test("uploads return signed URLs while only signed URLs are served", async (t) => {
+  process.env.STORAGE_LOCAL_REQUIRE_SIGNED = "true";
+  t.after(() => delete process.env.STORAGE_LOCAL_REQUIRE_SIGNED);
+  const storage = createLocalStorage({ bucket: "lessons" });
+  const url = new URL((await storage.upload(source, "job-2.mp4")).url);
+  assert.equal(url.pathname, "/files/lessons/job-2.mp4");
+  assert.match(url.searchParams.get("signature"), /^[0-9a-f]{64}$/);
+});
+
+test("keys may not escape their bucket", async () => {
+  const storage = createLocalStorage({ bucket: "lessons" });
+  await assert.rejects(storage.upload(source, "../other/x.mp4"), /Invalid storage key/);
+  assert.equal(await storage.exists("../../video.mp4"), false);
+});
+
+test("buckets may not escape the storage root", async () => {
+  const storage = createLocalStorage({ bucket: "../.." });
+  await assert.rejects(storage.upload(source, "escaped.mp4"), /Invalid storage bucket/);
+  assert.equal(await exists(join(root, "..", "escaped.mp4")), false);
+  assert.equal(await storage.exists("video.mp4"), false);
+});
+
+test("normalizeStorageOption rejects unknown backends and unsafe bucket names", () => {
+  assert.deepEqual(normalizeStorageOption({ backend: "LOCAL", bucket: "team-a_1" }), { backend: "local", bucket: "team-a_1" });
+  assert.deepEqual(normalizeStorageOption("s3"), { backend: "s3", bucket: null });
+  assert.throws(() => normalizeStorageOption("ftp"), /unknown storage backend 'ftp'/);
+  assert.throws(() => normalizeStorageOption({ backend: "local", bucket: "../x" }), /^Error: storage\.bucket: invalid bucket name/);
+  assert.throws(() => normalizeStorageOption({ backend: "local", bucket: "a/b" }), /invalid bucket name/);
+});
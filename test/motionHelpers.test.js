@@ -0,0 +1,47 @@
+// test/motionHelpers.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { normalizeMotion, buildMotionFilter } from "../lib/motionHelpers.js";
+
+test("normalizeMotion turns presets into start and end focus", () => {
+  assert.equal(normalizeMotion(null), null);
+  assert.equal(normalizeMotion("none"), null);
+  assert.deepEqual(normalizeMotion("zoom-in"), {
+    type: "zoom-in",
+    easing: "linear",
+    from: { cx: 0.5, cy: 0.5, size: 1 },
+    to: { cx: 0.5, cy: 0.5, size: 1 / 1.2 },
+  });
+  const pan = normalizeMotion({ type: "Pan-Right", zoom: 2, easing: "ease-in-out" });
+  assert.deepEqual([pan.from, pan.to], [{ cx: 0.25, cy: 0.5, size: 0.5 }, { cx: 0.75, cy: 0.5, size: 0.5 }]);
+  assert.equal(pan.easing, "ease-in-out");
+});
+
+test("focal rectangles make a custom move and override presets", () => {
+  const custom = normalizeMotion({ from: { x: 0, y: 0, w: 0.5 }, to: { x: 0.5, y: 0.5, w: 0.5, h: 0.5 } });
+  assert.equal(custom.type, "custom");
+  assert.deepEqual([custom.from, custom.to], [{ cx: 0.25, cy: 0.25, size: 0.5 }, { cx: 0.75, cy: 0.75, size: 0.5 }]);
+  assert.deepEqual(normalizeMotion({ type: "zoom-out", to: { w: 0.8 } }).to, { cx: 0.5, cy: 0.5, size: 0.8 });
+});
+
+test("normalizeMotion rejects unknown types and easings", () => {
+  assert.throws(() => normalizeMotion("spin"), /unknown motion type 'spin'/);
+  assert.throws(() => normalizeMotion({ type: "zoom-in", easing: "bounce" }), /unknown motion easing 'bounce'/);
+});
+
+test("buildMotionFilter interpolates the zoom over the segment's frames", () => {
+  assert.equal(buildMotionFilter(normalizeMotion({ type: "zoom-in", zoom: 2 }), { width: 640, height: 360, duration: 2, fps: 25 }), [
+    "scale=1280:720",
+    "zoompan=z='(1+(1)*min(on/49,1))':x='max(0,min(iw-iw/zoom,0.5*iw-iw/zoom/2))':y='max(0,min(ih-ih/zoom,0.5*ih-ih/zoom/2))':d=1:s=640x360:fps=25",
+    "setsar=1",
+  ].join(","));
+});
+
+test("easing curves shape the progress expression", () => {
+  const filter = (easing) => buildMotionFilter(normalizeMotion({ type: "pan-left", easing }), { width: 100, height: 100, duration: 1, fps: 10 });
+  assert.match(filter("ease-in"), /\(min\(on\/9,1\)\*min\(on\/9,1\)\)/);
+  assert.match(filter("ease-out"), /\(1-\(1-min\(on\/9,1\)\)\*\(1-min\(on\/9,1\)\)\)/);
+  assert.match(filter("ease-in-out"), /\(\(1-cos\(PI\*min\(on\/9,1\)\)\)\/2\)/);
+  // a pan keeps its zoom constant
+  assert.match(filter("linear"), /zoompan=z='1\.2':/);
+});
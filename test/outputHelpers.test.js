@@ -0,0 +1,43 @@
+// test/outputHelpers.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { normalizeOutputs } from "../lib/outputHelpers.js";
+import { setAvailableEncoders } from "../lib/encoding.js";
+
+test("normalizeOutputs defaults to a single mp4", () => {
+  assert.deepEqual(normalizeOutputs(undefined), [{ format: "mp4" }]);
+  assert.deepEqual(normalizeOutputs(null), [{ format: "mp4" }]);
+});
+
+test("normalizeOutputs accepts format names and fills in defaults", () => {
+  assert.deepEqual(normalizeOutputs(["MP4", "webm", "gif", "hls"]), [
+    { format: "mp4" },
+    { format: "webm", crf: 32, audioBitrate: "96k" },
+    { format: "gif", start: 0, duration: 3, fps: 10, width: 480 },
+    { format: "hls", segmentDuration: 6 },
+  ]);
+});
+
+test("normalizeOutputs keeps options and clamps them to sane minimums", () => {
+  assert.deepEqual(normalizeOutputs([{ format: "webp", start: -2, duration: 0, fps: 0, width: 8 }]), [
+    { format: "webp", start: 0, duration: 0.1, fps: 1, width: 16 },
+  ]);
+  assert.deepEqual(normalizeOutputs([{ format: "webm", crf: "28", audioBitrate: "128k" }]), [
+    { format: "webm", crf: 28, audioBitrate: "128k" },
+  ]);
+  assert.deepEqual(normalizeOutputs([{ format: "hls", segmentDuration: 0.2 }]), [{ format: "hls", segmentDuration: 1 }]);
+});
+
+test("normalizeOutputs rejects empty lists, unknown formats and duplicates", () => {
+  assert.throws(() => normalizeOutputs([]), /non-empty array/);
+  assert.throws(() => normalizeOutputs("mp4"), /non-empty array/);
+  assert.throws(() => normalizeOutputs(["mp4", "avi"]), /^Error: outputs\[1\]: unknown format 'avi'/);
+  assert.throws(() => normalizeOutputs(["mp4", { format: "MP4" }]), /outputs\[1\]: format 'mp4' requested more than once/);
+});
+
+test("normalizeOutputs refuses formats whose encoder ffmpeg lacks", () => {
+  setAvailableEncoders(["libx264", "aac"]);
+  assert.deepEqual(normalizeOutputs(["mp4", "gif"]).map((o) => o.format), ["mp4", "gif"]);
+  assert.throws(() => normalizeOutputs(["webm"]), /outputs\[0\]: encoder 'libvpx-vp9' is not available/);
+  assert.throws(() => normalizeOutputs(["mp4", "webp"]), /outputs\[1\]: encoder 'libwebp' is not available/);
+});
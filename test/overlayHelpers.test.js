@@ -0,0 +1,61 @@
+// test/overlayHelpers.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { normalizeOverlays, normalizeLowerThird, layoutLowerThird, buildOverlayFilters } from "../lib/overlayHelpers.js";
+
+const FRAME = { width: 1280, height: 720 };
+
+test("normalizeOverlays accepts URLs and checks positions and time ranges", () => {
+  assert.deepEqual(normalizeOverlays(null), []);
+  assert.deepEqual(normalizeOverlays("https://example.com/logo.png"), [
+    { url: "https://example.com/logo.png", position: "top-right", margin: 24, opacity: 1, scale: 0.15, start: null, end: null },
+  ]);
+  assert.throws(() => normalizeOverlays([{ url: "x" }, { url: "y", position: "middle" }]), /overlays\[1\]\.position: must be one of/);
+  assert.throws(() => normalizeOverlays({ url: "x", start: 5, end: 5 }), /overlays\[0\]\.end: must be greater than start \(5\)/);
+  assert.throws(() => normalizeOverlays({ url: "x", opacity: 0 }), /overlays\[0\]\.opacity/);
+});
+
+test("a watermark without a time range shows for the whole video", () => {
+  const overlays = normalizeOverlays({ url: "x", position: "bottom-left", opacity: 0.5 });
+  assert.deepEqual(buildOverlayFilters({ overlays, inputs: [3], videoLabel: "[v]", outLabel: "vout", ...FRAME }), {
+    filters: [
+      "[3:v]scale=192:-1,format=rgba,colorchannelmixer=aa=0.5[wm0]",
+      "[v][wm0]overlay=x=24:y=H-h-24[vout]",
+    ],
+    label: "[vout]",
+  });
+});
+
+test("time ranges become enable expressions chained over the video", () => {
+  const overlays = normalizeOverlays([{ url: "a", start: 2 }, { url: "b", start: 1, end: 4, position: "center", margin: 48 }]);
+  const { filters, label } = buildOverlayFilters({ overlays, inputs: [1, 2], videoLabel: "[v]", outLabel: "vout", width: 720, height: 1280 });
+  assert.deepEqual(filters.filter((f) => f.includes("overlay=")), [
+    "[v][wm0]overlay=x=W-w-24:y=24:enable='gte(t,2)'[vout0]",
+    "[vout0][wm1]overlay=x=(W-w)/2:y=(H-h)/2:enable='between(t,1,4)'[vout]",
+  ]);
+  assert.equal(label, "[vout]");
+});
+
+test("a piece of the timeline only gets the overlays that show during it, shifted to its start", () => {
+  const overlays = normalizeOverlays([{ url: "a", end: 3 }, { url: "b", start: 6, end: 12 }, { url: "c", start: 20 }]);
+  const piece = (offset, duration) => buildOverlayFilters({ overlays, inputs: [1, 2, 3], videoLabel: "[v]", outLabel: "o", ...FRAME, offset, duration })
+    .filters.filter((f) => f.includes("overlay="));
+  // a segment from 0 to 5s: only the first overlay
+  assert.deepEqual(piece(0, 5), ["[v][wm0]overlay=x=W-w-24:y=24:enable='between(t,0,3)'[o]"]);
+  // a segment from 10 to 15s: the second one, already showing, until 2s in
+  assert.deepEqual(piece(10, 5), ["[v][wm0]overlay=x=W-w-24:y=24:enable='between(t,0,2)'[o]"]);
+  // nothing shows from 14 to 18s
+  assert.deepEqual(piece(14, 4), []);
+  assert.deepEqual(buildOverlayFilters({ overlays, inputs: [1, 2, 3], videoLabel: "[v]", outLabel: "o", ...FRAME, offset: 14, duration: 4 }).label, "[v]");
+});
+
+test("lower thirds sit above the subtitles for their time window", () => {
+  const lowerThird = normalizeLowerThird({ text: "Ada Lovelace", subtext: "Analyst", start: 1, duration: 3, boxColor: "#000000AA" }, "segments[0].lowerThird");
+  const lines = layoutLowerThird(lowerThird, FRAME);
+  assert.deepEqual(lines.map(({ text, fontsize, x, y, boxcolor, boxborderw, enable }) => ({ text, fontsize, x, y, boxcolor, boxborderw, enable })), [
+    { text: "Ada Lovelace", fontsize: 32, x: "64", y: 504, boxcolor: "0x000000AA", boxborderw: 11, enable: "between(t,1,4)" },
+    { text: "Analyst", fontsize: 23, x: "64", y: 558, boxcolor: "0x000000AA", boxborderw: 8, enable: "between(t,1,4)" },
+  ]);
+  assert.equal(layoutLowerThird(normalizeLowerThird("Ada", "s"), FRAME)[0].boxcolor, "black@0.6");
+  assert.throws(() => normalizeLowerThird({ subtext: "x" }, "segments[2].lowerThird"), /segments\[2\]\.lowerThird\.text: is required/);
+});
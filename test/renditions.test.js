@@ -0,0 +1,44 @@
+// test/renditions.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { normalizeRenditions } from "../lib/renditions.js";
+
+delete process.env.ENCODING_PROFILE;
+
+test("normalizeRenditions defaults to a single 720p rendition", () => {
+  assert.deepEqual(normalizeRenditions(), [
+    { name: "1280x720", resolution: "1280x720", fit: null, subtitlePosition: null, subtitleStyle: null, encoding: null },
+  ]);
+});
+
+test("normalizeRenditions expands aspect shortcuts and names renditions after them", () => {
+  const renditions = normalizeRenditions(["16:9", "9:16", "1:1", "4:5", "1920x1080"]);
+  assert.deepEqual(renditions.map((r) => [r.name, r.resolution]), [
+    ["16x9", "1280x720"],
+    ["9x16", "720x1280"],
+    ["1x1", "720x720"],
+    ["4x5", "720x900"],
+    ["1920x1080", "1920x1080"],
+  ]);
+});
+
+test("normalizeRenditions keeps per-rendition fit, subtitle position and encoding", () => {
+  const [story] = normalizeRenditions([{ name: "story", resolution: "9:16", fit: "blur-fill", subtitlePosition: "Top", encoding: "high" }]);
+  assert.equal(story.name, "story");
+  assert.equal(story.resolution, "720x1280");
+  assert.deepEqual(story.fit, { mode: "blur-fill", color: null, blur: 20 });
+  assert.equal(story.subtitlePosition, "top");
+  assert.equal(story.encoding.profile, "high");
+});
+
+test("normalizeRenditions reports the failing entry", () => {
+  assert.throws(() => normalizeRenditions([]), /must not be empty/);
+  assert.throws(() => normalizeRenditions("wide"), /^Error: resolution: invalid resolution 'wide'/);
+  assert.throws(() => normalizeRenditions(["16:9", "1281x720"]), /^Error: resolution\[1\]: .*must be even/);
+  assert.throws(() => normalizeRenditions(["8x8"]), /at least 16/);
+  assert.throws(() => normalizeRenditions(["16:9", "1280x720"].map((resolution) => ({ name: "main", resolution }))), /resolution\[1\]: duplicate rendition name 'main'/);
+  assert.throws(() => normalizeRenditions([{ name: "../x", resolution: "16:9" }]), /name '\.\.\/x' may only contain/);
+  assert.throws(() => normalizeRenditions([{ resolution: "16:9", fit: "stretch" }]), /resolution\[0\]: unknown fit 'stretch'/);
+  assert.throws(() => normalizeRenditions([{ resolution: "16:9", subtitlePosition: "left" }]), /unknown subtitlePosition 'left'/);
+  assert.throws(() => normalizeRenditions([{ resolution: "16:9", encoding: { crf: 99 } }]), /resolution\[0\]\.encoding\.crf:/);
+});
@@ -0,0 +1,81 @@
+// test/requestSchema.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { validateSchema } from "../lib/schema.js";
+import { RENDER_REQUEST_SCHEMA } from "../lib/requestSchema.js";
+import { normalizeRenderRequest } from "../lib/renderJob.js";
+
+delete process.env.ENCODING_PROFILE;
+delete process.env.WEBHOOK_SECRET;
+
+const segment = { imageUrl: "https://example.com/a.png", duration: 2 };
+
+// the 422 `errors` of an invalid body
+function fieldErrors(body) {
+  try {
+    normalizeRenderRequest(body);
+  } catch (err) {
+    assert.equal(err.status, 422);
+    return err.errors;
+  }
+  assert.fail("expected the payload to be rejected");
+}
+
+test("a minimal payload passes the schema", () => {
+  assert.deepEqual(validateSchema(RENDER_REQUEST_SCHEMA, { jobId: "a", segments: [segment] }), []);
+});
+
+test("normalizeRenderRequest fills in the defaults", () => {
+  const request = normalizeRenderRequest({ jobId: "a", segments: [segment] });
+  assert.equal(request.jobId, "a");
+  assert.deepEqual(request.renditions.map((r) => r.resolution), ["1280x720"]);
+  assert.equal(request.fit.mode, "contain");
+  assert.equal(request.encoding.profile, "draft");
+  assert.deepEqual(request.outputs, [{ format: "mp4" }]);
+  assert.equal(request.callbackUrl, null);
+  assert.equal(request.dryRun, false);
+});
+
+test("normalizeRenderRequest accepts a one-element array and legacy aliases", () => {
+  const request = normalizeRenderRequest([{ jobId: "a", segments: [{ image_Url: "https://example.com/a.png", length: "3" }] }]);
+  assert.equal(request.segments.length, 1);
+  assert.equal(Number(request.segments[0].duration), 3);
+});
+
+test("every schema violation is listed with its field and segment", () => {
+  assert.deepEqual(fieldErrors({ segments: [] }), [
+    { field: "jobId", message: "is required" },
+    { field: "segments", message: "must have at least 1 item(s)" },
+  ]);
+  const errors = fieldErrors({ jobId: "a", segments: [{ imageUrl: "ftp://example.com/a.png", duration: -1 }, {}] });
+  assert.deepEqual(errors.map((e) => [e.field, e.segment]), [
+    ["segments[0].imageUrl", 0],
+    ["segments[0].duration", 0],
+    ["segments[1]", 1],
+    ["segments[1]", 1],
+  ]);
+});
+
+test("a segment needs a duration unless it can come from its audio", () => {
+  assert.match(fieldErrors({ jobId: "a", segments: [{ imageUrl: segment.imageUrl }] })[0].message, /duration is required/);
+  assert.doesNotThrow(() => normalizeRenderRequest({ jobId: "a", segments: [{ imageUrl: segment.imageUrl, audioUrl: "https://example.com/a.mp3" }] }));
+});
+
+test("storage buckets are limited to a safe alphabet", () => {
+  assert.deepEqual(fieldErrors({ jobId: "a", segments: [segment], storage: { backend: "local", bucket: "../../etc" } }), [
+    { field: "storage.bucket", message: "may only contain letters, digits, '-' and '_'" },
+  ]);
+  assert.equal(normalizeRenderRequest({ jobId: "a", segments: [segment], storage: { backend: "local", bucket: "team_a-1" } }).storage.bucket, "team_a-1");
+});
+
+test("errors of the normalisers are reported under the exact field", () => {
+  assert.deepEqual(fieldErrors({ jobId: "a", segments: [segment], outputs: ["mp4", "mp4"] }), [
+    { field: "outputs[1]", message: "format 'mp4' requested more than once" },
+  ]);
+});
+
+test("callbackUrl is refused while WEBHOOK_SECRET is not set", () => {
+  assert.deepEqual(fieldErrors({ jobId: "a", segments: [segment], callbackUrl: "https://example.com/hook" }), [
+    { field: "callbackUrl", message: "callbacks are disabled on this server (WEBHOOK_SECRET is not set)" },
+  ]);
+});
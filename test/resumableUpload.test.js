@@ -0,0 +1,104 @@
+// test/resumableUpload.test.js
+import { test, before, after, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import http from "http";
+import crypto from "crypto";
+import { mkdtemp, rm, writeFile } from "fs/promises";
+import { tmpdir } from "os";
+import { join } from "path";
+import { tusUpload } from "../lib/resumableUpload.js";
+
+const file = crypto.randomBytes(250);
+let dir;
+let filePath;
+let endpoint;
+let server;
+
+// TUS server that keeps the bytes of one upload; PATCHes for which `failPatch(n)`
+// (n counts from 1) is true answer `failStatus` after storing `keepOnFailure` of their body
+let stored;
+let requests;
+let failPatch;
+let failStatus;
+let keepOnFailure;
+before(async () => {
+  dir = await mkdtemp(join(tmpdir(), "tus-"));
+  filePath = join(dir, "video.mp4");
+  await writeFile(filePath, file);
+
+  server = http.createServer((req, res) => {
+    requests.push(`${req.method} ${req.headers["upload-offset"] ?? ""}`.trim());
+    if (req.method === "POST") {
+      assert.equal(req.headers["upload-length"], "250");
+      assert.equal(req.headers["upload-metadata"], `filename ${Buffer.from("video.mp4").toString("base64")}`);
+      return res.writeHead(201, { Location: "/files/abc" }).end();
+    }
+    if (req.method === "HEAD") return res.writeHead(200, { "Upload-Offset": String(stored.length) }).end();
+    const chunks = [];
+    req.on("data", (chunk) => chunks.push(chunk));
+    req.on("end", () => {
+      const body = Buffer.concat(chunks);
+      if (Number(req.headers["upload-offset"]) !== stored.length) return res.writeHead(409).end();
+      const patches = requests.filter((r) => r.startsWith("PATCH")).length;
+      if (failPatch(patches)) {
+        stored = Buffer.concat([stored, body.subarray(0, body.length * keepOnFailure)]);
+        return res.writeHead(failStatus).end();
+      }
+      stored = Buffer.concat([stored, body]);
+      res.writeHead(204, { "Upload-Offset": String(stored.length) }).end();
+    });
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  endpoint = `http://127.0.0.1:${server.address().port}/files`;
+});
+
+after(async () => {
+  server.close();
+  await rm(dir, { recursive: true, force: true });
+});
+
+beforeEach((t) => {
+  stored = Buffer.alloc(0);
+  requests = [];
+  failPatch = () => false;
+  failStatus = 500;
+  keepOnFailure = 0.5;
+  t.mock.method(console, "error", () => {});
+});
+
+test("the file is sent in chunks and progress is reported", async () => {
+  const progress = [];
+  const result = await tusUpload({ endpoint, filePath, metadata: { filename: "video.mp4" }, chunkSize: 100, onProgress: (p) => progress.push(p.bytesSent) });
+  assert.deepEqual(result, { uploadUrl: `${endpoint}/abc`, size: 250 });
+  assert.deepEqual(stored, file);
+  assert.deepEqual(requests, ["POST", "PATCH 0", "PATCH 100", "PATCH 200"]);
+  assert.deepEqual(progress, [0, 100, 200, 250]);
+});
+
+test("a failed chunk resumes from the offset the server reports", async () => {
+  failPatch = (n) => n === 2;
+  await tusUpload({ endpoint, filePath, metadata: { filename: "video.mp4" }, chunkSize: 100, retryDelay: 1 });
+  assert.deepEqual(stored, file);
+  // the server kept half of the failed chunk, so only the rest is sent again
+  assert.deepEqual(requests, ["POST", "PATCH 0", "PATCH 100", "HEAD", "PATCH 150"]);
+});
+
+test("the upload gives up once a chunk keeps failing", async () => {
+  failPatch = (n) => n > 1;
+  keepOnFailure = 0;
+  await assert.rejects(
+    tusUpload({ endpoint, filePath, metadata: { filename: "video.mp4" }, chunkSize: 100, retries: 2, retryDelay: 1 }),
+    /TUS upload of .*video\.mp4 failed at byte 100 after 3 attempts: TUS chunk 100-200 failed with status 500/,
+  );
+  assert.deepEqual(requests, ["POST", "PATCH 0", "PATCH 100", "HEAD", "PATCH 100", "HEAD", "PATCH 100"]);
+});
+
+test("client errors are not retried", async () => {
+  failPatch = () => true;
+  failStatus = 413;
+  await assert.rejects(
+    tusUpload({ endpoint, filePath, metadata: { filename: "video.mp4" }, chunkSize: 100, retryDelay: 1 }),
+    /TUS chunk 0-100 failed with status 413/,
+  );
+  assert.deepEqual(requests, ["POST", "PATCH 0"]);
+});
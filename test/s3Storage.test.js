@@ -0,0 +1,84 @@
+// test/s3Storage.test.js
+import { test, before, after, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import http from "http";
+import { mkdtemp, rm, writeFile } from "fs/promises";
+import { tmpdir } from "os";
+import { join } from "path";
+import { createS3Storage } from "../lib/storage/s3.js";
+
+// a file just over the default 8MB part size: a full part and a short last one
+const SIZE = 8 * 1024 * 1024 + 1000;
+let dir;
+let filePath;
+let server;
+
+// S3-compatible endpoint (path-style) that answers the multipart upload calls;
+// parts listed in `failParts` fail once with a 500
+let requests;
+let received;
+let failParts;
+before(async () => {
+  dir = await mkdtemp(join(tmpdir(), "s3-"));
+  filePath = join(dir, "video.mp4");
+  await writeFile(filePath, Buffer.alloc(SIZE, 1));
+
+  server = http.createServer((req, res) => {
+    const url = new URL(req.url, "http://localhost");
+    const partNumber = url.searchParams.get("partNumber");
+    const call = url.searchParams.has("uploads") ? "create"
+      : partNumber ? `part ${partNumber}`
+        : req.method === "POST" ? "complete"
+          : req.method === "DELETE" ? "abort" : req.method;
+    requests.push(call);
+    let bytes = 0;
+    req.on("data", (chunk) => (bytes += chunk.length));
+    req.on("end", () => {
+      const xml = (body) => res.writeHead(200, { "Content-Type": "application/xml" }).end(`<?xml version="1.0" encoding="UTF-8"?>${body}`);
+      if (call === "create") return xml("<InitiateMultipartUploadResult><Bucket>videos</Bucket><Key>a.mp4</Key><UploadId>up-1</UploadId></InitiateMultipartUploadResult>");
+      if (call === "complete") return xml("<CompleteMultipartUploadResult><Bucket>videos</Bucket><Key>a.mp4</Key><ETag>\"done\"</ETag></CompleteMultipartUploadResult>");
+      if (partNumber && failParts.delete(partNumber)) {
+        return res.writeHead(500, { "Content-Type": "application/xml" }).end("<Error><Code>InternalError</Code><Message>try again</Message></Error>");
+      }
+      if (partNumber) received.set(partNumber, bytes);
+      res.writeHead(call === "abort" ? 204 : 200, { ETag: `"etag-${partNumber}"` }).end();
+    });
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+
+  Object.assign(process.env, {
+    S3_ENDPOINT: `http://127.0.0.1:${server.address().port}`,
+    S3_ACCESS_KEY_ID: "test",
+    S3_SECRET_ACCESS_KEY: "test",
+    // the SDK's own retries would hide ours
+    AWS_MAX_ATTEMPTS: "1",
+  });
+});
+
+after(async () => {
+  server.close();
+  await rm(dir, { recursive: true, force: true });
+  for (const name of ["S3_ENDPOINT", "S3_ACCESS_KEY_ID", "S3_SECRET_ACCESS_KEY", "AWS_MAX_ATTEMPTS"]) delete process.env[name];
+});
+
+beforeEach((t) => {
+  requests = [];
+  received = new Map();
+  failParts = new Set();
+  t.mock.method(console, "error", () => {});
+});
+
+test("large files go up in parts and report progress per part", async () => {
+  const progress = [];
+  const result = await createS3Storage({ bucket: "videos" }).upload(filePath, "a.mp4", { onProgress: (p) => progress.push(p.bytesSent) });
+  assert.deepEqual(result, { url: `${process.env.S3_ENDPOINT}/videos/a.mp4`, key: "a.mp4" });
+  assert.deepEqual(requests, ["create", "part 1", "part 2", "complete"]);
+  assert.deepEqual(progress, [8 * 1024 * 1024, SIZE]);
+});
+
+test("only the part that failed is sent again", async () => {
+  failParts = new Set(["2"]);
+  await createS3Storage({ bucket: "videos" }).upload(filePath, "a.mp4");
+  assert.deepEqual(requests, ["create", "part 1", "part 2", "part 2", "complete"]);
+  assert.equal(received.size, 2);
+});
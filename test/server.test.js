@@ -0,0 +1,156 @@
+// test/server.test.js
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import http from "http";
+import { spawn } from "child_process";
+import { mkdtemp, mkdir, rm, writeFile } from "fs/promises";
+import { tmpdir } from "os";
+import { join, dirname } from "path";
+import { fileURLToPath } from "url";
+
+const root = join(dirname(fileURLToPath(import.meta.url)), "..");
+let dir;
+let server;
+let base;
+
+// asset origin that holds every request until the test releases it, then answers 404
+const held = [];
+const assets = http.createServer((req, res) => held.push(res));
+const releaseAssets = () => held.splice(0).forEach((res) => res.writeHead(404).end());
+
+const freePort = () => new Promise((resolve) => {
+  const probe = http.createServer().listen(0, "127.0.0.1", () => {
+    const { port } = probe.address();
+    probe.close(() => resolve(port));
+  });
+});
+
+async function until(check) {
+  for (let i = 0; i < 200 && !(await check()); i++) await new Promise((resolve) => setTimeout(resolve, 25));
+  assert.ok(await check());
+}
+
+// a video that finished in an earlier run of the server
+const seededJob = (jobId) => ({
+  jobId,
+  status: "succeeded",
+  stage: "done",
+  owner: null,
+  request: { jobId, segments: [{ imageUrl: "https://example.com/a.png", duration: 2 }], storage: { backend: "local", bucket: null } },
+  result: { url: `http://localhost/files/videos/${jobId}/video.mp4`, duration: 2, files: [{ key: `${jobId}/video.mp4`, url: `http://localhost/files/videos/${jobId}/video.mp4` }] },
+  error: null,
+  createdAt: new Date().toISOString(),
+  finishedAt: new Date().toISOString(),
+  updatedAt: new Date().toISOString(),
+});
+
+before(async () => {
+  dir = await mkdtemp(join(tmpdir(), "server-"));
+  await new Promise((resolve) => assets.listen(0, "127.0.0.1", resolve));
+  await mkdir(join(dir, "storage", "videos", "seeded"), { recursive: true });
+  await writeFile(join(dir, "storage", "videos", "seeded", "video.mp4"), "mp4");
+  await writeFile(join(dir, "jobs.jsonl"), `${JSON.stringify(seededJob("seeded"))}\n`);
+
+  const port = await freePort();
+  base = `http://127.0.0.1:${port}`;
+  // production mode removes the session dirs of failed jobs from temp/
+  const env = { ...process.env, PORT: String(port), NODE_ENV: "production", FFMPEG_ENCODERS: "libx264", JOB_STORE_PATH: join(dir, "jobs.jsonl"), STORAGE_BACKEND: "local", STORAGE_LOCAL_DIR: join(dir, "storage"), DOWNLOAD_ALLOW_PRIVATE_NETWORKS: "true" };
+  for (const name of ["API_KEYS", "API_KEYS_FILE", "SUPABASE_JWT_SECRET"]) delete env[name];
+  server = spawn(process.execPath, ["server.js"], { cwd: root, env, stdio: ["ignore", "pipe", "pipe"] });
+  server.stderr.resume();
+  await new Promise((resolve, reject) => {
+    server.stdout.on("data", (chunk) => chunk.toString().includes("Listening on") && resolve());
+    server.on("exit", (code) => reject(new Error(`server exited with code ${code}`)));
+  });
+});
+
+after(async () => {
+  releaseAssets();
+  assets.close();
+  if (server) {
+    const exited = new Promise((resolve) => server.once("exit", resolve));
+    server.kill();
+    await exited;
+  }
+  await rm(dir, { recursive: true, force: true });
+});
+
+const api = async (method, path, body) => {
+  const res = await fetch(`${base}${path}`, { method, headers: { "Content-Type": "application/json" }, body: body && JSON.stringify(body) });
+  return { status: res.status, body: await res.json() };
+};
+
+const renderRequest = (jobId) => ({ jobId, segments: [{ imageUrl: `http://127.0.0.1:${assets.address().port}/${jobId}.png`, duration: 1 }] });
+
+// the events of an SSE stream, until the server ends it
+function readEvents(path) {
+  return new Promise((resolve, reject) => {
+    http.get(`${base}${path}`, (res) => {
+      if (!/^text\/event-stream/.test(res.headers["content-type"])) return reject(new Error(`not an event stream: ${res.statusCode}`));
+      let text = "";
+      res.setEncoding("utf8");
+      res.on("data", (chunk) => (text += chunk));
+      res.on("end", () => resolve(text.split("\n\n").filter((block) => block.startsWith("event:")).map((block) => {
+        const [event, data] = block.split("\n");
+        return { type: event.slice("event: ".length), data: JSON.parse(data.slice("data: ".length)) };
+      })));
+    }).on("error", reject);
+  });
+}
+
+test("job events stream a status snapshot, then the job's events until it finishes", async () => {
+  const queued = await api("POST", "/generate-video", renderRequest("sse"));
+  assert.equal(queued.status, 202);
+  assert.equal(queued.body.statusUrl, "/jobs/sse");
+  await until(() => held.length === 1);
+
+  const events = readEvents("/jobs/sse/events");
+  // give the stream time to connect before the download fails
+  await new Promise((resolve) => setTimeout(resolve, 200));
+  releaseAssets();
+  const received = await events;
+
+  assert.equal(received[0].type, "status");
+  assert.deepEqual([received[0].data.status, received[0].data.stage], ["running", "downloading"]);
+  const last = received[received.length - 1];
+  assert.equal(last.type, "failed");
+  assert.equal(last.data.error.stage, "downloading");
+
+  // a finished job's stream is just its snapshot and outcome
+  assert.deepEqual((await readEvents("/jobs/sse/events")).map((event) => event.type), ["status", "failed"]);
+  assert.equal((await api("GET", "/jobs/unknown/events")).status, 404);
+});
+
+test("a repeated jobId attaches to the running job, and its video can't be deleted yet", async () => {
+  assert.equal((await api("POST", "/generate-video", renderRequest("twice"))).status, 202);
+  await until(() => held.length === 1);
+
+  const again = await api("POST", "/generate-video", renderRequest("twice"));
+  assert.equal(again.status, 202);
+  assert.deepEqual([again.body.attached, again.body.status], [true, "running"]);
+  // the repeat did not start a second render
+  assert.equal(held.length, 1);
+  assert.equal((await api("POST", "/generate-video", { ...renderRequest("twice"), force: true })).status, 409);
+  assert.equal((await api("DELETE", "/videos/twice")).status, 409);
+
+  releaseAssets();
+  await until(async () => (await api("GET", "/jobs/twice")).body.status === "failed");
+  assert.deepEqual((await api("GET", "/videos/twice")).body, { error: "Video not found", jobId: "twice", status: "failed" });
+});
+
+test("a jobId that already succeeded gets its stored video back, which can be described and deleted", async () => {
+  const reused = await api("POST", "/generate-video", renderRequest("seeded"));
+  assert.equal(reused.status, 200);
+  assert.deepEqual([reused.body.reused, reused.body.status, reused.body.url], [true, "succeeded", "http://localhost/files/videos/seeded/video.mp4"]);
+  assert.equal(held.length, 0);
+
+  const video = await api("GET", "/videos/seeded");
+  assert.equal(video.status, 200);
+  assert.deepEqual(video.body.storage, { backend: "local", bucket: "videos" });
+  assert.deepEqual(video.body.files.map(({ key, exists }) => ({ key, exists })), [{ key: "seeded/video.mp4", exists: true }]);
+
+  assert.deepEqual((await api("DELETE", "/videos/seeded")).body, { jobId: "seeded", deleted: ["seeded/video.mp4"] });
+  // the job is forgotten, so the jobId would render anew
+  assert.equal((await api("GET", "/jobs/seeded")).status, 404);
+  assert.equal((await api("GET", "/videos/seeded")).status, 404);
+});
@@ -0,0 +1,61 @@
+// test/subtitleHelpers.test.js
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtemp, rm, readFile } from "fs/promises";
+import { tmpdir } from "os";
+import { join } from "path";
+import { createSubtitleFile, parseWordTimings, normalizeSubtitleStyle, toForceStyle } from "../lib/subtitleHelpers.js";
+
+const dir = await mkdtemp(join(tmpdir(), "subtitles-"));
+after(() => rm(dir, { recursive: true, force: true }));
+
+test("parseWordTimings accepts durations, word objects and JSON strings", () => {
+  assert.deepEqual(parseWordTimings([0.5, 0.25], "Hello world"), [
+    { word: "Hello", start: 0, end: 0.5 },
+    { word: "world", start: 0.5, end: 0.75 },
+  ]);
+  assert.deepEqual(parseWordTimings('[{"word":"Hi","start":1,"end":1.5},{"text":"there","duration":0.5}]'), [
+    { word: "Hi", start: 1, end: 1.5 },
+    { word: "there", start: 1.5, end: 2 },
+  ]);
+  // entries without a word or with negative lengths are dropped
+  assert.deepEqual(parseWordTimings([{ start: 2, end: 1, word: "x" }, 0.5], "a"), []);
+});
+
+test("normalizeSubtitleStyle converts CSS colours to ASS notation", () => {
+  const style = normalizeSubtitleStyle("FontSize=60,PrimaryColour=#FF8800");
+  assert.equal(style.FontSize, "60");
+  assert.equal(style.PrimaryColour, "&H000088FF");
+  assert.equal(normalizeSubtitleStyle({ BackColour: "#80000000" }).BackColour, "&H7F000000");
+  assert.match(toForceStyle(style), /^FontName=Arial,FontSize=60,PrimaryColour=&H000088FF,/);
+  assert.equal(toForceStyle(style).includes("HighlightColour"), false);
+});
+
+test("plain subtitle text is one cue for the whole segment", async () => {
+  const result = createSubtitleFile({ subtitleText: "Hello {there}" }, dir, 0, 4, null);
+  assert.equal(result.calculatedDuration, null);
+  assert.equal(await readFile(result.srtPath, "utf8"), "1\n00:00:00,000 --> 00:00:04,000\nHello {there}\n");
+  const ass = await readFile(result.assPath, "utf8");
+  assert.match(ass, /PlayResX: 1280\nPlayResY: 720/);
+  assert.match(ass, /Dialogue: 0,0:00:00\.00,0:00:04\.00,Default,,0,0,0,,Hello \\\{there\\\}\n$/);
+});
+
+test("word timings highlight the spoken word and extend a short segment", async () => {
+  const seg = { subtitleText: "one two three", word_duration: [1, 1, 1.5] };
+  const result = createSubtitleFile(seg, dir, 1, 2, { MaxWordsPerLine: 2 }, { resolution: "720x1280" });
+  assert.equal(result.calculatedDuration, 3.5);
+  assert.equal(await readFile(result.srtPath, "utf8"), [
+    "1", "00:00:00,000 --> 00:00:02,000", "one two", "",
+    "2", "00:00:02,000 --> 00:00:03,500", "three", "",
+  ].join("\n"));
+  const dialogue = (await readFile(result.assPath, "utf8")).split("\n").filter((line) => line.startsWith("Dialogue:"));
+  assert.deepEqual(dialogue, [
+    "Dialogue: 0,0:00:00.00,0:00:01.00,Default,,0,0,0,,{\\c&H00D7FF&}one{\\r} two",
+    "Dialogue: 0,0:00:01.00,0:00:02.00,Default,,0,0,0,,one {\\c&H00D7FF&}two{\\r}",
+    "Dialogue: 0,0:00:02.00,0:00:03.50,Default,,0,0,0,,{\\c&H00D7FF&}three{\\r}",
+  ]);
+});
+
+test("segments without any text get no subtitle files", () => {
+  assert.deepEqual(createSubtitleFile({ subtitleText: "  " }, dir, 2, 3, null).subtitlePath, null);
+});
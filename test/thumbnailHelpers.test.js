@@ -0,0 +1,54 @@
+// test/thumbnailHelpers.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { normalizeThumbnails, spriteLayout, buildThumbnailsVtt } from "../lib/thumbnailHelpers.js";
+
+test("normalizeThumbnails turns poster and sprite on by default", () => {
+  assert.deepEqual(normalizeThumbnails(undefined, 3), {
+    poster: { time: null, segment: null },
+    sprite: { interval: 2, width: 160, columns: 10 },
+  });
+  assert.equal(normalizeThumbnails(false, 3), null);
+  assert.equal(normalizeThumbnails({ poster: false, sprite: false }, 3), null);
+  assert.deepEqual(normalizeThumbnails({ poster: 4.5, sprite: { interval: 0.1, width: 99, columns: 0 } }, 3), {
+    poster: { time: 4.5, segment: null },
+    sprite: { interval: 0.5, width: 100, columns: 1 },
+  });
+});
+
+test("normalizeThumbnails validates the poster time and segment", () => {
+  assert.deepEqual(normalizeThumbnails({ poster: { segment: 2 } }, 3).poster, { time: null, segment: 2 });
+  assert.throws(() => normalizeThumbnails({ poster: { segment: 3 } }, 3), /poster.segment must be a segment index between 0 and 2/);
+  assert.throws(() => normalizeThumbnails({ poster: -1 }, 3), /poster.time must be a number of seconds >= 0/);
+});
+
+test("sprite tiles keep the frame's aspect ratio and wrap into rows", () => {
+  const sprite = { interval: 2, width: 160, columns: 4 };
+  assert.deepEqual(spriteLayout(sprite, { resolution: "1280x720", duration: 11 }), { interval: 2, width: 160, height: 90, count: 6, columns: 4, rows: 2 });
+  // portrait frames give tall tiles
+  assert.equal(spriteLayout(sprite, { resolution: "720x1280", duration: 11 }).height, 284);
+  // short videos don't get empty columns
+  assert.equal(spriteLayout(sprite, { resolution: "1280x720", duration: 3 }).columns, 2);
+});
+
+test("long videos get a wider interval instead of more than 200 tiles", () => {
+  const layout = spriteLayout({ interval: 2, width: 160, columns: 10 }, { resolution: "1280x720", duration: 1000 });
+  assert.deepEqual([layout.interval, layout.count, layout.rows], [5, 200, 20]);
+});
+
+test("every VTT cue points at its tile and the last one ends with the video", () => {
+  const layout = spriteLayout({ interval: 2, width: 160, columns: 2 }, { resolution: "1280x720", duration: 5.5 });
+  assert.equal(buildThumbnailsVtt(layout, "job-sprite.jpg", 5.5), [
+    "WEBVTT",
+    "",
+    "00:00:00.000 --> 00:00:02.000",
+    "job-sprite.jpg#xywh=0,0,160,90",
+    "",
+    "00:00:02.000 --> 00:00:04.000",
+    "job-sprite.jpg#xywh=160,0,160,90",
+    "",
+    "00:00:04.000 --> 00:00:05.500",
+    "job-sprite.jpg#xywh=0,90,160,90",
+    "",
+  ].join("\n"));
+});
@@ -0,0 +1,54 @@
+// test/titleCardHelpers.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { normalizeTitleCard, layoutTitleCard, buildTitleBackground } from "../lib/titleCardHelpers.js";
+
+const FRAME = { width: 1280, height: 720 };
+
+test("normalizeTitleCard needs some text and checks its options", () => {
+  const card = normalizeTitleCard({ title: " Intro ", bullets: ["one", "", null] }, "segments[0]");
+  assert.deepEqual([card.title, card.subtitle, card.bullets], ["Intro", "", ["one"]]);
+  assert.deepEqual([card.align, card.verticalAlign, card.stagger], ["center", "middle", 0.25]);
+  assert.deepEqual(card.background, { type: "solid", color: "0x111827" });
+  assert.throws(() => normalizeTitleCard({ title: " " }, "segments[0]"), /segments\[0\]\.title: a title card needs a title, subtitle or bullets/);
+  assert.throws(() => normalizeTitleCard({ title: "x", align: "justify" }, "segments[1]"), /segments\[1\]\.align: must be one of left, center, right/);
+  assert.throws(() => normalizeTitleCard({ title: "x", font: "Nope" }, "segments[1]"), /segments\[1\]\.font: unknown font 'Nope'/);
+});
+
+test("long titles wrap to the frame width and the block is centred", () => {
+  const card = normalizeTitleCard({ title: "The quick brown fox jumps over the lazy dog" }, "segments[0]");
+  const lines = layoutTitleCard(card, FRAME);
+  // 61px title glyphs fit 32 characters between the 102px margins
+  assert.deepEqual(lines.map(({ text, fontsize, x, y }) => ({ text, fontsize, x, y })), [
+    { text: "The quick brown fox jumps over", fontsize: 61, x: "(w-text_w)/2", y: 290 },
+    { text: "the lazy dog", fontsize: 61, x: "(w-text_w)/2", y: 369 },
+  ]);
+  // a narrow frame wraps sooner
+  assert.deepEqual(layoutTitleCard(card, { width: 480, height: 720 }).map((line) => line.text), ["The quick", "brown fox", "jumps over", "the lazy dog"]);
+});
+
+test("align and verticalAlign move the block to the margins", () => {
+  const layout = (options) => layoutTitleCard(normalizeTitleCard({ title: "Title", subtitle: "Sub", ...options }, "s"), FRAME);
+  const top = layout({ align: "left", verticalAlign: "top" });
+  assert.deepEqual(top.map(({ x, y }) => [x, y]), [["102", 72], ["102", 72 + 79 + 13]]);
+  const bottom = layout({ align: "right", verticalAlign: "bottom" });
+  assert.equal(bottom[0].x, "w-text_w-102");
+  // the last line's baseline box ends on the bottom margin
+  assert.equal(bottom[1].y + bottom[1].fontsize, 720 - 72);
+});
+
+test("blocks fade in one after another", () => {
+  const card = normalizeTitleCard({ title: "Title", subtitle: "Sub", bullets: ["a", "b"], fadeIn: 1, stagger: 0.5, color: "#ffffff", titleColor: "red" }, "s");
+  const lines = layoutTitleCard(card, FRAME);
+  assert.deepEqual(lines.map((line) => line.text), ["Title", "Sub", "• a", "• b"]);
+  assert.deepEqual(lines.map((line) => line.alpha), [0, 0.5, 1, 1.5].map((start) => `if(lt(t,${start}),0,min(1,(t-${start})/1))`));
+  assert.deepEqual(lines.map((line) => line.fontcolor), ["red", "0xFFFFFF", "0xFFFFFF", "0xFFFFFF"]);
+});
+
+test("gradient backgrounds are computed on a small frame and scaled up", () => {
+  const solid = normalizeTitleCard({ title: "x", background: "#000000" }, "s");
+  assert.equal(buildTitleBackground(solid, { ...FRAME, fps: 30, duration: 3 }), "color=c=0x000000:s=1280x720:r=30:d=3");
+  const gradient = normalizeTitleCard({ title: "x", background: { from: "#000000", to: "#FF0000" } }, "s");
+  assert.equal(buildTitleBackground(gradient, { ...FRAME, fps: 30, duration: 3 }),
+    "color=c=black:s=64x36:r=30:d=3,format=gbrp,geq=r='0+(255)*Y/35':g='0+(0)*Y/35':b='0+(0)*Y/35',scale=1280:720:flags=bilinear");
+});
@@ -0,0 +1,70 @@
+// test/transitionHelpers.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { buildTimeline, buildJoinFilters, normalizeTransition } from "../lib/transitionHelpers.js";
+
+test("normalizeTransition defaults to a short fade and treats cuts as no transition", () => {
+  assert.deepEqual(normalizeTransition("fade"), { type: "fade", duration: 0.5 });
+  assert.deepEqual(normalizeTransition({ type: "WipeLeft", duration: "1.5" }), { type: "wipeleft", duration: 1.5 });
+  assert.equal(normalizeTransition("cut"), null);
+  assert.equal(normalizeTransition(null), null);
+  assert.throws(() => normalizeTransition("spin"), /unknown transition type 'spin'/);
+  assert.throws(() => normalizeTransition({ type: "fade", duration: 0 }), /positive number/);
+});
+
+test("buildTimeline places hard cuts back to back", () => {
+  const timeline = buildTimeline([{ duration: 2 }, { duration: 3 }, { duration: 1.5 }]);
+  assert.deepEqual(timeline.starts, [0, 2, 5]);
+  assert.equal(timeline.total, 6.5);
+  assert.deepEqual(timeline.transitions, [null, null, null]);
+  assert.equal(timeline.hasTransitions, false);
+});
+
+test("buildTimeline overlaps segments by their transition and shortens the total", () => {
+  const timeline = buildTimeline([
+    { duration: 4 },
+    { duration: 3, transition: { type: "fade", duration: 1 } },
+    { duration: 2 },
+  ]);
+  assert.deepEqual(timeline.starts, [0, 3, 6]);
+  assert.equal(timeline.total, 8);
+  assert.deepEqual(timeline.transitions[1], { type: "fade", duration: 1 });
+  assert.equal(timeline.hasTransitions, true);
+});
+
+test("buildTimeline ignores a transition on the first segment", () => {
+  const timeline = buildTimeline([{ duration: 2, transition: { type: "fade", duration: 1 } }, { duration: 2 }]);
+  assert.deepEqual(timeline.starts, [0, 2]);
+  assert.equal(timeline.hasTransitions, false);
+});
+
+test("buildTimeline clamps transitions to half of the shorter neighbour", (t) => {
+  t.mock.method(console, "warn", () => {});
+  const timeline = buildTimeline([
+    { duration: 4 },
+    { duration: 1, transition: { type: "wipeleft", duration: 2 } },
+  ]);
+  assert.deepEqual(timeline.transitions[1], { type: "wipeleft", duration: 0.5 });
+  assert.deepEqual(timeline.starts, [0, 3.5]);
+  assert.equal(timeline.total, 4.5);
+  assert.equal(console.warn.mock.callCount(), 1);
+});
+
+test("buildJoinFilters uses a single concat without transitions", () => {
+  const timeline = buildTimeline([{ duration: 2 }, { duration: 3 }]);
+  assert.deepEqual(buildJoinFilters({ videoLabels: ["[sv0]", "[sv1]"], audioLabels: ["[sa0]", "[sa1]"], timeline }), [
+    "[sv0][sa0][sv1][sa1]concat=n=2:v=1:a=1[v][a]",
+  ]);
+});
+
+test("buildJoinFilters folds segments with xfade at the timeline offsets", () => {
+  const timeline = buildTimeline([
+    { duration: 4 },
+    { duration: 3, transition: { type: "fade", duration: 1 } },
+    { duration: 2 },
+  ]);
+  assert.deepEqual(buildJoinFilters({ videoLabels: ["[sv0]", "[sv1]", "[sv2]"], audioLabels: null, timeline }), [
+    "[sv0][sv1]xfade=transition=fade:duration=1:offset=3[xv1]",
+    "[xv1][sv2]concat=n=2:v=1:a=0[v]",
+  ]);
+});
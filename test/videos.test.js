@@ -0,0 +1,49 @@
+// test/videos.test.js
+import { test, after, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtemp, mkdir, rm, writeFile } from "fs/promises";
+import { tmpdir } from "os";
+import { join } from "path";
+
+const root = await mkdtemp(join(tmpdir(), "videos-"));
+process.env.STORAGE_LOCAL_DIR = join(root, "storage");
+const { describeVideo, deleteVideo } = await import("../lib/videos.js");
+
+after(() => rm(root, { recursive: true, force: true }));
+
+beforeEach((t) => {
+  t.mock.method(console, "log", () => {});
+});
+
+// a succeeded job whose master and poster were uploaded to local storage
+async function storedJob(jobId, { missing = [] } = {}) {
+  const files = [`${jobId}.mp4`, `${jobId}-poster.jpg`].map((key) => ({ key, url: `https://cdn.example.com/${key}`, contentType: key.endsWith(".mp4") ? "video/mp4" : "image/jpeg" }));
+  await mkdir(join(root, "storage", "lessons"), { recursive: true });
+  for (const { key } of files) {
+    if (!missing.includes(key)) await writeFile(join(root, "storage", "lessons", key), "data");
+  }
+  return {
+    jobId,
+    status: "succeeded",
+    request: { jobId, storage: { backend: "local", bucket: "lessons" } },
+    result: { url: files[0].url, outputs: [{ format: "mp4", url: files[0].url }], thumbnails: null, renditions: [], duration: 4, files },
+    createdAt: "2026-01-01T00:00:00.000Z",
+    finishedAt: "2026-01-01T00:01:00.000Z",
+  };
+}
+
+test("describeVideo lists the stored objects and whether they are still there", async () => {
+  const job = await storedJob("a", { missing: ["a-poster.jpg"] });
+  const video = await describeVideo(job);
+  assert.deepEqual(video.storage, { backend: "local", bucket: "lessons" });
+  assert.deepEqual([video.jobId, video.url, video.duration], ["a", "https://cdn.example.com/a.mp4", 4]);
+  assert.deepEqual(video.files.map(({ key, exists }) => [key, exists]), [["a.mp4", true], ["a-poster.jpg", false]]);
+});
+
+test("deleteVideo removes every stored object and reports the ones that failed", async () => {
+  const job = await storedJob("b");
+  // a key outside the bucket can't be deleted
+  job.result.files.push({ key: "../escape.mp4", url: "x" });
+  assert.deepEqual(await deleteVideo(job), { deleted: ["b.mp4", "b-poster.jpg"], failed: ["../escape.mp4"] });
+  assert.deepEqual((await describeVideo(job)).files.slice(0, 2).map((file) => file.exists), [false, false]);
+});
@@ -0,0 +1,91 @@
+// test/webhook.test.js
+import { test, after, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import http from "http";
+import { deliverWebhook, sendJobCallback, signWebhookPayload, SIGNATURE_HEADER, TIMESTAMP_HEADER } from "../lib/webhook.js";
+import { downloadPolicy } from "../lib/downloadPolicy.js";
+
+process.env.WEBHOOK_SECRET = "hook-secret";
+
+// receiver answering with the queued status codes (200 once they run out)
+const received = [];
+const statuses = [];
+const server = http.createServer((req, res) => {
+  let body = "";
+  req.on("data", (chunk) => (body += chunk));
+  req.on("end", () => {
+    received.push({ headers: req.headers, body });
+    res.writeHead(statuses.shift() || 200).end();
+  });
+});
+await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+const url = `http://127.0.0.1:${server.address().port}/hook`;
+after(() => server.close());
+
+beforeEach((t) => {
+  received.length = 0;
+  statuses.length = 0;
+  downloadPolicy.allowPrivateNetworks = true;
+  t.mock.method(console, "log", () => {});
+  t.mock.method(console, "error", () => {});
+});
+
+test("callbacks are signed over the timestamp and the raw body", async () => {
+  const outcome = await deliverWebhook(url, { hello: "world" }, { headers: { "X-Caller": "yes" } });
+  assert.deepEqual(outcome, { delivered: true, attempts: 1, status: 200, error: null });
+  const [{ headers, body }] = received;
+  assert.equal(body, '{"hello":"world"}');
+  assert.equal(headers["x-caller"], "yes");
+  assert.equal(headers[SIGNATURE_HEADER.toLowerCase()], signWebhookPayload(body, headers[TIMESTAMP_HEADER.toLowerCase()], "hook-secret"));
+});
+
+test("delivery is retried on 5xx but not on other 4xx responses", async () => {
+  statuses.push(503, 500);
+  assert.deepEqual(await deliverWebhook(url, {}, { retryDelay: 1 }), { delivered: true, attempts: 3, status: 200, error: null });
+  statuses.push(404);
+  assert.deepEqual(await deliverWebhook(url, {}, { retryDelay: 1 }), { delivered: false, attempts: 1, status: 404, error: "status 404" });
+});
+
+test("nothing is sent without a secret or to addresses the download policy refuses", async () => {
+  const unsigned = await deliverWebhook(url, {}, { secret: "" });
+  assert.equal(unsigned.delivered, false);
+  assert.equal(unsigned.attempts, 0);
+  assert.match(unsigned.error, /WEBHOOK_SECRET is not set/);
+
+  downloadPolicy.allowPrivateNetworks = false;
+  const blocked = await deliverWebhook(url, {});
+  assert.equal(blocked.attempts, 0);
+  assert.match(blocked.error, /private or reserved address/);
+  assert.equal(received.length, 0);
+});
+
+test("sendJobCallback sends the public job view without internal errors", async (t) => {
+  const nodeEnv = process.env.NODE_ENV;
+  process.env.NODE_ENV = "production";
+  t.after(() => {
+    if (nodeEnv === undefined) delete process.env.NODE_ENV;
+    else process.env.NODE_ENV = nodeEnv;
+  });
+  const job = {
+    jobId: "job-1",
+    status: "failed",
+    stage: "rendering",
+    request: { callbackUrl: url, callbackHeaders: { Authorization: "Bearer caller" } },
+    result: null,
+    error: { stage: "rendering", message: "ffmpeg exited with code 1: /srv/app/temp/x", expose: false, code: null, field: null, segmentIndex: null },
+    finishedAt: new Date().toISOString(),
+  };
+  const outcome = await sendJobCallback(job);
+  assert.equal(outcome.delivered, true);
+  assert.equal(job.callback.delivered, true);
+
+  const [{ headers, body }] = received;
+  assert.equal(headers.authorization, "Bearer caller");
+  const payload = JSON.parse(body);
+  assert.equal(payload.event, "job.failed");
+  assert.equal(payload.jobId, "job-1");
+  assert.equal(payload.url, null);
+  assert.deepEqual(payload.error, { stage: "rendering", message: "Internal server error" });
+  assert.equal(payload.callback, undefined);
+  assert.equal(body.includes("/srv/app"), false);
+});